@@ -1,7 +1,8 @@
 
 import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
 
-export const verifyToken = (req, res, next) => {
+export const verifyToken = async (req, res, next) => {
   try {
     // Get token from Authorization header
     const token = req.headers.authorization?.split(' ')[1]; // "Bearer <token>"
@@ -19,12 +20,22 @@ export const verifyToken = (req, res, next) => {
       process.env.JWT_SECRET || 'your-secret-key-change-in-production'
     );
 
+    // Session tokens stop working as soon as the session is revoked.
+    // Only the short-lived sign-up token (tempAuth) has no session.
+    if (!decoded.tempAuth && !(decoded.sid && (await Session.isActive(decoded.sid)))) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has been logged out. Please login again' 
+      });
+    }
+
     // Attach user info to request
     req.user = {
       _id: decoded.id,
       id: decoded.id,
       phone: decoded.phone,
       role: decoded.role,
+      sessionId: decoded.sid || null,
     };
 
     next();
@@ -35,13 +46,22 @@ export const verifyToken = (req, res, next) => {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ 
         success: false, 
-        message: 'Token has expired. Please login again' 
+        message: 'Token has expired. Please refresh your session or login again',
+        code: 'TOKEN_EXPIRED'
+      });
+    }
+
+    if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid or malformed token' 
       });
     }
 
-    res.status(401).json({ 
+    // Session lookup failed (database unavailable)
+    res.status(500).json({ 
       success: false, 
-      message: 'Invalid or malformed token' 
+      message: 'Server error while verifying token' 
     });
   }
 };
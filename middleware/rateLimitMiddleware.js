@@ -0,0 +1,113 @@
+// middleware/rateLimitMiddleware.js
+import RateLimit from "../models/RateLimit.js";
+
+export const MINUTE = 60 * 1000;
+
+/**
+ * Reply 429 with Retry-After (seconds)
+ */
+export const sendTooManyRequests = (res, retryAfter, message) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message,
+    retryAfter,
+  });
+};
+
+/**
+ * Client IP (honours X-Forwarded-For only when "trust proxy" is set)
+ */
+export const clientIp = (req) => req.ip || req.socket?.remoteAddress || "unknown";
+
+/**
+ * Phone from the request body, trimmed (null when absent)
+ */
+export const bodyPhone = (req) => {
+  const phone = req.body?.phone;
+  return typeof phone === "string" && phone.trim().length > 0 ? phone.trim() : null;
+};
+
+// ============================================
+// 🚦 REQUEST LIMITS
+// ============================================
+
+/**
+ * Fixed-window limiter.
+ *   name     — counter namespace, e.g. "send-otp:ip"
+ *   limit    — requests allowed per window
+ *   windowMs — window length
+ *   keyBy    — (req) => identifier, or null to skip this limiter
+ * Fails open (logs and lets the request through) if the store is unreachable.
+ */
+export const rateLimit = ({ name, limit, windowMs, keyBy, message }) => {
+  return async (req, res, next) => {
+    const id = keyBy(req);
+    if (!id) return next();
+
+    try {
+      const { allowed, retryAfter } = await RateLimit.hit(`${name}:${id}`, { limit, windowMs });
+      if (!allowed) {
+        return sendTooManyRequests(
+          res,
+          retryAfter,
+          message || `Too many requests. Please try again in ${retryAfter} seconds`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Rate Limit Error:", error);
+    }
+    next();
+  };
+};
+
+// ============================================
+// 🔒 FAILURE LOCKOUTS
+// ============================================
+
+/**
+ * Lockout after repeated failures (wrong OTP, wrong password).
+ * `guard` rejects locked identifiers with 429; routes call `fail` / `succeed`.
+ */
+export const createLockout = ({ name, limit = 5, windowMs = 15 * MINUTE, lockMs = 15 * MINUTE, keyBy = bodyPhone }) => {
+  const keyFor = (id) => `${name}:${id}`;
+  const lockedMessage = (retryAfter) =>
+    `Too many failed attempts. Please try again in ${Math.ceil(retryAfter / 60)} minute(s)`;
+
+  return {
+    guard: async (req, res, next) => {
+      const id = keyBy(req);
+      if (!id) return next();
+
+      try {
+        const retryAfter = await RateLimit.getLockout(keyFor(id));
+        if (retryAfter > 0) {
+          return sendTooManyRequests(res, retryAfter, lockedMessage(retryAfter));
+        }
+      } catch (error) {
+        console.error("❌ Lockout Check Error:", error);
+      }
+      next();
+    },
+
+    // → seconds of lockout if this failure triggered one, otherwise 0
+    fail: async (id) => {
+      try {
+        return await RateLimit.recordFailure(keyFor(id), { limit, windowMs, lockMs });
+      } catch (error) {
+        console.error("❌ Lockout Record Error:", error);
+        return 0;
+      }
+    },
+
+    succeed: async (id) => {
+      try {
+        await RateLimit.clear(keyFor(id));
+      } catch (error) {
+        console.error("❌ Lockout Clear Error:", error);
+      }
+    },
+
+    lockedMessage,
+  };
+};
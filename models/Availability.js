@@ -1,4 +1,25 @@
 import mongoose from "mongoose";
+import WeeklySchedule from "./WeeklySchedule.js";
+import { WEEKDAYS, getWeekday, timeToMinutes } from "../utils/schedule.js";
+
+const TIME_FORMAT = [/^([01]\d|2[0-3]):([0-5]\d)$/, "Invalid time format (HH:mm)"];
+
+// Opening hours for one specific date, replacing the weekly schedule
+const hoursOverrideSchema = new mongoose.Schema(
+  {
+    openTime: { type: String, required: true, match: TIME_FORMAT },
+    closeTime: { type: String, required: true, match: TIME_FORMAT },
+    breaks: [
+      {
+        _id: false,
+        start: { type: String, required: true, match: TIME_FORMAT },
+        end: { type: String, required: true, match: TIME_FORMAT },
+        label: { type: String, trim: true, maxlength: 50, default: "" },
+      },
+    ],
+  },
+  { _id: false }
+);
 
 const availabilitySchema = new mongoose.Schema(
   {
@@ -17,6 +38,12 @@ const availabilitySchema = new mongoose.Schema(
       default: false,
     },
 
+    // ---- Date-specific opening hours (null = follow the weekly schedule) ----
+    hoursOverride: {
+      type: hoursOverrideSchema,
+      default: null,
+    },
+
     // ---- Specific unavailable slots ----
     unavailableSlots: [
       {
@@ -34,6 +61,34 @@ const availabilitySchema = new mongoose.Schema(
 //
 // ✅ Hooks
 //
+const invalid = (message) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+// Special opening hours must be coherent
+availabilitySchema.pre("validate", function (next) {
+  const override = this.hoursOverride;
+  if (!override) return next();
+
+  const open = timeToMinutes(override.openTime);
+  const close = timeToMinutes(override.closeTime);
+  if (open >= close) {
+    return next(invalid("Opening time must be before closing time"));
+  }
+
+  for (const b of override.breaks) {
+    const start = timeToMinutes(b.start);
+    const end = timeToMinutes(b.end);
+    if (start >= end || start < open || end > close) {
+      return next(invalid(`Break ${b.start}-${b.end} must fall within opening hours`));
+    }
+  }
+
+  next();
+});
+
 availabilitySchema.pre("save", function (next) {
   // If full day is unavailable, clear slots
   if (this.isFullDayUnavailable) {
@@ -89,16 +144,21 @@ availabilitySchema.statics.markAvailableAgain = async function (date, time = nul
   if (!existing) return null;
 
   if (time === null) {
-    // Remove entire date entry (day becomes available)
-    await this.deleteOne({ date });
-    return null;
+    // Remove every exception for the day, keeping any special opening hours
+    if (!existing.hoursOverride) {
+      await this.deleteOne({ date });
+      return null;
+    }
+    existing.isFullDayUnavailable = false;
+    existing.unavailableSlots = [];
+    return existing.save();
   }
 
   // Remove one time slot
   existing.unavailableSlots = existing.unavailableSlots.filter(s => s.time !== time);
   existing.isFullDayUnavailable = false;
 
-  if (existing.unavailableSlots.length === 0) {
+  if (existing.unavailableSlots.length === 0 && !existing.hoursOverride) {
     await existing.deleteOne();
     return null;
   }
@@ -106,6 +166,53 @@ availabilitySchema.statics.markAvailableAgain = async function (date, time = nul
   return existing.save();
 };
 
+// 4️⃣ Set special opening hours for a date
+availabilitySchema.statics.setHoursOverride = async function (date, { openTime, closeTime, breaks = [] }) {
+  const existing = (await this.findOne({ date })) || new this({ date });
+  existing.hoursOverride = { openTime, closeTime, breaks };
+  return existing.save();
+};
+
+// 5️⃣ Go back to the weekly schedule for a date
+availabilitySchema.statics.clearHoursOverride = async function (date) {
+  const existing = await this.findOne({ date });
+  if (!existing) return null;
+
+  existing.hoursOverride = null;
+  if (!existing.isFullDayUnavailable && existing.unavailableSlots.length === 0) {
+    await existing.deleteOne();
+    return null;
+  }
+
+  return existing.save();
+};
+
+// 6️⃣ Effective schedule for a date: weekly hours → date override → exceptions
+availabilitySchema.statics.resolveDay = async function (date) {
+  const weekday = getWeekday(date);
+  const [weekly, exception] = await Promise.all([
+    WeeklySchedule.getDay(weekday),
+    this.findOne({ date }),
+  ]);
+  const override = exception?.hoursOverride;
+
+  return {
+    date,
+    weekday: WEEKDAYS[weekday],
+    // An override opens a day the weekly schedule keeps closed
+    isOpen: !exception?.isFullDayUnavailable && (override ? true : weekly.isOpen),
+    openTime: override ? override.openTime : weekly.openTime,
+    closeTime: override ? override.closeTime : weekly.closeTime,
+    breaks: override
+      ? override.breaks.map((b) => ({ start: b.start, end: b.end, label: b.label }))
+      : weekly.breaks,
+    slotInterval: weekly.slotInterval,
+    source: override ? "override" : "weekly",
+    isFullDayUnavailable: !!exception?.isFullDayUnavailable,
+    unavailableSlots: exception ? exception.unavailableSlots.map((s) => s.time) : [],
+  };
+};
+
 //
 // ✅ Export Model (with Hot Reload Support)
 //
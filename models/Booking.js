@@ -1,5 +1,50 @@
 import mongoose from "mongoose";
 
+// Booking lifecycle: status → statuses it may move to next
+const BOOKING_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["in_progress", "cancelled", "no_show"],
+  in_progress: ["completed"],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+};
+const BOOKING_STATUSES = Object.keys(BOOKING_TRANSITIONS);
+
+// Statuses that no longer hold a slot
+const INACTIVE_STATUSES = ["cancelled", "no_show"];
+
+// Deposit lifecycle:
+//   not_required — the service takes no deposit
+//   pending      — waiting for payment until holdExpiresAt
+//   paid         — held against the final bill
+//   applied      — credited to the bill when the booking was completed
+//   refunded     — returned after a cancellation
+//   forfeited    — kept after a no-show or late cancellation
+//   expired      — never paid; the booking was cancelled when the hold lapsed
+const DEPOSIT_STATUSES = ["not_required", "pending", "paid", "applied", "refunded", "forfeited", "expired"];
+
+// When each status was entered
+const STATUS_TIMESTAMPS = {
+  confirmed: "confirmedAt",
+  in_progress: "startedAt",
+  completed: "completedAt",
+  cancelled: "cancelledAt",
+  no_show: "noShowAt",
+};
+
+// Coupon as it was when applied (see utils/coupons.js toCouponSnapshot)
+const couponSnapshotSchema = new mongoose.Schema(
+  {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true },
+    code: { type: String, trim: true, required: true },
+    type: { type: String, enum: ["percent", "flat"] },
+    value: { type: Number, min: 0 },
+    discountAmount: { type: Number, min: 0, default: 0 },
+  },
+  { _id: false }
+);
+
 const bookingSchema = new mongoose.Schema(
   {
     // ---- Relations ----
@@ -15,6 +60,13 @@ const bookingSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Stylist performing the service (null = not assigned)
+    staffId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+      default: null,
+      index: true,
+    },
 
     // ---- Service snapshot (for historical record keeping) ----
     serviceName: {
@@ -28,12 +80,72 @@ const bookingSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Minutes, copied from Service.duration
     serviceDuration: {
+      type: Number,
+      min: 0,
+      default: 30,
+    },
+    serviceCategory: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    staffName: {
       type: String,
       trim: true,
       default: "",
     },
 
+    // ---- Coupon applied when booking (see utils/coupons.js) ----
+    coupon: {
+      type: couponSnapshotSchema,
+      default: null,
+    },
+    // Amount payable: servicePrice less the coupon discount
+    totalAmount: {
+      type: Number,
+      min: 0,
+    },
+
+    // ---- Deposit & payment ----
+    depositAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    depositStatus: {
+      type: String,
+      enum: DEPOSIT_STATUSES,
+      default: "not_required",
+    },
+    depositPaidAt: { type: Date, default: null },
+    // Unpaid-deposit bookings are cancelled after this (see utils/bookingHolds.js)
+    holdExpiresAt: { type: Date, default: null },
+    paymentStatus: {
+      type: String,
+      enum: ["unpaid", "deposit_paid", "paid"],
+      default: "unpaid",
+    },
+    amountPaid: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Left to collect once the booking is completed (deposit already credited)
+    balanceDue: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    paidAt: { type: Date, default: null },
+    // How the balance was settled at the salon
+    balancePaymentMethod: {
+      type: String,
+      enum: [null, "cash", "card", "online"],
+      default: null,
+    },
+
     // ---- Booking details ----
     date: {
       type: String,
@@ -45,6 +157,10 @@ const bookingSchema = new mongoose.Schema(
       required: true, // "HH:mm"
       match: [/^([01]\d|2[0-3]):([0-5]\d)$/, "Invalid time format (HH:mm)"],
     },
+    endTime: {
+      type: String, // "HH:mm" — time + serviceDuration
+      match: [/^([01]\d|2[0-3]):([0-5]\d)$/, "Invalid time format (HH:mm)"],
+    },
     name: {
       type: String,
       required: true,
@@ -64,18 +180,66 @@ const bookingSchema = new mongoose.Schema(
     // ---- Status tracking ----
     status: {
       type: String,
-      enum: ["pending", "confirmed", "completed", "cancelled","in_progress"],
+      enum: BOOKING_STATUSES,
       default: "pending",
       index: true,
     },
+    confirmedAt: { type: Date, default: null },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    noShowAt: { type: Date, default: null },
+
+    // ---- Cancellation details ----
+    cancellationReason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    cancelledByRole: {
+      type: String,
+      enum: [null, "user", "admin", "system"],
+      default: null,
+    },
+
+    // ---- Every status change, oldest first ----
+    statusHistory: [
+      {
+        _id: false,
+        from: { type: String, enum: [...BOOKING_STATUSES, null], default: null },
+        to: { type: String, enum: BOOKING_STATUSES, required: true },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        role: { type: String, enum: ["user", "admin", "system"], default: "system" },
+        note: { type: String, trim: true, maxlength: 500, default: "" },
+        at: { type: Date, default: Date.now },
+      },
+    ],
   },
   { timestamps: true }
 );
 
+// Hold sweeper: pending deposits past their deadline
+bookingSchema.index({ depositStatus: 1, holdExpiresAt: 1 });
+
 //
 // ✅ Hooks
 //
 
+// Keep the payable amount in step with the price snapshot and coupon
+bookingSchema.pre("save", function (next) {
+  if (this.isModified("servicePrice") || this.isModified("coupon") || this.totalAmount === undefined) {
+    const couponDiscount = this.coupon?.discountAmount || 0;
+    this.totalAmount = Math.max(0, Math.round((this.servicePrice - couponDiscount) * 100) / 100);
+  }
+  next();
+});
+
 // Prevent duplicate booking for same user, date, and time
 bookingSchema.pre("save", async function (next) {
   if (!this.isModified("date") && !this.isModified("time")) return next();
@@ -84,7 +248,7 @@ bookingSchema.pre("save", async function (next) {
     userId: this.userId,
     date: this.date,
     time: this.time,
-    status: { $ne: "cancelled" },
+    status: { $nin: INACTIVE_STATUSES },
   });
 
   if (existing) {
@@ -96,6 +260,52 @@ bookingSchema.pre("save", async function (next) {
   next();
 });
 
+//
+// ✅ Static Methods
+//
+
+// 1️⃣ Statuses a booking may move to from `status`
+bookingSchema.statics.getNextStatuses = function (status) {
+  return BOOKING_TRANSITIONS[status] || [];
+};
+
+// 2️⃣ Whether `from → to` is a legal transition
+bookingSchema.statics.canTransition = function (from, to) {
+  return this.getNextStatuses(from).includes(to);
+};
+
+// 3️⃣ Field recording when `status` was entered (null for pending)
+bookingSchema.statics.getStatusTimestampField = function (status) {
+  return STATUS_TIMESTAMPS[status] || null;
+};
+
+bookingSchema.statics.STATUSES = BOOKING_STATUSES;
+bookingSchema.statics.DEPOSIT_STATUSES = DEPOSIT_STATUSES;
+bookingSchema.statics.INACTIVE_STATUSES = INACTIVE_STATUSES;
+
+//
+// ✅ Methods
+//
+
+// Status timeline for display: creation plus every recorded change
+bookingSchema.methods.getTimeline = function () {
+  const history = this.statusHistory || [];
+  const timeline = history.map((entry) => ({
+    status: entry.to,
+    from: entry.from,
+    at: entry.at,
+    by: entry.changedBy || null,
+    role: entry.role,
+    note: entry.note || "",
+  }));
+
+  // Bookings made before history was recorded start with their creation
+  if (!history.some((entry) => entry.from === null)) {
+    timeline.unshift({ status: "pending", from: null, at: this.createdAt, by: null, role: "system", note: "" });
+  }
+  return timeline;
+};
+
 //
 // ✅ Export safely
 //
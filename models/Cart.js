@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+const MAX_LINES = 50;
+const MAX_QUANTITY = 99;
+
+// One saved cart per customer, shared across their devices.
+// Prices here are only what the customer last saw; checkout always
+// re-prices from the Product documents (see utils/checkout.js).
+const cartSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    items: {
+      type: [
+        {
+          _id: false,
+          productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: true,
+          },
+          // Set for products sold in variants (one line per variant)
+          variantId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null,
+          },
+          quantity: {
+            type: Number,
+            required: true,
+            min: 1,
+            max: MAX_QUANTITY,
+            validate: {
+              validator: Number.isInteger,
+              message: (props) => `${props.value} is not a whole quantity`,
+            },
+          },
+          // Net unit price when the line was added or last confirmed
+          price: {
+            type: Number,
+            min: 0,
+            required: true,
+          },
+          addedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      default: [],
+      validate: {
+        validator: (items) => items.length <= MAX_LINES,
+        message: `A cart can hold at most ${MAX_LINES} different items`,
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+//
+// ✅ Methods
+//
+
+// Line for a product (and variant), or undefined
+cartSchema.methods.findLine = function (productId, variantId = null) {
+  return this.items.find(
+    (item) => item.productId.equals(productId) && String(item.variantId || "") === String(variantId || "")
+  );
+};
+
+//
+// ✅ Static Methods
+//
+
+// 1️⃣ The customer's cart (unsaved and empty when they have none yet)
+cartSchema.statics.getForUser = async function (userId) {
+  const cart = await this.findOne({ userId });
+  return cart || new this({ userId, items: [] });
+};
+
+cartSchema.statics.MAX_LINES = MAX_LINES;
+cartSchema.statics.MAX_QUANTITY = MAX_QUANTITY;
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.Cart || mongoose.model("Cart", cartSchema);
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+const CATEGORY_KINDS = ["product", "service"];
+const MAX_DEPTH = 4;
+
+// Catalogue navigation for products and services (separate trees, see
+// `kind`). Products and services keep the slug in their `category` field next
+// to `categoryId`, so the slug is a permanent identifier: service slugs are
+// also the keys of staff skills, slot capacities and bookings.
+const categorySchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: CATEGORY_KINDS,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 2,
+      maxlength: 60,
+    },
+    slug: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+      maxlength: 60,
+    },
+    description: { type: String, trim: true, maxlength: 500, default: "" },
+    image: { type: String, trim: true, default: "" },
+
+    // ---- Hierarchy ----
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    // Root first; kept in step with `parent` by utils/categories.js
+    ancestors: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      default: [],
+      validate: {
+        validator: (ancestors) => ancestors.length < MAX_DEPTH,
+        message: `Categories can be nested at most ${MAX_DEPTH} levels deep`,
+      },
+    },
+
+    // Position among its siblings (lower first)
+    order: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+categorySchema.index({ kind: 1, slug: 1 }, { unique: true });
+categorySchema.index({ kind: 1, parent: 1, order: 1 });
+categorySchema.index({ ancestors: 1 });
+
+//
+// ✅ Static Methods
+//
+
+// 1️⃣ URL-safe slug from a name ("Hair Care & Styling" → "hair-care-styling")
+categorySchema.statics.slugify = function (text) {
+  return String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60)
+    .replace(/-+$/, "");
+};
+
+// 2️⃣ Every slug of a kind (e.g. to validate staff skills)
+categorySchema.statics.getSlugs = async function (kind) {
+  const categories = await this.find({ kind }).select("slug").sort({ order: 1, slug: 1 }).lean();
+  return categories.map((category) => category.slug);
+};
+
+categorySchema.statics.KINDS = CATEGORY_KINDS;
+categorySchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.Category || mongoose.model("Category", categorySchema);
@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+
+// Promo codes applied at checkout (orders) and when booking services.
+// Per-user usage is counted in CouponRedemption.
+const couponSchema = new mongoose.Schema(
+  {
+    // Stored upper-case; customers may type it in any case
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      minlength: 3,
+      maxlength: 30,
+      match: [/^[A-Z0-9_-]+$/, "Code may only contain letters, digits, - and _"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: "",
+    },
+
+    // ---- Discount ----
+    type: {
+      type: String,
+      enum: ["percent", "flat"],
+      required: true,
+    },
+    // Percentage (0..100] for "percent", currency amount for "flat"
+    value: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    // Upper bound on a percentage discount (null = no cap)
+    maxDiscount: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    // Order / booking subtotal needed before the code applies
+    minOrderValue: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // ---- Where it applies (empty lists = everything) ----
+    appliesTo: {
+      type: String,
+      enum: ["all", "orders", "bookings"],
+      default: "all",
+    },
+    // Product / service category slugs (see models/Category.js)
+    categories: {
+      type: [String],
+      default: [],
+    },
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    services: [{ type: mongoose.Schema.Types.ObjectId, ref: "Service" }],
+
+    // ---- Validity ----
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    // ---- Usage caps (null = unlimited) ----
+    usageLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    usedCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+//
+// ✅ Hooks
+//
+couponSchema.pre("validate", function (next) {
+  if (this.type === "percent" && this.value > 100) {
+    this.invalidate("value", "A percentage discount cannot exceed 100");
+  }
+  if (this.startsAt && this.expiresAt && this.startsAt >= this.expiresAt) {
+    this.invalidate("expiresAt", "Expiry must be after the start date");
+  }
+  if (this.categories) {
+    this.categories = [...new Set(this.categories.map((c) => c.trim().toLowerCase()).filter(Boolean))];
+  }
+  next();
+});
+
+//
+// ✅ Methods
+//
+
+// Why the code cannot be used right now (ignoring per-user caps), or null
+couponSchema.methods.getUnavailableReason = function (now = new Date()) {
+  if (!this.isActive) return "This coupon is no longer active";
+  if (this.startsAt && this.startsAt > now) return "This coupon is not valid yet";
+  if (this.expiresAt && this.expiresAt <= now) return "This coupon has expired";
+  if (this.usageLimit !== null && this.usedCount >= this.usageLimit) {
+    return "This coupon has reached its usage limit";
+  }
+  return null;
+};
+
+// Whether a priced line { productId | serviceId, category } is covered
+couponSchema.methods.coversLine = function (line) {
+  const restricted =
+    this.categories.length > 0 || this.products.length > 0 || this.services.length > 0;
+  if (!restricted) return true;
+
+  if (line.category && this.categories.includes(line.category)) return true;
+  if (line.productId && this.products.some((id) => id.equals(line.productId))) return true;
+  if (line.serviceId && this.services.some((id) => id.equals(line.serviceId))) return true;
+  return false;
+};
+
+// Discount for priced lines [{ productId | serviceId, category, amount }]
+// → { subtotal, eligibleAmount, discountAmount }
+couponSchema.methods.computeDiscount = function (lines) {
+  const round = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+  const subtotal = round(lines.reduce((sum, line) => sum + line.amount, 0));
+  const eligibleAmount = round(
+    lines.filter((line) => this.coversLine(line)).reduce((sum, line) => sum + line.amount, 0)
+  );
+
+  let discountAmount = this.type === "percent" ? (eligibleAmount * this.value) / 100 : this.value;
+  if (this.type === "percent" && this.maxDiscount !== null) {
+    discountAmount = Math.min(discountAmount, this.maxDiscount);
+  }
+
+  return {
+    subtotal,
+    eligibleAmount,
+    discountAmount: round(Math.min(discountAmount, eligibleAmount)),
+  };
+};
+
+//
+// ✅ Static Methods
+//
+
+// 1️⃣ Normalise a code typed by a customer
+couponSchema.statics.normaliseCode = function (code) {
+  return String(code || "").trim().toUpperCase();
+};
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.Coupon || mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+// One document per (coupon, customer): how many times they have used the
+// code and on which orders / bookings. The counter is what enforces
+// Coupon.perUserLimit, so it is only ever changed atomically.
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    count: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    uses: [
+      {
+        _id: false,
+        targetType: { type: String, enum: ["Order", "Booking"], required: true },
+        targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        discountAmount: { type: Number, min: 0, default: 0 },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1 }, { unique: true });
+
+//
+// ✅ Static Methods
+//
+
+// 1️⃣ Times a customer has used a coupon
+couponRedemptionSchema.statics.countFor = async function (couponId, userId) {
+  const record = await this.findOne({ couponId, userId }).select("count").lean();
+  return record?.count || 0;
+};
+
+// 2️⃣ Record one use unless the customer already reached `limit` (null = no cap)
+// → true when recorded, false when the cap was hit
+couponRedemptionSchema.statics.record = async function (couponId, userId, use, limit, session = null) {
+  const filter = { couponId, userId };
+  if (limit !== null) filter.count = { $lt: limit };
+
+  try {
+    await this.findOneAndUpdate(
+      filter,
+      { $inc: { count: 1 }, $push: { uses: { ...use, at: new Date() } } },
+      { upsert: true, session }
+    );
+    return true;
+  } catch (error) {
+    // The filter missed because the counter is at the cap, so the upsert
+    // collided with the existing document
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// 3️⃣ Give a use back (the order / booking was cancelled)
+// → true when a use was removed
+couponRedemptionSchema.statics.release = async function (couponId, userId, targetId, session = null) {
+  const result = await this.updateOne(
+    { couponId, userId, "uses.targetId": targetId },
+    { $inc: { count: -1 }, $pull: { uses: { targetId } } },
+    { session }
+  );
+  return result.modifiedCount > 0;
+};
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.CouponRedemption ||
+  mongoose.model("CouponRedemption", couponRedemptionSchema);
@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// Data migrations that have been applied, so the ones the server runs on
+// startup (e.g. utils/appointments.js ensureSlotReservationGrid) happen once.
+const migrationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    note: { type: String, trim: true, default: "" },
+    appliedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: false }
+);
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.Migration || mongoose.model("Migration", migrationSchema);
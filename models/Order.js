@@ -1,5 +1,30 @@
 import mongoose from "mongoose";
 
+// Order lifecycle: status → statuses it may move to next.
+// Side effects (restock, refunds) live in utils/orderLifecycle.js.
+const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["in_transit", "cancelled"],
+  in_transit: ["delivered", "returned"], // returned = refused / undeliverable
+  delivered: ["return_requested"],
+  return_requested: ["returned", "delivered"], // delivered = return rejected
+  cancelled: [],
+  returned: [],
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Coupon as it was when applied (see utils/coupons.js toCouponSnapshot)
+const couponSnapshotSchema = new mongoose.Schema(
+  {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true },
+    code: { type: String, trim: true, required: true },
+    type: { type: String, enum: ["percent", "flat"] },
+    value: { type: Number, min: 0 },
+    discountAmount: { type: Number, min: 0, default: 0 },
+  },
+  { _id: false }
+);
+
 const orderSchema = new mongoose.Schema(
   {
     // --- User reference ---
@@ -25,11 +50,42 @@ const orderSchema = new mongoose.Schema(
           ref: "Product",
           required: true,
         },
+        // The variant bought, for products sold in variants
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        sku: {
+          type: String,
+          default: "",
+        },
         name: {
           type: String,
           required: true,
           trim: true,
         },
+        variantName: {
+          type: String,
+          trim: true,
+          default: "",
+        },
+        // Pricing snapshot (computed server-side, see utils/pricing.js)
+        listPrice: {
+          type: Number,
+          min: 0,
+        },
+        discountPercent: {
+          type: Number,
+          default: 0,
+          min: 0,
+          max: 100,
+        },
+        discountAmount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        // Net unit price actually charged
         price: {
           type: Number,
           required: true,
@@ -47,7 +103,19 @@ const orderSchema = new mongoose.Schema(
       },
     ],
 
-    // --- Order total ---
+    // --- Sum of line subtotals, before any coupon ---
+    subtotalAmount: {
+      type: Number,
+      min: 0,
+    },
+
+    // --- Coupon applied at checkout (see utils/coupons.js) ---
+    coupon: {
+      type: couponSnapshotSchema,
+      default: null,
+    },
+
+    // --- Order total (after the coupon) ---
     totalAmount: {
       type: Number,
       required: true,
@@ -57,17 +125,35 @@ const orderSchema = new mongoose.Schema(
     // --- Order status ---
     status: {
       type: String,
-      enum: ["pending", "confirmed", "delivered", "cancelled","in_transit"],
+      enum: ORDER_STATUSES,
       default: "pending",
       index: true,
     },
 
+    // --- Every status change, oldest first ---
+    statusHistory: [
+      {
+        _id: false,
+        from: { type: String, enum: [...ORDER_STATUSES, null], default: null },
+        to: { type: String, enum: ORDER_STATUSES, required: true },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        role: { type: String, enum: ["user", "admin", "system"], default: "system" },
+        note: { type: String, trim: true, maxlength: 500, default: "" },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+
     // --- Payment info ---
+    // pending/failed track an online payment intent (see utils/payments.js)
     paymentStatus: {
       type: String,
-      enum: ["unpaid", "paid", "refunded"],
+      enum: ["unpaid", "pending", "failed", "paid", "partially_refunded", "refunded"],
       default: "unpaid",
     },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
     paymentMethod: {
       type: String,
       enum: ["cod", "online"],
@@ -85,16 +171,36 @@ orderSchema.pre("save", function (next) {
     this.items.forEach((item) => {
       item.subtotal = item.price * item.quantity;
     });
-    this.totalAmount = this.items.reduce((sum, item) => sum + item.subtotal, 0);
+    this.subtotalAmount = this.items.reduce((sum, item) => sum + item.subtotal, 0);
+
+    const couponDiscount = this.coupon?.discountAmount || 0;
+    this.totalAmount = Math.max(0, Math.round((this.subtotalAmount - couponDiscount) * 100) / 100);
   }
   next();
 });
 
+//
+// ✅ Static Methods
+//
+
+// 1️⃣ Statuses an order may move to from `status`
+orderSchema.statics.getNextStatuses = function (status) {
+  return ORDER_TRANSITIONS[status] || [];
+};
+
+// 2️⃣ Whether `from → to` is a legal transition
+orderSchema.statics.canTransition = function (from, to) {
+  return this.getNextStatuses(from).includes(to);
+};
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+
 //
 // ✅ Index optimization for frequent queries
 //
 orderSchema.index({ userId: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ "coupon.couponId": 1 }, { sparse: true });
 
 //
 // ✅ Export safely (for hot reload or serverless environments)
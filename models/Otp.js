@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const MAX_ATTEMPTS = 3;
+
+// Codes are stored as keyed hashes so a database leak does not leak live OTPs
+const hashCode = (phone, code) => {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET || "your-secret-key-change-in-production";
+  return crypto.createHmac("sha256", secret).update(`${phone}:${code}`).digest("hex");
+};
+
+const otpSchema = new mongoose.Schema(
+  {
+    phone: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // MongoDB removes the document shortly after this moment (TTL index)
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+//
+// ✅ Static Methods
+//
+
+// 1️⃣ Store a fresh code for a phone (replaces any pending one)
+otpSchema.statics.issue = async function (phone, code, ttlMs) {
+  return this.findOneAndUpdate(
+    { phone },
+    {
+      phone,
+      codeHash: hashCode(phone, code),
+      attempts: 0,
+      expiresAt: new Date(Date.now() + ttlMs),
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// 2️⃣ Check a code → "valid" | "missing" | "expired" | "locked" | "invalid"
+// The attempt is counted atomically before comparing, so parallel guesses
+// cannot exceed MAX_ATTEMPTS. A valid or exhausted code is deleted.
+otpSchema.statics.verifyCode = async function (phone, code) {
+  const record = await this.findOneAndUpdate(
+    { phone, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!record) {
+    const exhausted = await this.findOneAndDelete({ phone });
+    return exhausted ? "locked" : "missing";
+  }
+
+  if (record.expiresAt.getTime() < Date.now()) {
+    await this.deleteOne({ _id: record._id });
+    return "expired";
+  }
+
+  const expected = Buffer.from(record.codeHash, "hex");
+  const actual = Buffer.from(hashCode(phone, code), "hex");
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return "invalid";
+  }
+
+  await this.deleteOne({ _id: record._id });
+  return "valid";
+};
+
+// 3️⃣ Drop a pending code
+otpSchema.statics.clear = async function (phone) {
+  return this.deleteOne({ phone });
+};
+
+otpSchema.statics.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.Otp || mongoose.model("Otp", otpSchema);
@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+
+// One attempt to collect money online for an order, or the deposit on a
+// booking (see utils/payments.js). Each may have several attempts (e.g. a
+// failed card, then a retry); only the first success counts and any later
+// one is refunded automatically.
+const PAYMENT_STATUSES = ["requires_payment", "succeeded", "failed", "cancelled"];
+
+const paymentSchema = new mongoose.Schema(
+  {
+    // Exactly one of orderId / bookingId
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+      index: true,
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      default: null,
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // ---- Gateway ----
+    provider: {
+      type: String,
+      required: true,
+    },
+    intentId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Handed to the storefront to complete the payment; never listed
+    clientSecret: {
+      type: String,
+      select: false,
+    },
+
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      default: "INR",
+    },
+
+    status: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: "requires_payment",
+      index: true,
+    },
+    paidAt: { type: Date, default: null },
+    // The success that settled the order / deposit (not a later duplicate)
+    settled: { type: Boolean, default: false },
+    // A success that settled nothing and still has to be refunded (retried
+    // until the provider accepts the refund)
+    needsRefund: { type: Boolean, default: false, index: true },
+    failedAt: { type: Date, default: null },
+    failureReason: { type: String, trim: true, maxlength: 500, default: "" },
+
+    // ---- Refunds ----
+    // Pending and succeeded refunds; a failed refund gives its amount back
+    refundedAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    refunds: [
+      {
+        refundId: { type: String, default: null },
+        amount: { type: Number, required: true, min: 0.01 },
+        reason: { type: String, trim: true, maxlength: 500, default: "" },
+        status: { type: String, enum: ["pending", "succeeded", "failed"], default: "pending" },
+        requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        requestedAt: { type: Date, default: Date.now },
+        completedAt: { type: Date, default: null },
+      },
+    ],
+
+    // Webhook event ids already applied (gateways redeliver)
+    processedEvents: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ "refunds.refundId": 1 }, { sparse: true });
+
+//
+// ✅ Hooks
+//
+paymentSchema.pre("validate", function (next) {
+  if (!this.orderId === !this.bookingId) {
+    this.invalidate("orderId", "A payment belongs to exactly one order or booking");
+  }
+  next();
+});
+
+//
+// ✅ Methods
+//
+
+// Amount that can still be refunded
+paymentSchema.methods.getRefundableAmount = function () {
+  if (this.status !== "succeeded") return 0;
+  return Math.max(0, Math.round((this.amount - this.refundedAmount) * 100) / 100);
+};
+
+paymentSchema.statics.STATUSES = PAYMENT_STATUSES;
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.Payment || mongoose.model("Payment", paymentSchema);
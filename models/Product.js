@@ -1,6 +1,46 @@
 import mongoose from "mongoose";
 import { v4 as uuidv4 } from "uuid";
 
+const MAX_VARIANTS = 50;
+
+// One purchasable version of a product (a size, shade or pack). Stock and
+// price live here; the product's own `stock` is the sum over its variants and
+// its `price` the lowest variant price ("from ..." in listings).
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50,
+  },
+  attributes: {
+    size: { type: String, trim: true, default: "" },
+    shade: { type: String, trim: true, default: "" },
+    pack: { type: String, trim: true, default: "" },
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Only ever changed through utils/inventory.js (ledger)
+  stock: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  image: { type: String, default: "" },
+  // Overrides the product's reorderThreshold
+  reorderThreshold: { type: Number, default: null, min: 0 },
+  isActive: { type: Boolean, default: true },
+});
+
 const productSchema = new mongoose.Schema(
   {
    
@@ -16,18 +56,85 @@ const productSchema = new mongoose.Schema(
       min: 0,
     },
     image: { type: String, default: "" },
+    // Category the product is filed under (see models/Category.js)
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    },
+    // Slug of that category, kept next to the reference so listings and
+    // coupons can match on it without a lookup
     category: { type: String, default: "" },
     stock: {
       type: Number,
       default: 0,
       min: 0,
     },
+    // Reorder once stock falls to this level (null: LOW_STOCK_THRESHOLD, see utils/stockAlerts.js)
+    reorderThreshold: { type: Number, default: null, min: 0 },
     discount: { type: Number, default: 0, min: 0, max: 100 }, // percentage
     featured: { type: Boolean, default: false },
+
+    variants: {
+      type: [variantSchema],
+      default: [],
+      validate: {
+        validator: (variants) => variants.length <= MAX_VARIANTS,
+        message: `A product can have at most ${MAX_VARIANTS} variants`,
+      },
+    },
+
+    // Review aggregates (maintained by the review models)
+    averageRating: { type: Number, default: 0, min: 0, max: 5 },
+    reviewCount: { type: Number, default: 0, min: 0 },
   },
   { timestamps: true }
 );
 
+// Sort by rating
+productSchema.index({ averageRating: -1, reviewCount: -1 });
+// Catalogue search (see utils/search.js); a match on the name ranks highest
+productSchema.index(
+  { name: "text", "variants.name": "text", "variants.sku": "text", category: "text", description: "text" },
+  {
+    name: "product_search",
+    weights: { name: 10, "variants.name": 5, "variants.sku": 5, category: 3, description: 1 },
+  }
+);
+// SKUs are unique across the catalogue
+productSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
+
+//
+// ✅ Hooks
+//
+productSchema.pre("validate", function (next) {
+  if (!this.isModified("variants") || this.variants.length === 0) return next();
+
+  // The unique index only catches clashes between products
+  const skus = this.variants.map((variant) => variant.sku);
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate("variants", "Each variant needs its own SKU");
+  }
+
+  // Listings show the cheapest variant on sale
+  const active = this.variants.filter((variant) => variant.isActive);
+  this.price = Math.min(...(active.length > 0 ? active : this.variants).map((variant) => variant.price));
+  next();
+});
+
+//
+// ✅ Methods
+//
+
+// Variant by id, or null
+productSchema.methods.findVariant = function (variantId) {
+  return variantId ? this.variants.id(variantId) : null;
+};
 
+productSchema.statics.MAX_VARIANTS = MAX_VARIANTS;
 
 export default mongoose.model("Product", productSchema);
@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+
+// Shared counters for request throttling and login lockouts.
+// Kept in MongoDB so every API instance sees the same numbers.
+const rateLimitSchema = new mongoose.Schema(
+  {
+    // e.g. "send-otp:ip:1.2.3.4", "login-fail:phone:9876543210"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // End of the current window (MongoDB removes the document after this)
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 },
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+//
+// ✅ Static Methods
+//
+
+// 1️⃣ Count one hit in a fixed window → { count, allowed, retryAfter }
+// A single pipeline update either increments the live window or starts a new
+// one, so concurrent requests never lose a hit.
+rateLimitSchema.statics.hit = async function (key, { limit, windowMs }) {
+  const now = new Date();
+  const live = { $gt: ["$expiresAt", now] };
+
+  const update = [
+    {
+      $set: {
+        count: { $cond: [live, { $add: ["$count", 1] }, 1] },
+        expiresAt: { $cond: [live, "$expiresAt", new Date(now.getTime() + windowMs)] },
+        lockedUntil: { $ifNull: ["$lockedUntil", null] },
+      },
+    },
+  ];
+
+  let record;
+  try {
+    record = await this.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first hits raced on the upsert; the document exists now
+    if (error.code !== 11000) throw error;
+    record = await this.findOneAndUpdate({ key }, update, { new: true });
+  }
+
+  const allowed = record.count <= limit;
+  return {
+    count: record.count,
+    allowed,
+    retryAfter: allowed ? 0 : secondsUntil(record.expiresAt),
+  };
+};
+
+// 2️⃣ Seconds left on an active lockout, or 0
+rateLimitSchema.statics.getLockout = async function (key) {
+  const record = await this.findOne({ key, lockedUntil: { $gt: new Date() } }).lean();
+  return record ? secondsUntil(record.lockedUntil) : 0;
+};
+
+// 3️⃣ Count a failure; lock the key once `limit` failures land in the window
+// → seconds of lockout just applied, or 0
+rateLimitSchema.statics.recordFailure = async function (key, { limit, windowMs, lockMs }) {
+  const { count } = await this.hit(key, { limit, windowMs });
+  if (count < limit) return 0;
+
+  const lockedUntil = new Date(Date.now() + lockMs);
+  await this.updateOne(
+    { key },
+    // Keep the document around for as long as the lock lasts
+    { $set: { lockedUntil, expiresAt: lockedUntil, count: 0 } }
+  );
+  return secondsUntil(lockedUntil);
+};
+
+// 4️⃣ Forget a key (e.g. failures after a successful login)
+rateLimitSchema.statics.clear = async function (key) {
+  return this.deleteOne({ key });
+};
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.RateLimit || mongoose.model("RateLimit", rateLimitSchema);
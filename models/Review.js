@@ -1,10 +1,104 @@
 import mongoose from 'mongoose';
+import Product from './Product.js';
+import Service from './Service.js';
+
+// One review model for everything that can be reviewed.
+// targetType is the model name of the reviewed document.
+const TARGET_MODELS = { Product, Service };
+const MAX_PHOTOS = 5;
 
 const reviewSchema = new mongoose.Schema({
-  serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
+  targetType: { type: String, enum: Object.keys(TARGET_MODELS), required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, refPath: 'targetType', required: true },
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   rating: { type: Number, required: true, min: 1, max: 5 },
-  comment: { type: String, default: '' },
+  comment: { type: String, trim: true, maxlength: 2000, default: '' },
+  // Reviewer bought the product / had the service (set server-side)
+  verified: { type: Boolean, default: false },
+  // Moderation (only approved reviews are public and counted)
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending', index: true },
+  moderationReason: { type: String, trim: true, maxlength: 500, default: '' },
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  moderatedAt: { type: Date, default: null },
+  // Before/after photos (image URLs, like Product.image)
+  photos: {
+    type: [{
+      _id: false,
+      url: { type: String, required: true, trim: true, match: [/^https?:\/\/\S+$/i, 'Photo URL must start with http(s)://'] },
+      label: { type: String, enum: ['before', 'after', ''], default: '' },
+      caption: { type: String, trim: true, maxlength: 200, default: '' },
+    }],
+    validate: { validator: (photos) => photos.length <= MAX_PHOTOS, message: `At most ${MAX_PHOTOS} photos per review` },
+    default: [],
+  },
+  // "Helpful" votes (voter ids are kept to allow one vote per user)
+  helpfulCount: { type: Number, default: 0, min: 0 },
+  helpfulVoters: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], default: [], select: false },
+  // Public reply from the salon
+  reply: {
+    type: {
+      _id: false,
+      text: { type: String, trim: true, maxlength: 1000, required: true },
+      repliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      repliedAt: { type: Date, default: Date.now },
+    },
+    default: null,
+  },
 }, { timestamps: true });
 
-export default mongoose.model('Review', reviewSchema);
+// One review per user per product / service
+reviewSchema.index({ targetType: 1, targetId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ targetType: 1, targetId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ targetType: 1, targetId: 1, status: 1, helpfulCount: -1 });
+
+// Recompute averageRating / reviewCount on the target from its approved reviews
+reviewSchema.statics.updateTargetRating = async function (targetType, targetId) {
+  const [stats] = await this.aggregate([
+    {
+      $match: {
+        targetType,
+        targetId: new mongoose.Types.ObjectId(String(targetId)),
+        status: 'approved',
+      },
+    },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  await TARGET_MODELS[targetType].updateOne(
+    { _id: targetId },
+    {
+      averageRating: stats ? Math.round(stats.average * 100) / 100 : 0,
+      reviewCount: stats ? stats.count : 0,
+    }
+  );
+};
+
+// Add / remove a user's helpful vote → updated review, or null when the
+// vote was already in that state (or the review is not public)
+reviewSchema.statics.setHelpfulVote = async function (reviewId, userId, helpful) {
+  const filter = { _id: reviewId, status: 'approved', userId: { $ne: userId } };
+  filter.helpfulVoters = helpful ? { $ne: userId } : userId;
+
+  const update = helpful
+    ? { $addToSet: { helpfulVoters: userId }, $inc: { helpfulCount: 1 } }
+    : { $pull: { helpfulVoters: userId }, $inc: { helpfulCount: -1 } };
+
+  // Votes are not edits; keep updatedAt as the author's last change
+  return this.findOneAndUpdate(filter, update, { new: true, timestamps: false });
+};
+
+reviewSchema.statics.TARGET_TYPES = Object.keys(TARGET_MODELS);
+reviewSchema.statics.MAX_PHOTOS = MAX_PHOTOS;
+
+// Keep the aggregate in sync on every write
+reviewSchema.post('save', async function (doc) {
+  await doc.constructor.updateTargetRating(doc.targetType, doc.targetId);
+});
+reviewSchema.post('findOneAndDelete', async function (doc) {
+  if (doc) await mongoose.model('Review').updateTargetRating(doc.targetType, doc.targetId);
+});
+reviewSchema.post('deleteOne', { document: true, query: false }, async function (doc) {
+  await doc.constructor.updateTargetRating(doc.targetType, doc.targetId);
+});
+
+export default mongoose.models.Review || mongoose.model('Review', reviewSchema);
@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import { v4 as uuidv4 } from "uuid";
+import { MIN_DURATION_MINUTES, MAX_DURATION_MINUTES } from "../utils/schedule.js";
 
 const serviceSchema = new mongoose.Schema(
   {
@@ -21,17 +22,32 @@ const serviceSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Length of the appointment in minutes
     duration: {
-      type: String,
-      default: "",
-      trim: true,
+      type: Number,
+      required: true,
+      min: MIN_DURATION_MINUTES,
+      max: MAX_DURATION_MINUTES,
+      default: 30,
+      validate: {
+        validator: Number.isInteger,
+        message: (props) => `${props.value} is not a whole number of minutes`,
+      },
+    },
+    // Category the service is filed under (see models/Category.js)
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
     },
+    // Slug of that category; also the key of staff skills, slot capacities
+    // and booked seats
     category: {
       type: String,
       required: true,
-      enum: ["facial", "haircare", "massage", "makeup", "threading"],
-      default: "facial",
       trim: true,
+      lowercase: true,
     },
     image: {
       type: String,
@@ -53,9 +69,65 @@ const serviceSchema = new mongoose.Schema(
       default: "",
       trim: true,
     },
+
+    // ---- Deposit taken when booking (see utils/payments.js) ----
+    depositType: {
+      type: String,
+      enum: ["none", "fixed", "percent"],
+      default: "none",
+    },
+    // Currency amount for "fixed", percentage of the price for "percent"
+    depositValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: {
+        validator: function (v) {
+          const type = this.depositType ?? this.getUpdate?.()?.depositType;
+          return type !== "percent" || v <= 100;
+        },
+        message: "A percentage deposit cannot exceed 100",
+      },
+    },
+
+    // ---- Review aggregates (maintained by the Review model) ----
+    averageRating: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5,
+    },
+    reviewCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
   },
   { timestamps: true }
 );
 
+// Sort by rating
+serviceSchema.index({ averageRating: -1, reviewCount: -1 });
+// Catalogue search (see utils/search.js), weighted like the product index
+serviceSchema.index(
+  { name: "text", category: "text", description: "text" },
+  { name: "service_search", weights: { name: 10, category: 3, description: 1 } }
+);
+
+//
+// ✅ Methods
+//
+
+// Deposit owed up front for a booking at `price` (never more than the price)
+serviceSchema.methods.getDepositAmount = function (price = this.price) {
+  if (this.depositType === "fixed") {
+    return Math.min(price, this.depositValue);
+  }
+  if (this.depositType === "percent") {
+    return Math.round(price * this.depositValue) / 100;
+  }
+  return 0;
+};
+
 
 export default mongoose.model("Service", serviceSchema);
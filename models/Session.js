@@ -0,0 +1,148 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const refreshExpiry = () => {
+  const days = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// One logged-in device. Access tokens carry the session id (`sid`) and are
+// rejected once the session is revoked; refresh tokens rotate on every use.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // ---- Refresh token (only hashes are stored) ----
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // The token that was just rotated out; seeing it again means it leaked
+    previousTokenHash: {
+      type: String,
+      default: null,
+    },
+
+    // ---- Device info (for "active sessions" lists) ----
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [null, "logout", "logout_all", "token_reuse", "admin"],
+      default: null,
+    },
+    // MongoDB removes the session once the refresh token can no longer be used
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+//
+// ✅ Static Methods
+//
+
+// 1️⃣ Open a session → { session, refreshToken }
+sessionSchema.statics.open = async function (userId, { userAgent = "", ip = "" } = {}) {
+  const session = new this({ userId, userAgent: userAgent.slice(0, 300), ip, expiresAt: refreshExpiry() });
+  const refreshToken = `${session._id}.${crypto.randomBytes(32).toString("hex")}`;
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+  return { session, refreshToken };
+};
+
+// 2️⃣ Swap a refresh token for a new one → { session, refreshToken }
+// Throws 401 for unknown, expired or revoked tokens. Presenting an already
+// rotated token revokes the whole session (someone else has a copy).
+sessionSchema.statics.rotate = async function (refreshToken) {
+  const unauthorized = (message) => {
+    const err = new Error(message);
+    err.statusCode = 401;
+    return err;
+  };
+
+  const [sessionId] = String(refreshToken).split(".");
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw unauthorized("Invalid refresh token");
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+
+  const session = await this.findOneAndUpdate(
+    { _id: sessionId, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      tokenHash: hashToken(nextToken),
+      previousTokenHash: presentedHash,
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: nextToken };
+  }
+
+  const reused = await this.findOneAndUpdate(
+    { _id: sessionId, previousTokenHash: presentedHash, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "token_reuse" }
+  );
+  if (reused) {
+    console.warn(`⚠️ Refresh token reuse detected for session ${sessionId}; session revoked`);
+  }
+
+  throw unauthorized("Session expired or revoked. Please login again");
+};
+
+// 3️⃣ Revoke one session
+sessionSchema.statics.revoke = async function (sessionId, reason = "logout") {
+  return this.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// 4️⃣ Revoke every session of a user (optionally keeping one)
+sessionSchema.statics.revokeAllForUser = async function (userId, { exceptSessionId = null, reason = "logout_all" } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// 5️⃣ Whether access tokens of this session are still honoured
+sessionSchema.statics.isActive = async function (sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  return !!(await this.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.Session || mongoose.model("Session", sessionSchema);
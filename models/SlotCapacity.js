@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// Fallback when no capacity has been configured for a category
+const DEFAULT_CAPACITY = Math.max(1, parseInt(process.env.DEFAULT_SLOT_CAPACITY) || 1);
+
+const slotCapacitySchema = new mongoose.Schema(
+  {
+    // ---- Service category (or "default" for the salon-wide fallback) ----
+    category: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+
+    // ---- Chairs / stylists available per slot ----
+    capacity: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: {
+        validator: Number.isInteger,
+        message: (props) => `${props.value} is not a whole number`,
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+//
+// ✅ Static Methods
+//
+
+// Resolve capacity: category setting → "default" setting → env fallback
+slotCapacitySchema.statics.getCapacity = async function (category) {
+  const settings = await this.find({ category: { $in: [category, "default"] } });
+  const specific = settings.find((s) => s.category === category);
+  const fallback = settings.find((s) => s.category === "default");
+
+  if (specific) return specific.capacity;
+  if (fallback) return fallback.capacity;
+  return DEFAULT_CAPACITY;
+};
+
+// Resolve capacity for several categories at once → { category: capacity }
+slotCapacitySchema.statics.getCapacities = async function (categories) {
+  const settings = await this.find({ category: { $in: [...categories, "default"] } });
+  const byCategory = new Map(settings.map((s) => [s.category, s.capacity]));
+  const fallback = byCategory.has("default") ? byCategory.get("default") : DEFAULT_CAPACITY;
+
+  return Object.fromEntries(
+    categories.map((c) => [c, byCategory.has(c) ? byCategory.get(c) : fallback])
+  );
+};
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.SlotCapacity || mongoose.model("SlotCapacity", slotCapacitySchema);
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+// One counter per date + time + category. Bookings claim a seat by
+// incrementing the counter only while it is below capacity, which keeps
+// concurrent bookings from overfilling a slot.
+const slotReservationSchema = new mongoose.Schema(
+  {
+    date: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Invalid date format (YYYY-MM-DD)"],
+    },
+    time: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-3]):([0-5]\d)$/, "Invalid time format (HH:mm)"],
+    },
+    category: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+slotReservationSchema.index({ date: 1, time: 1, category: 1 }, { unique: true });
+
+//
+// ✅ Static Methods
+//
+
+// 1️⃣ Claim one seat in every cell an appointment covers.
+// Throws a 409 error when any cell is full — run inside a transaction so the
+// cells claimed before the failure are rolled back.
+slotReservationSchema.statics.reserve = async function ({ date, times, category, capacity }, session = null) {
+  const slotFull = (time) => {
+    const err = new Error(`Time slot ${time} on ${date} is fully booked`);
+    err.statusCode = 409;
+    err.pool = category;
+    return err;
+  };
+
+  for (const time of times) {
+    if (capacity <= 0) throw slotFull(time);
+
+    try {
+      // Filter only matches while a seat is free. When the counter is full the
+      // upsert collides with the unique index instead of creating a duplicate.
+      await this.findOneAndUpdate(
+        { date, time, category, count: { $lt: capacity } },
+        { $inc: { count: 1 } },
+        { upsert: true, new: true, session }
+      );
+    } catch (err) {
+      if (err.code === 11000) throw slotFull(time);
+      throw err;
+    }
+  }
+};
+
+// 2️⃣ Give seats back (cancellation or reschedule)
+slotReservationSchema.statics.release = async function ({ date, times, category }, session = null) {
+  return this.updateMany(
+    { date, time: { $in: times }, category, count: { $gt: 0 } },
+    { $inc: { count: -1 } },
+    { session }
+  );
+};
+
+// 3️⃣ Booked seats per time for a date → { "10:00": { facial: 2 } }
+slotReservationSchema.statics.getCountsForDate = async function (date) {
+  const counters = await this.find({ date, count: { $gt: 0 } });
+  const counts = {};
+  counters.forEach((c) => {
+    counts[c.time] = counts[c.time] || {};
+    counts[c.time][c.category] = c.count;
+  });
+  return counts;
+};
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.SlotReservation || mongoose.model("SlotReservation", slotReservationSchema);
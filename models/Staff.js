@@ -0,0 +1,170 @@
+import mongoose from "mongoose";
+import Category from "./Category.js";
+import { timeToMinutes, minutesToTime, getWeekday, getCoveredSlots } from "../utils/schedule.js";
+
+const TIME_FORMAT = [/^([01]\d|2[0-3]):([0-5]\d)$/, "Invalid time format (HH:mm)"];
+
+const staffSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 2,
+      maxlength: 100,
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: "",
+      validate: {
+        validator: (v) => v === "" || /^\+?\d{10,15}$/.test(v),
+        message: (props) => `${props.value} is not a valid phone number`,
+      },
+    },
+    image: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+
+    // ---- Service category slugs this person performs ----
+    skills: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: async (skills) => {
+          if (skills.length === 0) return true;
+          const categories = await Category.getSlugs("service");
+          return skills.every((s) => categories.includes(s));
+        },
+        message: (props) => `Unknown skill in ${props.value}`,
+      },
+    },
+
+    // ---- Weekly hours (weekdays without an entry follow salon hours) ----
+    workingHours: [
+      {
+        _id: false,
+        weekday: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+        isWorking: { type: Boolean, default: true },
+        startTime: { type: String, match: TIME_FORMAT },
+        endTime: { type: String, match: TIME_FORMAT },
+      },
+    ],
+
+    // ---- Leave / holidays ----
+    daysOff: [
+      {
+        _id: false,
+        date: {
+          type: String,
+          required: true,
+          match: [/^\d{4}-\d{2}-\d{2}$/, "Invalid date format (YYYY-MM-DD)"],
+        },
+        reason: { type: String, trim: true, maxlength: 200, default: "" },
+      },
+    ],
+
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+staffSchema.index({ skills: 1, isActive: 1 });
+
+//
+// ✅ Hooks
+//
+
+// Keep one days-off entry per date
+staffSchema.pre("save", function (next) {
+  if (this.daysOff && this.daysOff.length > 0) {
+    const seen = new Set();
+    this.daysOff = this.daysOff.filter((d) => {
+      if (seen.has(d.date)) return false;
+      seen.add(d.date);
+      return true;
+    });
+  }
+  next();
+});
+
+//
+// ✅ Methods
+//
+
+// Working window on a resolved salon day (see Availability.resolveDay)
+// → { startTime, endTime } or null when not working
+staffSchema.methods.getWorkingWindow = function (day) {
+  if (!this.isActive || !day.isOpen) return null;
+  if (this.daysOff.some((d) => d.date === day.date)) return null;
+
+  const weekday = getWeekday(day.date);
+  const hours = this.workingHours.find((h) => h.weekday === weekday);
+  if (hours && !hours.isWorking) return null;
+
+  // Never earlier or later than the salon itself
+  const start = Math.max(
+    timeToMinutes(day.openTime),
+    hours?.startTime ? timeToMinutes(hours.startTime) : 0
+  );
+  const end = Math.min(
+    timeToMinutes(day.closeTime),
+    hours?.endTime ? timeToMinutes(hours.endTime) : 24 * 60
+  );
+
+  return start < end ? { startTime: minutesToTime(start), endTime: minutesToTime(end) } : null;
+};
+
+// Why this person cannot take an appointment, or null when they can
+staffSchema.methods.getUnavailableReason = function (day, time, duration, category = null) {
+  if (category && !this.skills.includes(category)) {
+    return `${this.name} does not perform ${category} services`;
+  }
+
+  const window = this.getWorkingWindow(day);
+  if (!window) {
+    return `${this.name} is not working on ${day.date}`;
+  }
+
+  const start = timeToMinutes(time);
+  if (start < timeToMinutes(window.startTime) || start + duration > timeToMinutes(window.endTime)) {
+    return `${this.name} works ${window.startTime}-${window.endTime} on ${day.date}`;
+  }
+
+  return null;
+};
+
+// Free for the whole interval given the day's slot counters
+// (see SlotReservation.getCountsForDate)
+staffSchema.methods.isFreeAt = function (day, time, duration, bookedCounts, category = null) {
+  if (this.getUnavailableReason(day, time, duration, category)) return false;
+
+  const pool = this.constructor.poolKey(this._id);
+  return getCoveredSlots(time, duration).every((cell) => !bookedCounts[cell]?.[pool]);
+};
+
+//
+// ✅ Static Methods
+//
+
+// Capacity pool key used for this person's slot counters (capacity 1)
+staffSchema.statics.poolKey = function (staffId) {
+  return `staff:${staffId}`;
+};
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.Staff || mongoose.model("Staff", staffSchema);
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+// Raised when a sale, damage or adjustment takes a product (or one of its
+// variants) down to its reorder threshold (see utils/stockAlerts.js). Each
+// has at most one open alert; it is escalated to "out_of_stock" on selling
+// out and resolved automatically once stock is back above the threshold.
+const stockAlertSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    sku: { type: String, default: "" },
+    type: {
+      type: String,
+      enum: ["low_stock", "out_of_stock"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved"],
+      default: "open",
+      index: true,
+    },
+
+    // Stock and threshold when the alert was raised or last escalated
+    stock: { type: Number, required: true, min: 0 },
+    threshold: { type: Number, required: true, min: 0 },
+    // Movement that triggered it
+    movementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockMovement",
+      default: null,
+    },
+
+    // An admin has seen it (e.g. a reorder is on its way)
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    acknowledgedAt: { type: Date, default: null },
+    resolvedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// One open alert per product / variant
+stockAlertSchema.index(
+  { productId: 1, variantId: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+stockAlertSchema.index({ status: 1, createdAt: -1 });
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.StockAlert || mongoose.model("StockAlert", stockAlertSchema);
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+// Append-only ledger of every change to Product.stock (see utils/inventory.js).
+// Summing `quantity` for a product (or one of its variants) gives what its
+// stock should be; the reconciliation report flags products where it does not.
+//
+//   purchase             — goods received (positive)
+//   sale                 — reserved by an order at checkout (negative)
+//   cancellation_restock — returned to stock when an order is cancelled
+//   return_restock       — returned to stock when a return is accepted
+//   adjustment           — manual correction by an admin (either sign)
+//   damage               — written off as damaged or lost (negative)
+const STOCK_MOVEMENT_REASONS = [
+  "purchase",
+  "sale",
+  "cancellation_restock",
+  "return_restock",
+  "adjustment",
+  "damage",
+];
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Set for products sold in variants; the SKU is kept for reading the ledger
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    sku: { type: String, default: "" },
+    // Signed change applied to the stock
+    quantity: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: (value) => Number.isInteger(value) && value !== 0,
+        message: "Quantity must be a non-zero whole number",
+      },
+    },
+    // Stock (of the variant, when set) right after this movement
+    balanceAfter: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    reason: {
+      type: String,
+      enum: STOCK_MOVEMENT_REASONS,
+      required: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+      index: true,
+    },
+    note: { type: String, trim: true, maxlength: 500, default: "" },
+
+    // Who made the change (null / "system" for automatic ones)
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    role: {
+      type: String,
+      enum: ["user", "admin", "system"],
+      default: "system",
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+stockMovementSchema.index({ productId: 1, variantId: 1, createdAt: -1 });
+
+stockMovementSchema.statics.REASONS = STOCK_MOVEMENT_REASONS;
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.StockMovement || mongoose.model("StockMovement", stockMovementSchema);
@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import { v4 as uuidv4 } from "uuid";
+import bcrypt from "bcryptjs";
 
 const userSchema = new mongoose.Schema(
   {
@@ -30,11 +31,63 @@ const userSchema = new mongoose.Schema(
       default: "user",
       required: true,
     },
+
+    // ---- Password login (optional; every account can use OTP login) ----
+    password: {
+      type: String,
+      minlength: 6,
+      default: null,
+      select: false, // only loaded with .select("+password")
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // ---- Reviews from trusted users skip the moderation queue ----
+    isTrustedReviewer: {
+      type: Boolean,
+      default: false,
+    },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.password;
+        return ret;
+      },
+    },
+  }
 );
 
+//
+// ✅ Hooks
+//
+
+// Hash password before save
+userSchema.pre("save", async function (next) {
+  if (!this.isModified("password") || !this.password) return next();
+  this.password = await bcrypt.hash(this.password, 10);
+  this.passwordChangedAt = new Date();
+  next();
+});
+
+//
+// ✅ Methods
+//
+
+// Compare a plain password (requires the document to be loaded with +password)
+userSchema.methods.comparePassword = async function (plain) {
+  if (!this.password) return false;
+  return bcrypt.compare(plain, this.password);
+};
 
+// Login methods available on this account
+// (passwordChangedAt is set whenever a password exists, so the hash need not be loaded)
+userSchema.methods.getLoginMethods = function () {
+  return this.passwordChangedAt ? ["otp", "password"] : ["otp"];
+};
 
 // Prevent "Cannot overwrite model" error during hot reload
 export default mongoose.models.User || mongoose.model("User", userSchema);
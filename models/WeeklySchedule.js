@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import {
+  WEEKDAYS,
+  OPENING_TIME,
+  CLOSING_TIME,
+  SLOT_INTERVAL_MINUTES,
+  CAPACITY_CELL_MINUTES,
+  timeToMinutes,
+} from "../utils/schedule.js";
+
+const TIME_FORMAT = [/^([01]\d|2[0-3]):([0-5]\d)$/, "Invalid time format (HH:mm)"];
+
+const breakSchema = new mongoose.Schema(
+  {
+    start: { type: String, required: true, match: TIME_FORMAT },
+    end: { type: String, required: true, match: TIME_FORMAT },
+    label: { type: String, trim: true, maxlength: 50, default: "" },
+  },
+  { _id: false }
+);
+
+const daySchema = new mongoose.Schema(
+  {
+    weekday: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+    isOpen: { type: Boolean, default: true },
+    openTime: { type: String, match: TIME_FORMAT, default: OPENING_TIME },
+    closeTime: { type: String, match: TIME_FORMAT, default: CLOSING_TIME },
+    breaks: { type: [breakSchema], default: [] },
+  },
+  { _id: false }
+);
+
+const weeklyScheduleSchema = new mongoose.Schema(
+  {
+    // ---- Singleton key (one salon-wide schedule) ----
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+
+    // ---- Minutes between bookable start times ----
+    slotInterval: {
+      type: Number,
+      default: SLOT_INTERVAL_MINUTES,
+      min: CAPACITY_CELL_MINUTES,
+      max: 240,
+      validate: {
+        validator: (v) => v % CAPACITY_CELL_MINUTES === 0,
+        message: `Slot interval must be a multiple of ${CAPACITY_CELL_MINUTES} minutes`,
+      },
+    },
+
+    // ---- One entry per weekday ----
+    days: {
+      type: [daySchema],
+      default: () => WEEKDAYS.map((_, weekday) => ({ weekday })),
+    },
+  },
+  { timestamps: true }
+);
+
+//
+// ✅ Hooks
+//
+const invalid = (message) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+weeklyScheduleSchema.pre("validate", function (next) {
+  const seen = new Set();
+
+  for (const day of this.days) {
+    if (seen.has(day.weekday)) {
+      return next(invalid(`Duplicate entry for ${WEEKDAYS[day.weekday]}`));
+    }
+    seen.add(day.weekday);
+
+    if (!day.isOpen) continue;
+
+    const open = timeToMinutes(day.openTime);
+    const close = timeToMinutes(day.closeTime);
+    if (open >= close) {
+      return next(invalid(`${WEEKDAYS[day.weekday]}: opening time must be before closing time`));
+    }
+
+    for (const b of day.breaks) {
+      const start = timeToMinutes(b.start);
+      const end = timeToMinutes(b.end);
+      if (start >= end || start < open || end > close) {
+        return next(invalid(`${WEEKDAYS[day.weekday]}: break ${b.start}-${b.end} must fall within opening hours`));
+      }
+    }
+  }
+
+  // Fill in any weekday that was left out
+  WEEKDAYS.forEach((_, weekday) => {
+    if (!seen.has(weekday)) this.days.push({ weekday });
+  });
+  this.days.sort((a, b) => a.weekday - b.weekday);
+
+  next();
+});
+
+//
+// ✅ Static Methods
+//
+
+// 1️⃣ Current schedule (unsaved defaults when the admin has not set one)
+weeklyScheduleSchema.statics.getSchedule = async function () {
+  const schedule = await this.findOne({ key: "default" });
+  return schedule || new this({ key: "default" });
+};
+
+// 2️⃣ Hours for one weekday → { isOpen, openTime, closeTime, breaks, slotInterval }
+weeklyScheduleSchema.statics.getDay = async function (weekday) {
+  const schedule = await this.getSchedule();
+  const day = schedule.days.find((d) => d.weekday === weekday) || { weekday };
+
+  return {
+    isOpen: day.isOpen ?? true,
+    openTime: day.openTime || OPENING_TIME,
+    closeTime: day.closeTime || CLOSING_TIME,
+    breaks: (day.breaks || []).map((b) => ({ start: b.start, end: b.end, label: b.label })),
+    slotInterval: schedule.slotInterval,
+  };
+};
+
+//
+// ✅ Export Model (with Hot Reload Support)
+//
+export default mongoose.models.WeeklySchedule || mongoose.model("WeeklySchedule", weeklyScheduleSchema);
@@ -1,16 +1,62 @@
 import express from "express";
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
+import crypto from "crypto";
 import User from "../models/User.js";
+import Otp from "../models/Otp.js";
+import Session from "../models/Session.js";
 import { verifyToken } from "../middleware/authMiddleware.js";
+import { sendSms } from "../utils/sms.js";
+import { issueTokens, refreshTokens, getJwtSecret } from "../utils/authTokens.js";
+import {
+  rateLimit,
+  createLockout,
+  sendTooManyRequests,
+  clientIp,
+  bodyPhone,
+  MINUTE,
+} from "../middleware/rateLimitMiddleware.js";
 
 dotenv.config();
 const router = express.Router();
 
-// Temporary OTP store (replace with Redis or DB later)
-const otpStore = new Map();
 const OTP_EXPIRY = 5 * 60 * 1000; // 5 minutes
 
+// ============================================
+// 🚦 RATE LIMITS
+// ============================================
+
+const checkPhoneLimits = [
+  rateLimit({ name: "check-phone:ip", limit: 20, windowMs: 15 * MINUTE, keyBy: clientIp }),
+  rateLimit({ name: "check-phone:phone", limit: 5, windowMs: 15 * MINUTE, keyBy: bodyPhone }),
+];
+
+// The per-phone quota runs after the cooldown, so retries the cooldown
+// rejects do not use it up
+const sendOtpIpLimit = rateLimit({ name: "send-otp:ip", limit: 10, windowMs: 60 * MINUTE, keyBy: clientIp });
+const sendOtpPhoneLimit = rateLimit({ name: "send-otp:phone", limit: 5, windowMs: 60 * MINUTE, keyBy: bodyPhone });
+
+// One OTP per phone per cooldown
+const OTP_COOLDOWN = 60 * 1000;
+const otpCooldown = rateLimit({
+  name: "send-otp:cooldown",
+  limit: 1,
+  windowMs: OTP_COOLDOWN,
+  keyBy: bodyPhone,
+  message: "Please wait before requesting another OTP",
+});
+
+const verifyOtpLimits = [
+  rateLimit({ name: "verify-otp:ip", limit: 20, windowMs: 15 * MINUTE, keyBy: clientIp }),
+];
+
+const refreshLimits = [
+  rateLimit({ name: "refresh:ip", limit: 60, windowMs: 15 * MINUTE, keyBy: clientIp }),
+];
+
+// Wrong codes across successive OTPs lock the phone out
+const otpLockout = createLockout({ name: "verify-otp:fail", limit: 5 });
+
 // ============================================
 // 🛠️ UTILITY FUNCTIONS
 // ============================================
@@ -19,7 +65,7 @@ const OTP_EXPIRY = 5 * 60 * 1000; // 5 minutes
  * Generate random 6-digit OTP
  */
 const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
 /**
@@ -41,7 +87,7 @@ const isValidPhone = (phone) => {
 // ============================================
 // ✅ CHECK IF PHONE EXISTS
 // ============================================
-router.post("/check-phone", async (req, res) => {
+router.post("/check-phone", checkPhoneLimits, async (req, res) => {
   try {
     const { phone } = req.body;
 
@@ -55,20 +101,13 @@ router.post("/check-phone", async (req, res) => {
       return sendResponse(res, 400, false, "Invalid phone number format");
     }
 
-    // Check if user exists
-    const user = await User.findOne({ phone: trimmedPhone });
-    const exists = !!user;
+    // Only whether the number is registered (login vs sign-up); who owns it
+    // is never shown to anonymous callers
+    const exists = !!(await User.exists({ phone: trimmedPhone }));
 
     sendResponse(res, 200, true, "Phone status checked", {
       phone: trimmedPhone,
       exists,
-      user: exists
-        ? {
-            id: user._id,
-            name: user.name,
-            role: user.role,
-          }
-        : null,
     });
   } catch (error) {
     console.error("❌ Check Phone Error:", error);
@@ -79,7 +118,7 @@ router.post("/check-phone", async (req, res) => {
 // ============================================
 // 📱 SEND OTP
 // ============================================
-router.post("/send-otp", async (req, res) => {
+router.post("/send-otp", sendOtpIpLimit, otpLockout.guard, otpCooldown, sendOtpPhoneLimit, async (req, res) => {
   try {
     const { phone } = req.body;
 
@@ -98,23 +137,24 @@ router.post("/send-otp", async (req, res) => {
       ? generateOTP() 
       : "123456"; // Mock OTP for testing
 
-    // Store OTP with expiry
-    otpStore.set(trimmedPhone, {
-      otp,
-      timestamp: Date.now(),
-      attempts: 0,
-    });
+    // Store hashed OTP (MongoDB expires it after OTP_EXPIRY)
+    await Otp.issue(trimmedPhone, otp, OTP_EXPIRY);
 
-    // Auto-delete OTP after 5 minutes
-    setTimeout(() => {
-      otpStore.delete(trimmedPhone);
-    }, OTP_EXPIRY);
-
-    console.log(`✅ OTP sent to ${trimmedPhone}: ${otp}`);
+    try {
+      await sendSms(
+        trimmedPhone,
+        `Your verification code is ${otp}. It expires in ${OTP_EXPIRY / 60000} minutes.`
+      );
+    } catch (smsError) {
+      console.error("❌ SMS Delivery Error:", smsError);
+      await Otp.clear(trimmedPhone);
+      return sendResponse(res, 502, false, "Could not send OTP. Please try again");
+    }
 
     sendResponse(res, 200, true, "OTP sent successfully", {
       phone: trimmedPhone,
-      expiresIn: 300, // seconds
+      expiresIn: OTP_EXPIRY / 1000, // seconds
+      resendAfter: OTP_COOLDOWN / 1000, // seconds
       demo: process.env.NODE_ENV !== "production" ? "Use 123456 for testing" : undefined,
     });
   } catch (error) {
@@ -126,7 +166,7 @@ router.post("/send-otp", async (req, res) => {
 // ============================================
 // ✔️ VERIFY OTP (NEW - Without auto user creation)
 // ============================================
-router.post("/verify-otp", async (req, res) => {
+router.post("/verify-otp", verifyOtpLimits, otpLockout.guard, async (req, res) => {
   try {
     const { phone, otp } = req.body;
 
@@ -149,30 +189,32 @@ router.post("/verify-otp", async (req, res) => {
       return sendResponse(res, 400, false, "OTP must be 6 digits");
     }
 
-    // Check if OTP exists
-    const otpData = otpStore.get(trimmedPhone);
-    if (!otpData) {
+    // Check OTP (attempts are counted in the database, max 3)
+    const result = await Otp.verifyCode(trimmedPhone, trimmedOtp);
+
+    if (result === "missing") {
       return sendResponse(res, 400, false, "OTP expired or not sent. Please request a new OTP");
     }
 
-    // Check OTP expiry
-    if (Date.now() - otpData.timestamp > OTP_EXPIRY) {
-      otpStore.delete(trimmedPhone);
+    if (result === "expired") {
       return sendResponse(res, 400, false, "OTP has expired. Please request a new OTP");
     }
 
-    // Check OTP validity (max 3 attempts)
-    if (otpData.attempts >= 3) {
-      otpStore.delete(trimmedPhone);
+    if (result === "locked") {
       return sendResponse(res, 400, false, "Too many failed attempts. Please request a new OTP");
     }
 
-    // Verify OTP
-    if (otpData.otp !== trimmedOtp) {
-      otpData.attempts += 1;
+    if (result === "invalid") {
+      const lockedFor = await otpLockout.fail(trimmedPhone);
+      if (lockedFor > 0) {
+        await Otp.clear(trimmedPhone);
+        return sendTooManyRequests(res, lockedFor, otpLockout.lockedMessage(lockedFor));
+      }
       return sendResponse(res, 401, false, "Invalid OTP");
     }
 
+    await otpLockout.succeed(trimmedPhone);
+
     // OTP is correct - check if user exists
     let user = await User.findOne({ phone: trimmedPhone });
     let isNewUser = false;
@@ -194,13 +236,10 @@ router.post("/verify-otp", async (req, res) => {
         phone: trimmedPhone,
         tempAuth: true, // Mark as temporary
       },
-      process.env.JWT_SECRET || "your-secret-key-change-in-production",
+      getJwtSecret(),
       { expiresIn: "10m" }
     );
 
-    // Delete OTP after successful verification
-    otpStore.delete(trimmedPhone);
-
     // Response
     if (isNewUser) {
       // New user or incomplete profile - ask for name
@@ -216,16 +255,8 @@ router.post("/verify-otp", async (req, res) => {
         } : null,
       });
     } else {
-      // Existing user with name - create permanent token and login
-      const token = jwt.sign(
-        {
-          id: user._id,
-          phone: user.phone,
-          role: user.role,
-        },
-        process.env.JWT_SECRET || "your-secret-key-change-in-production",
-        { expiresIn: "7d" }
-      );
+      // Existing user with name - start a session and login
+      const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
       sendResponse(res, 200, true, "Login successful", {
         user: {
@@ -234,7 +265,9 @@ router.post("/verify-otp", async (req, res) => {
           name: user.name,
           role: user.role,
         },
-        token, // Permanent token
+        token, // Short-lived access token
+        refreshToken,
+        expiresIn,
         isNewUser: false,
       });
     }
@@ -286,16 +319,8 @@ router.post("/set-name", verifyToken, async (req, res) => {
       await user.save();
     }
 
-    // Create permanent JWT token
-    const token = jwt.sign(
-      {
-        id: user._id,
-        phone: user.phone,
-        role: user.role,
-      },
-      process.env.JWT_SECRET || "your-secret-key-change-in-production",
-      { expiresIn: "7d" }
-    );
+    // Start a session
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
     sendResponse(res, 200, true, "Profile completed successfully", {
       user: {
@@ -305,6 +330,8 @@ router.post("/set-name", verifyToken, async (req, res) => {
         role: user.role,
       },
       token,
+      refreshToken,
+      expiresIn,
     });
   } catch (error) {
     console.error("❌ Set Name Error:", error);
@@ -318,13 +345,19 @@ router.post("/set-name", verifyToken, async (req, res) => {
 router.get("/me", verifyToken, async (req, res) => {
   try {
     const userId = req.user._id || req.user.id;
-    const user = await User.findById(userId).select("_id name phone role");
+    const user = await User.findById(userId).select("_id name phone role passwordChangedAt");
 
     if (!user) {
       return sendResponse(res, 404, false, "User not found");
     }
 
-    sendResponse(res, 200, true, "User fetched successfully", user);
+    sendResponse(res, 200, true, "User fetched successfully", {
+      _id: user._id,
+      name: user.name,
+      phone: user.phone,
+      role: user.role,
+      loginMethods: user.getLoginMethods(),
+    });
   } catch (error) {
     console.error("❌ Get User Error:", error);
     sendResponse(res, 500, false, "Server error while fetching user");
@@ -332,12 +365,74 @@ router.get("/me", verifyToken, async (req, res) => {
 });
 
 // ============================================
-// 🚪 LOGOUT (Optional - frontend can just delete token)
+// 🔁 REFRESH SESSION (rotates the refresh token)
+// ============================================
+router.post("/refresh", refreshLimits, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return sendResponse(res, 400, false, "Refresh token is required");
+    }
+
+    const { user, token, refreshToken: nextRefreshToken, expiresIn } = await refreshTokens(refreshToken);
+
+    sendResponse(res, 200, true, "Session refreshed successfully", {
+      user: {
+        _id: user._id,
+        phone: user.phone,
+        name: user.name,
+        role: user.role,
+      },
+      token,
+      refreshToken: nextRefreshToken,
+      expiresIn,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    console.error("❌ Refresh Session Error:", error);
+    sendResponse(res, 500, false, "Server error while refreshing session");
+  }
+});
+
+// ============================================
+// 📋 ACTIVE SESSIONS (devices)
+// ============================================
+router.get("/sessions", verifyToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip lastUsedAt createdAt")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    sendResponse(
+      res,
+      200,
+      true,
+      "Sessions fetched successfully",
+      sessions.map((s) => ({ ...s, current: String(s._id) === req.user.sessionId }))
+    );
+  } catch (error) {
+    console.error("❌ Get Sessions Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching sessions");
+  }
+});
+
+// ============================================
+// 🚪 LOGOUT (revokes this session)
 // ============================================
 router.post("/logout", verifyToken, async (req, res) => {
   try {
-    // Optional: Invalidate token on backend (requires token blacklist DB)
-    // For now, just confirm logout
+    if (req.user.sessionId) {
+      await Session.revoke(req.user.sessionId, "logout");
+    }
+
     sendResponse(res, 200, true, "Logged out successfully");
   } catch (error) {
     console.error("❌ Logout Error:", error);
@@ -345,4 +440,20 @@ router.post("/logout", verifyToken, async (req, res) => {
   }
 });
 
+// ============================================
+// 🚪 LOGOUT ALL DEVICES
+// ============================================
+router.post("/logout-all", verifyToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, { reason: "logout_all" });
+
+    sendResponse(res, 200, true, "Logged out from all devices", {
+      revokedSessions: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("❌ Logout All Error:", error);
+    sendResponse(res, 500, false, "Server error while logging out from all devices");
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,5 +1,7 @@
 import express from "express";
 import Availability from "../models/Availability.js";
+import SlotCapacity from "../models/SlotCapacity.js";
+import Category from "../models/Category.js";
 
 import {verifyToken} from "../middleware/authMiddleware.js";
 import { verifyAdmin } from "../middleware/adminMiddleware.js";
@@ -183,6 +185,85 @@ router.post("/mark-available", verifyToken, verifyAdmin, async (req, res) => {
   }
 });
 
+// ============================================
+// 🕘 SET SPECIAL OPENING HOURS FOR A DATE — Admin only
+// ============================================
+router.post("/set-hours", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { date, openTime, closeTime, breaks } = req.body;
+
+    if (!date || date.trim().length === 0) {
+      return sendResponse(res, 400, false, "Date is required");
+    }
+
+    if (!isValidDateFormat(date)) {
+      return sendResponse(res, 400, false, "Date must be in YYYY-MM-DD format");
+    }
+
+    if (!isValidTimeFormat(openTime) || !isValidTimeFormat(closeTime)) {
+      return sendResponse(res, 400, false, "openTime and closeTime must be in HH:mm format");
+    }
+
+    if (breaks !== undefined) {
+      if (!Array.isArray(breaks)) {
+        return sendResponse(res, 400, false, "Breaks must be an array");
+      }
+      const invalidBreak = breaks.findIndex(
+        (b) => !isValidTimeFormat(b?.start) || !isValidTimeFormat(b?.end)
+      );
+      if (invalidBreak !== -1) {
+        return sendResponse(res, 400, false, `Break ${invalidBreak} must have start and end in HH:mm format`);
+      }
+    }
+
+    // Check if date is in past
+    const checkDate = new Date(date);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (checkDate < today) {
+      return sendResponse(res, 400, false, "Cannot change hours for past dates");
+    }
+
+    const availability = await Availability.setHoursOverride(date, {
+      openTime,
+      closeTime,
+      breaks: breaks || [],
+    });
+
+    sendResponse(res, 200, true, `Opening hours for ${date} set to ${openTime}-${closeTime}`, availability);
+  } catch (error) {
+    if (error.statusCode || error.name === "ValidationError") {
+      return sendResponse(res, 400, false, error.message);
+    }
+    console.error("❌ Set Hours Error:", error);
+    sendResponse(res, 500, false, "Server error while setting opening hours");
+  }
+});
+
+// ============================================
+// 🕘 CLEAR SPECIAL OPENING HOURS FOR A DATE — Admin only
+// ============================================
+router.post("/clear-hours", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { date } = req.body;
+
+    if (!date || date.trim().length === 0) {
+      return sendResponse(res, 400, false, "Date is required");
+    }
+
+    if (!isValidDateFormat(date)) {
+      return sendResponse(res, 400, false, "Date must be in YYYY-MM-DD format");
+    }
+
+    const availability = await Availability.clearHoursOverride(date);
+
+    sendResponse(res, 200, true, `${date} now follows the weekly schedule`, availability);
+  } catch (error) {
+    console.error("❌ Clear Hours Error:", error);
+    sendResponse(res, 500, false, "Server error while clearing opening hours");
+  }
+});
+
 // ============================================
 // 📄 GET ALL AVAILABILITY — 
 // ============================================
@@ -262,18 +343,25 @@ router.get("/check/:date", async (req, res) => {
       return sendResponse(res, 400, false, "Date must be in YYYY-MM-DD format");
     }
 
-    const availability = await Availability.findOne({ date });
+    const [availability, schedule] = await Promise.all([
+      Availability.findOne({ date }),
+      Availability.resolveDay(date),
+    ]);
 
     if (!availability) {
-      // Date has no restrictions
-      return sendResponse(res, 200, true, "Date is fully available", {
+      // Date has no restrictions beyond the weekly schedule
+      return sendResponse(res, 200, true, "Date has no exceptions", {
         date,
         isFullDayUnavailable: false,
         unavailableSlots: [],
+        schedule,
       });
     }
 
-    sendResponse(res, 200, true, "Availability fetched successfully", availability);
+    sendResponse(res, 200, true, "Availability fetched successfully", {
+      ...availability.toObject(),
+      schedule,
+    });
   } catch (error) {
     console.error("❌ Get Availability Error:", error);
     sendResponse(res, 500, false, "Server error while fetching availability");
@@ -534,4 +622,74 @@ router.post("/admin/bulk-unavailable", verifyToken, verifyAdmin, async (req, res
   }
 });
 
+// ============================================
+// 🪑 GET SLOT CAPACITIES — Admin only
+// ============================================
+router.get("/admin/capacity", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const categories = await Category.getSlugs("service");
+    const [capacities, settings] = await Promise.all([
+      SlotCapacity.getCapacities(categories),
+      SlotCapacity.find().sort({ category: 1 }),
+    ]);
+
+    sendResponse(res, 200, true, "Slot capacities fetched successfully", {
+      capacities,
+      settings,
+    });
+  } catch (error) {
+    console.error("❌ Get Capacity Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching slot capacities");
+  }
+});
+
+// ============================================
+// ✏️ SET SLOT CAPACITY FOR A CATEGORY — Admin only
+// ============================================
+router.put("/admin/capacity/:category", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const category = req.params.category.trim().toLowerCase();
+    const { capacity } = req.body;
+
+    const categories = await Category.getSlugs("service");
+    if (category !== "default" && !categories.includes(category)) {
+      return sendResponse(res, 400, false, `Category must be one of: default, ${categories.join(", ")}`);
+    }
+
+    if (!Number.isInteger(capacity) || capacity < 0) {
+      return sendResponse(res, 400, false, "Capacity must be a non-negative whole number");
+    }
+
+    const setting = await SlotCapacity.findOneAndUpdate(
+      { category },
+      { category, capacity },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    sendResponse(res, 200, true, `Capacity for ${category} set to ${capacity}`, setting);
+  } catch (error) {
+    console.error("❌ Set Capacity Error:", error);
+    sendResponse(res, 500, false, "Server error while setting slot capacity");
+  }
+});
+
+// ============================================
+// 🗑️ RESET SLOT CAPACITY FOR A CATEGORY — Admin only
+// ============================================
+router.delete("/admin/capacity/:category", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const category = req.params.category.trim().toLowerCase();
+
+    const deleted = await SlotCapacity.findOneAndDelete({ category });
+    if (!deleted) {
+      return sendResponse(res, 404, false, "No capacity configured for this category");
+    }
+
+    sendResponse(res, 200, true, `Capacity for ${category} reset to default`);
+  } catch (error) {
+    console.error("❌ Reset Capacity Error:", error);
+    sendResponse(res, 500, false, "Server error while resetting slot capacity");
+  }
+});
+
 export default router;
\ No newline at end of file
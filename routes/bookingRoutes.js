@@ -1,8 +1,25 @@
 import express from "express";
 import Booking from "../models/Booking.js";
 import Service from "../models/Service.js";
+import Category from "../models/Category.js";
 import User from "../models/User.js";
 import Availability from "../models/Availability.js";
+import SlotCapacity from "../models/SlotCapacity.js";
+import SlotReservation from "../models/SlotReservation.js";
+import Staff from "../models/Staff.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { reserveAppointment, releaseAppointment } from "../utils/appointments.js";
+import { getDepositHoldMinutes, isDepositRefundable } from "../utils/bookingHolds.js";
+import { createDepositIntent, refundBookingDeposit, toPaymentResponse } from "../utils/payments.js";
+import { resolveCoupon, redeemCoupon, releaseCoupon, toCouponSnapshot } from "../utils/coupons.js";
+import {
+  DEFAULT_DURATION_MINUTES,
+  timeToMinutes,
+  addMinutes,
+  generateSlotTimes,
+  getCoveredSlots,
+  getIntervalConflict,
+} from "../utils/schedule.js";
 
 import {verifyToken} from "../middleware/authMiddleware.js";
 import { verifyAdmin } from "../middleware/adminMiddleware.js";
@@ -114,18 +131,277 @@ const validateBookingInput = async (body) => {
     errors.push("Phone must be 10-15 digits with optional +");
   }
 
+  // Optional: a specific stylist, or "any" (the default)
+  if (body.staffId && body.staffId !== "any" && !isValidObjectId(body.staffId)) {
+    errors.push("staffId must be a valid ID or \"any\"");
+  }
+
+  if (body.couponCode !== undefined && body.couponCode !== null && typeof body.couponCode !== "string") {
+    errors.push("Coupon code must be text");
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
   };
 };
 
+/**
+ * Check that an appointment of `duration` minutes starting at `time` fits the
+ * day's schedule (weekly hours, date overrides, breaks and Availability blocks).
+ * returns an error message, or null when the interval is free.
+ */
+const checkIntervalAvailability = async (date, time, duration) => {
+  const day = await Availability.resolveDay(date);
+  return getIntervalConflict(day, time, duration);
+};
+
+/**
+ * Find one of the user's active bookings overlapping the given interval
+ */
+const findOverlappingUserBooking = async (userId, date, time, duration, excludeId = null) => {
+  const filter = { userId, date, status: { $nin: Booking.INACTIVE_STATUSES } };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const start = timeToMinutes(time);
+  const end = start + duration;
+
+  const sameDay = await Booking.find(filter).select("time serviceDuration");
+  return sameDay.find((b) => {
+    const otherStart = timeToMinutes(b.time);
+    const otherEnd = otherStart + (b.serviceDuration || DEFAULT_DURATION_MINUTES);
+    return start < otherEnd && otherStart < end;
+  });
+};
+
+/**
+ * Active stylists with the skill who are free for the whole interval,
+ * least busy first (non-atomic pre-check; the reservation is the real guard)
+ */
+const findFreeStaff = async (category, day, time, duration) => {
+  const [staff, bookedCounts] = await Promise.all([
+    Staff.find({ isActive: true, skills: category }),
+    SlotReservation.getCountsForDate(day.date),
+  ]);
+
+  const load = (member) => {
+    const pool = Staff.poolKey(member._id);
+    return Object.values(bookedCounts).reduce((sum, cell) => sum + (cell[pool] || 0), 0);
+  };
+
+  return staff
+    .filter((member) => member.isFreeAt(day, time, duration, bookedCounts, category))
+    .sort((a, b) => load(a) - load(b));
+};
+
+/**
+ * Fields for moving a booking to status `to` through the state machine:
+ * the status, its timestamp, a history entry and (for cancellations) who
+ * cancelled and why. Throws 400 (statusCode) for an illegal transition.
+ *   actor — req.user of whoever makes the change
+ */
+const buildStatusUpdate = (booking, to, actor, note = "") => {
+  if (!Booking.canTransition(booking.status, to)) {
+    const err = new Error(`Cannot change booking status from ${booking.status} to ${to}`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const now = new Date();
+  const fields = {
+    status: to,
+    [Booking.getStatusTimestampField(to)]: now,
+    $push: {
+      statusHistory: {
+        from: booking.status,
+        to,
+        changedBy: actor?._id || null,
+        role: actor?.role || "system",
+        note,
+        at: now,
+      },
+    },
+  };
+
+  if (to === "confirmed" && booking.depositStatus === "pending") {
+    const err = new Error("The deposit for this booking has not been paid yet");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  if (to === "cancelled") {
+    fields.cancellationReason = note;
+    fields.cancelledBy = actor?._id || null;
+    fields.cancelledByRole = actor?.role || "system";
+  }
+
+  // Deposit: never paid → expired; paid → refunded afterwards (see
+  // refundDepositIfDue) or kept for late cancellations and no-shows
+  if ((to === "cancelled" || to === "no_show") && booking.depositStatus === "pending") {
+    fields.depositStatus = "expired";
+    fields.holdExpiresAt = null;
+  }
+  if (booking.depositStatus === "paid" &&
+      (to === "no_show" || (to === "cancelled" && !isDepositRefundable(booking, actor)))) {
+    fields.depositStatus = "forfeited";
+  }
+
+  // Credit the deposit against the bill
+  if (to === "completed") {
+    const total = booking.totalAmount ?? booking.servicePrice;
+    const credited = booking.depositStatus === "paid" ? booking.depositAmount : 0;
+    fields.balanceDue = Math.max(0, Math.round((total - credited) * 100) / 100);
+    if (booking.depositStatus === "paid") fields.depositStatus = "applied";
+    if (fields.balanceDue === 0) {
+      fields.paymentStatus = "paid";
+      fields.paidAt = now;
+    }
+  }
+  return fields;
+};
+
+/**
+ * Refund a paid deposit once a cancellation that keeps it refundable has
+ * gone through. Provider failures are logged, not thrown: the cancellation
+ * stands and the refund can be retried from /api/payments.
+ * → the booking, re-read when a refund was made
+ */
+const refundDepositIfDue = async (updated) => {
+  if (updated.status !== "cancelled" || updated.depositStatus !== "paid") return updated;
+
+  try {
+    await refundBookingDeposit(updated._id, {
+      reason: updated.cancellationReason || "Booking cancelled",
+    });
+    return (await Booking.findById(updated._id)) || updated;
+  } catch (error) {
+    console.error("❌ Deposit Refund Error:", error);
+    return updated;
+  }
+};
+
+/**
+ * Appointment time has started (server local time)
+ */
+const hasAppointmentStarted = (booking) => {
+  return new Date(`${booking.date}T${booking.time}:00`) <= new Date();
+};
+
+/**
+ * Checked status change for the admin routes (PUT /:id and PUT /:id/status)
+ * → update fields from buildStatusUpdate; throws with statusCode 400
+ */
+const buildAdminStatusUpdate = (booking, to, actor, note = "") => {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.statusCode = 400;
+    return err;
+  };
+
+  if (!Booking.STATUSES.includes(to)) {
+    throw fail("Invalid status value");
+  }
+  if (booking.status === to) {
+    throw fail(`Booking is already ${to}`);
+  }
+  if (to === "no_show" && !hasAppointmentStarted(booking)) {
+    throw fail("Cannot mark a no-show before the appointment time");
+  }
+  return buildStatusUpdate(booking, to, actor, note);
+};
+
+/**
+ * Apply an update to a booking while keeping slot capacity in sync.
+ * Releases the old seat (and stylist time) and claims the new one when the
+ * slot or stylist changes or the booking is cancelled / re-activated, all
+ * inside one transaction.
+ * Throws a 409 error (statusCode) when the new slot or stylist is taken or the
+ * booking changed meanwhile.
+ */
+const updateBookingWithCapacity = async (booking, updateFields) => {
+  const next = {
+    date: updateFields.date ?? booking.date,
+    time: updateFields.time ?? booking.time,
+    status: updateFields.status ?? booking.status,
+    staffId: updateFields.staffId !== undefined ? updateFields.staffId : booking.staffId,
+  };
+  const duration = booking.serviceDuration || DEFAULT_DURATION_MINUTES;
+
+  // Older bookings predate the category snapshot
+  const category = booking.serviceCategory ||
+    (await Service.findById(booking.serviceId).select("category"))?.category;
+
+  const wasActive = !Booking.INACTIVE_STATUSES.includes(booking.status);
+  const isActive = !Booking.INACTIVE_STATUSES.includes(next.status);
+  const slotChanged = next.date !== booking.date || next.time !== booking.time;
+  const staffChanged = String(next.staffId || "") !== String(booking.staffId || "");
+  const moved = slotChanged || staffChanged;
+
+  if (slotChanged) {
+    updateFields.endTime = addMinutes(next.time, duration);
+  }
+
+  let capacity = null;
+  let staff = null;
+  if (isActive && (!wasActive || moved)) {
+    capacity = await SlotCapacity.getCapacity(category);
+
+    if (next.staffId) {
+      staff = await Staff.findById(next.staffId);
+      const day = await Availability.resolveDay(next.date);
+      const reason = staff
+        ? staff.getUnavailableReason(day, next.time, duration, category)
+        : "Stylist not found";
+      if (reason) {
+        const err = new Error(reason);
+        err.statusCode = 409;
+        throw err;
+      }
+    }
+  }
+
+  return runInTransaction(async (session) => {
+    if (wasActive && (!isActive || moved)) {
+      await releaseAppointment(
+        { date: booking.date, time: booking.time, duration, category, staffId: booking.staffId },
+        session
+      );
+    }
+
+    if (capacity !== null) {
+      await reserveAppointment(
+        { date: next.date, time: next.time, duration, category, capacity, staff },
+        session
+      );
+    }
+
+    // Only matches if nobody changed the status since we read it, so a
+    // concurrent cancel cannot release the same seat twice
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: booking.status },
+      updateFields,
+      { new: true, runValidators: true, session }
+    );
+    if (!updated) {
+      const err = new Error("Booking status changed. Please refresh and try again");
+      err.statusCode = 409;
+      throw err;
+    }
+
+    // A cancelled booking no longer counts towards the coupon's caps
+    if (next.status === "cancelled" && booking.status !== "cancelled") {
+      await releaseCoupon(booking.coupon, booking.userId, booking._id, session);
+    }
+    return updated;
+  });
+};
+
 // ============================================
 // ➕ CREATE NEW BOOKING — Authenticated users
 // ============================================
 router.post("/", verifyToken, async (req, res) => {
   try {
-    const { userId, serviceId, date, time, name, phone } = req.body;
+    const { userId, serviceId, date, time, name, phone, staffId, couponCode, waiveDeposit } = req.body;
 
     // Verify user is booking for themselves (or admin can book for anyone)
     if (req.user.role !== "admin" && req.user._id.toString() !== userId) {
@@ -144,69 +420,162 @@ router.post("/", verifyToken, async (req, res) => {
       return sendResponse(res, 404, false, "Service not found");
     }
 
-    // Check if time slot is available
-    const availability = await Availability.findOne({ date });
-
-    if (availability) {
-      if (availability.isFullDayUnavailable) {
-        return sendResponse(res, 400, false, "This date is not available for booking");
-      }
-
-      const isSlotUnavailable = availability.unavailableSlots.some(
-        (slot) => slot.time === time
-      );
-
-      if (isSlotUnavailable) {
-        return sendResponse(
-          res,
-          400,
-          false,
-          `Time slot ${time} is not available on ${date}`
-        );
-      }
+    // Check the whole appointment interval is open
+    const duration = service.duration || DEFAULT_DURATION_MINUTES;
+    const day = await Availability.resolveDay(date);
+    const unavailableReason = getIntervalConflict(day, time, duration);
+    if (unavailableReason) {
+      return sendResponse(res, 400, false, unavailableReason);
     }
 
-    // Check for duplicate booking (same user, date, time, not cancelled)
-    const existingBooking = await Booking.findOne({
-      userId,
-      date,
-      time,
-      status: { $ne: "cancelled" },
-    });
+    // Check for an overlapping booking by the same user (not cancelled)
+    const existingBooking = await findOverlappingUserBooking(userId, date, time, duration);
 
     if (existingBooking) {
       return sendResponse(
         res,
         409,
         false,
-        "You already have a booking at this date and time"
+        `You already have a booking at ${existingBooking.time} that overlaps this time`
       );
     }
 
-    // Create booking
-    const newBooking = new Booking({
-      userId,
-      serviceId,
-      serviceName: service.name,
-      servicePrice: service.price,
-      serviceDuration: service.duration,
-      date,
-      time,
-      name: name.trim(),
-      phone: phone.trim(),
-      status: "pending",
-    });
+    // Resolve the stylist: the one requested, or any free one with the skill.
+    // Salons that have not set up staff for this category book without one.
+    let candidates = [null];
+    if (staffId && staffId !== "any") {
+      const staff = await Staff.findOne({ _id: staffId, isActive: true });
+      if (!staff) {
+        return sendResponse(res, 404, false, "Stylist not found");
+      }
+
+      const staffReason = staff.getUnavailableReason(day, time, duration, service.category);
+      if (staffReason) {
+        return sendResponse(res, 409, false, staffReason);
+      }
+      candidates = [staff];
+    } else {
+      const freeStaff = await findFreeStaff(service.category, day, time, duration);
+      if (freeStaff.length > 0) {
+        candidates = freeStaff;
+      } else if (await Staff.exists({ isActive: true, skills: service.category })) {
+        return sendResponse(res, 409, false, `No stylist is available at ${time} on ${date}`);
+      }
+    }
+
+    // Promo code (the redemption below is the real guard on usage caps)
+    let applied = null;
+    if (couponCode && couponCode.trim()) {
+      applied = await resolveCoupon(couponCode, {
+        userId,
+        lines: [{ serviceId: service._id, category: service.category, amount: service.price }],
+        kind: "bookings",
+      });
+    }
+
+    // Deposit on what the customer will actually pay (the salon may waive it
+    // for bookings taken at the desk)
+    const payable = Math.max(0, service.price - (applied?.discountAmount || 0));
+    const depositAmount =
+      waiveDeposit === true && req.user.role === "admin" ? 0 : service.getDepositAmount(payable);
+
+    // Claim a seat in the slot (and the stylist's time), redeem the coupon and
+    // create the booking together
+    const capacity = await SlotCapacity.getCapacity(service.category);
+    const bookingId = new mongoose.Types.ObjectId();
+
+    let savedBooking = null;
+    for (const [index, staff] of candidates.entries()) {
+      try {
+        savedBooking = await runInTransaction(async (session) => {
+          await reserveAppointment(
+            { date, time, duration, category: service.category, capacity, staff },
+            session
+          );
+
+          if (applied) {
+            await redeemCoupon(
+              applied.coupon,
+              userId,
+              { targetType: "Booking", targetId: bookingId, discountAmount: applied.discountAmount },
+              session
+            );
+          }
 
-    const savedBooking = await newBooking.save();
+          const [booking] = await Booking.create(
+            [
+              {
+                _id: bookingId,
+                userId,
+                serviceId,
+                staffId: staff?._id || null,
+                staffName: staff?.name || "",
+                serviceName: service.name,
+                servicePrice: service.price,
+                serviceDuration: duration,
+                serviceCategory: service.category,
+                coupon: applied ? toCouponSnapshot(applied.coupon, applied.discountAmount) : null,
+                depositAmount,
+                depositStatus: depositAmount > 0 ? "pending" : "not_required",
+                holdExpiresAt:
+                  depositAmount > 0 ? new Date(Date.now() + getDepositHoldMinutes() * 60 * 1000) : null,
+                date,
+                time,
+                endTime: addMinutes(time, duration),
+                name: name.trim(),
+                phone: phone.trim(),
+                status: "pending",
+                statusHistory: [
+                  { from: null, to: "pending", changedBy: req.user._id, role: req.user.role || "user" },
+                ],
+              },
+            ],
+            { session }
+          );
+          return booking;
+        });
+        break;
+      } catch (error) {
+        // Stylist was taken in the meantime — try the next free one
+        const isLast = index === candidates.length - 1;
+        if (staff && !isLast && error.pool === Staff.poolKey(staff._id)) continue;
+        throw error;
+      }
+    }
 
     // Populate references for response
     await savedBooking.populate([
       { path: "userId", select: "name phone" },
       { path: "serviceId", select: "name price duration" },
+      { path: "staffId", select: "name image" },
     ]);
 
-    sendResponse(res, 201, true, "Booking created successfully", savedBooking);
+    // Deposit intent for the storefront; if the provider is down the customer
+    // can retry through POST /api/payments/bookings/:bookingId/deposit
+    let payment = null;
+    if (savedBooking.depositStatus === "pending") {
+      try {
+        payment = await createDepositIntent(savedBooking);
+      } catch (error) {
+        console.error("❌ Create Deposit Intent Error:", error);
+      }
+    }
+
+    const message = savedBooking.depositStatus === "pending"
+      ? `Booking held. Pay the deposit of ${savedBooking.depositAmount} within ${getDepositHoldMinutes()} minutes to keep it`
+      : "Booking created successfully";
+
+    sendResponse(
+      res,
+      201,
+      true,
+      message,
+      payment ? { ...savedBooking.toObject(), payment: toPaymentResponse(payment) } : savedBooking
+    );
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
     console.error("❌ Create Booking Error:", error);
     sendResponse(res, 500, false, "Server error while creating booking");
   }
@@ -262,6 +631,14 @@ router.get("/", verifyToken, async (req, res) => {
       filter.serviceId = req.query.serviceId;
     }
 
+    // Filter by stylist
+    if (req.query.staffId) {
+      if (!isValidObjectId(req.query.staffId)) {
+        return sendResponse(res, 400, false, "Invalid staffId format");
+      }
+      filter.staffId = req.query.staffId;
+    }
+
     // Filter by user
     if (req.query.userId) {
       if (!isValidObjectId(req.query.userId)) {
@@ -275,6 +652,7 @@ router.get("/", verifyToken, async (req, res) => {
       Booking.find(filter)
         .populate("userId", "name phone")
         .populate("serviceId", "name price duration")
+        .populate("staffId", "name image")
         .sort({ date: 1, time: 1 })
         .limit(limit)
         .skip(skip),
@@ -366,7 +744,10 @@ router.get("/:id", verifyToken, async (req, res) => {
 
     const booking = await Booking.findById(id)
       .populate("userId", "name phone")
-      .populate("serviceId", "name price duration image");
+      .populate("serviceId", "name price duration image")
+      .populate("staffId", "name image")
+      .populate("cancelledBy", "name role")
+      .populate("statusHistory.changedBy", "name role");
 
     if (!booking) {
       return sendResponse(res, 404, false, "Booking not found");
@@ -377,7 +758,11 @@ router.get("/:id", verifyToken, async (req, res) => {
       return sendResponse(res, 403, false, "You can only view your own bookings");
     }
 
-    sendResponse(res, 200, true, "Booking fetched successfully", booking);
+    sendResponse(res, 200, true, "Booking fetched successfully", {
+      ...booking.toObject(),
+      timeline: booking.getTimeline(),
+      nextStatuses: Booking.getNextStatuses(booking.status),
+    });
   } catch (error) {
     console.error("❌ Get Booking Error:", error);
     sendResponse(res, 500, false, "Server error while fetching booking");
@@ -418,39 +803,32 @@ router.put("/:id", verifyToken, async (req, res) => {
         return sendResponse(res, 400, false, "Time must be in HH:mm format");
       }
 
-      // Check if new slot is available
-      const availability = await Availability.findOne({ date: newDate });
-
-      if (availability) {
-        if (availability.isFullDayUnavailable) {
-          return sendResponse(res, 400, false, "This date is not available for booking");
-        }
-
-        const isSlotUnavailable = availability.unavailableSlots.some(
-          (slot) => slot.time === newTime
-        );
-
-        if (isSlotUnavailable) {
-          return sendResponse(
-            res,
-            400,
-            false,
-            `Time slot ${newTime} is not available on ${newDate}`
-          );
-        }
+      // Check the whole appointment interval is open at the new time
+      const unavailableReason = await checkIntervalAvailability(
+        newDate,
+        newTime,
+        booking.serviceDuration || DEFAULT_DURATION_MINUTES
+      );
+      if (unavailableReason) {
+        return sendResponse(res, 400, false, unavailableReason);
       }
 
-      // Check for duplicate (different booking at same slot)
-      const existingBooking = await Booking.findOne({
-        _id: { $ne: id },
-        userId: booking.userId,
-        date: newDate,
-        time: newTime,
-        status: { $ne: "cancelled" },
-      });
+      // Check for an overlapping booking (other than this one)
+      const existingBooking = await findOverlappingUserBooking(
+        booking.userId,
+        newDate,
+        newTime,
+        booking.serviceDuration || DEFAULT_DURATION_MINUTES,
+        id
+      );
 
       if (existingBooking) {
-        return sendResponse(res, 409, false, "You already have a booking at this date and time");
+        return sendResponse(
+          res,
+          409,
+          false,
+          `You already have a booking at ${existingBooking.time} that overlaps this time`
+        );
       }
     }
 
@@ -466,23 +844,42 @@ router.put("/:id", verifyToken, async (req, res) => {
       updateFields.phone = req.body.phone.trim();
     }
 
-    // Admin can update status
-    if (req.user.role === "admin" && req.body.status) {
-      if (!["pending", "confirmed", "completed", "cancelled"].includes(req.body.status)) {
-        return sendResponse(res, 400, false, "Invalid status value");
+    // Admin can update status (same checks as PUT /:id/status)
+    if (req.user.role === "admin" && req.body.status && req.body.status !== booking.status) {
+      Object.assign(updateFields, buildAdminStatusUpdate(booking, req.body.status, req.user));
+    }
+
+    // Admin can reassign the stylist (null to unassign)
+    if (req.user.role === "admin" && req.body.staffId !== undefined) {
+      if (!req.body.staffId) {
+        updateFields.staffId = null;
+        updateFields.staffName = "";
+      } else {
+        if (!isValidObjectId(req.body.staffId)) {
+          return sendResponse(res, 400, false, "Invalid staffId format");
+        }
+        const staff = await Staff.findOne({ _id: req.body.staffId, isActive: true });
+        if (!staff) {
+          return sendResponse(res, 404, false, "Stylist not found");
+        }
+        updateFields.staffId = staff._id;
+        updateFields.staffName = staff.name;
       }
-      updateFields.status = req.body.status;
     }
 
-    const updatedBooking = await Booking.findByIdAndUpdate(id, updateFields, {
-      new: true,
-      runValidators: true,
-    })
-      .populate("userId", "name phone")
-      .populate("serviceId", "name price duration");
+    // A status change here refunds the deposit like PUT /:id/status does
+    const updated = await refundDepositIfDue(await updateBookingWithCapacity(booking, updateFields));
+    const updatedBooking = await updated.populate([
+      { path: "userId", select: "name phone" },
+      { path: "serviceId", select: "name price duration" },
+      { path: "staffId", select: "name image" },
+    ]);
 
     sendResponse(res, 200, true, "Booking updated successfully", updatedBooking);
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
     console.error("❌ Update Booking Error:", error);
     sendResponse(res, 500, false, "Server error while updating booking");
   }
@@ -494,7 +891,7 @@ router.put("/:id", verifyToken, async (req, res) => {
 router.put("/:id/status", verifyToken, verifyAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
 
     if (!isValidObjectId(id)) {
       return sendResponse(res, 400, false, "Invalid booking ID format");
@@ -504,8 +901,8 @@ router.put("/:id/status", verifyToken, verifyAdmin, async (req, res) => {
       return sendResponse(res, 400, false, "Status is required");
     }
 
-    if (!["pending", "confirmed", "completed", "cancelled","in_progress"].includes(status)) {
-      return sendResponse(res, 400, false, "Invalid status value");
+    if (note !== undefined && (typeof note !== "string" || note.length > 500)) {
+      return sendResponse(res, 400, false, "Note must be text of at most 500 characters");
     }
 
     const booking = await Booking.findById(id);
@@ -513,34 +910,94 @@ router.put("/:id/status", verifyToken, verifyAdmin, async (req, res) => {
       return sendResponse(res, 404, false, "Booking not found");
     }
 
-    
-
-    const updatedBooking = await Booking.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true, runValidators: true }
-    )
-      .populate("userId", "name phone")
-      .populate("serviceId", "name price duration");
+    const updateFields = buildAdminStatusUpdate(booking, status, req.user, note?.trim() || "");
+    const updated = await refundDepositIfDue(await updateBookingWithCapacity(booking, updateFields));
+    const updatedBooking = await updated.populate([
+      { path: "userId", select: "name phone" },
+      { path: "serviceId", select: "name price duration" },
+    ]);
 
     sendResponse(res, 200, true, "Booking status updated successfully", updatedBooking);
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
     console.error("❌ Update Status Error:", error);
     sendResponse(res, 500, false, "Server error while updating booking status");
   }
 });
 
+// ============================================
+// 💵 RECORD FINAL PAYMENT — Admin only
+// Settles the balance left after the deposit once the service is completed
+// ============================================
+router.put("/:id/payment", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { method } = req.body;
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid booking ID format");
+    }
+
+    if (!["cash", "card", "online"].includes(method)) {
+      return sendResponse(res, 400, false, "Method must be 'cash', 'card' or 'online'");
+    }
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return sendResponse(res, 404, false, "Booking not found");
+    }
+
+    if (booking.status !== "completed") {
+      return sendResponse(res, 400, false, "Payment is recorded once the booking is completed");
+    }
+
+    if (booking.paymentStatus === "paid") {
+      return sendResponse(res, 400, false, "This booking is already paid");
+    }
+
+    // Only matches while unpaid, so the balance is never collected twice
+    const updated = await Booking.findOneAndUpdate(
+      { _id: id, status: "completed", paymentStatus: { $ne: "paid" } },
+      {
+        $set: {
+          paymentStatus: "paid",
+          paidAt: new Date(),
+          balancePaymentMethod: method,
+          balanceDue: 0,
+        },
+        $inc: { amountPaid: booking.balanceDue ?? 0 },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return sendResponse(res, 409, false, "Booking changed. Please refresh and try again");
+    }
+
+    sendResponse(res, 200, true, `Payment of ${booking.balanceDue ?? 0} recorded`, updated);
+  } catch (error) {
+    console.error("❌ Record Booking Payment Error:", error);
+    sendResponse(res, 500, false, "Server error while recording payment");
+  }
+});
+
 // ============================================
 // 🗑️ CANCEL BOOKING — User or Admin
 // ============================================
 router.put("/:id/cancel", verifyToken, async (req, res) => {
   try {
     const { id } = req.params;
+    const { reason } = req.body || {};
 
     if (!isValidObjectId(id)) {
       return sendResponse(res, 400, false, "Invalid booking ID format");
     }
 
+    if (reason !== undefined && (typeof reason !== "string" || reason.length > 500)) {
+      return sendResponse(res, 400, false, "Reason must be text of at most 500 characters");
+    }
+
     const booking = await Booking.findById(id);
     if (!booking) {
       return sendResponse(res, 404, false, "Booking not found");
@@ -551,25 +1008,27 @@ router.put("/:id/cancel", verifyToken, async (req, res) => {
       return sendResponse(res, 403, false, "You can only cancel your own bookings");
     }
 
-    // Check if booking can be cancelled
-    if (booking.status === "completed") {
-      return sendResponse(res, 400, false, "Cannot cancel a completed booking");
-    }
-
     if (booking.status === "cancelled") {
       return sendResponse(res, 400, false, "Booking is already cancelled");
     }
 
-    const cancelledBooking = await Booking.findByIdAndUpdate(
-      id,
-      { status: "cancelled" },
-      { new: true }
-    )
-      .populate("userId", "name phone")
-      .populate("serviceId", "name price duration");
+    // Check if booking can be cancelled
+    if (!Booking.canTransition(booking.status, "cancelled")) {
+      return sendResponse(res, 400, false, `Cannot cancel a booking that is ${booking.status}`);
+    }
+
+    const updateFields = buildStatusUpdate(booking, "cancelled", req.user, reason?.trim() || "");
+    const cancelled = await refundDepositIfDue(await updateBookingWithCapacity(booking, updateFields));
+    const cancelledBooking = await cancelled.populate([
+      { path: "userId", select: "name phone" },
+      { path: "serviceId", select: "name price duration" },
+    ]);
 
     sendResponse(res, 200, true, "Booking cancelled successfully", cancelledBooking);
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
     console.error("❌ Cancel Booking Error:", error);
     sendResponse(res, 500, false, "Server error while cancelling booking");
   }
@@ -658,7 +1117,7 @@ router.get("/admin/stats", verifyToken, verifyAdmin, async (req, res) => {
             {
               $match: {
                 date: { $gte: new Date().toISOString().split("T")[0] },
-                status: { $ne: "cancelled" },
+                status: { $nin: Booking.INACTIVE_STATUSES },
               },
             },
             { $count: "count" },
@@ -693,39 +1152,110 @@ router.get("/availability/slots/:date", async (req, res) => {
       return sendResponse(res, 400, false, "Cannot check availability for past dates");
     }
 
-    // Get availability data
-    const availability = await Availability.findOne({ date });
+    // Resolve which capacity pools to report (one category or all of them)
+    // and how long the appointment is (a single cell when no service is given)
+    const day = await Availability.resolveDay(date);
 
-    // Generate time slots (assume 9 AM to 6 PM with 30 min intervals)
-    const slots = [];
-    for (let hour = 9; hour < 21; hour++) {
-      for (let min = 0; min < 60; min += 30) {
-        const time = `${String(hour).padStart(2, "0")}:${String(min).padStart(2, "0")}`;
-        slots.push({
-          time,
-          available: true,
-        });
+    let categories = await Category.getSlugs("service");
+    let duration = day.slotInterval;
+    if (req.query.serviceId) {
+      if (!isValidObjectId(req.query.serviceId)) {
+        return sendResponse(res, 400, false, "Invalid serviceId format");
       }
+      const service = await Service.findById(req.query.serviceId).select("category duration");
+      if (!service) {
+        return sendResponse(res, 404, false, "Service not found");
+      }
+      categories = [service.category];
+      duration = service.duration || DEFAULT_DURATION_MINUTES;
+    } else if (req.query.category) {
+      if (!categories.includes(req.query.category)) {
+        return sendResponse(res, 400, false, "Invalid category");
+      }
+      categories = [req.query.category];
     }
 
-    // Mark unavailable slots
-    if (availability) {
-      if (availability.isFullDayUnavailable) {
-        slots.forEach((slot) => {
-          slot.available = false;
-        });
-      } else {
-        const unavailableTimes = availability.unavailableSlots.map((s) => s.time);
-        slots.forEach((slot) => {
-          if (unavailableTimes.includes(slot.time)) {
-            slot.available = false;
-          }
-        });
+    // Stylists to consider: the one requested, or everyone with a matching skill
+    const staffFilter = { isActive: true, skills: { $in: categories } };
+    if (req.query.staffId) {
+      if (!isValidObjectId(req.query.staffId)) {
+        return sendResponse(res, 400, false, "Invalid staffId format");
       }
+      staffFilter._id = req.query.staffId;
     }
 
+    // Get capacities, booked seats and staff
+    const [capacities, bookedCounts, staff] = await Promise.all([
+      SlotCapacity.getCapacities(categories),
+      SlotReservation.getCountsForDate(date),
+      Staff.find(staffFilter).select("name skills workingHours daysOff isActive"),
+    ]);
+
+    if (req.query.staffId) {
+      if (staff.length === 0) {
+        return sendResponse(res, 404, false, "Stylist not found or does not perform this service");
+      }
+      categories = categories.filter((c) => staff[0].skills.includes(c));
+    }
+
+    // Categories with staff set up are limited by free stylists as well as seats
+    const staffedCategories = new Set(staff.flatMap((member) => member.skills));
+
+    // A start time is open only if the whole appointment fits the schedule;
+    // the seats left are the tightest cell's seats
+    const slotTimes = day.isOpen
+      ? generateSlotTimes(day.openTime, day.closeTime, day.slotInterval)
+      : [];
+
+    const slots = slotTimes.map((time) => {
+      const cells = getCoveredSlots(time, duration);
+      const isOpen = getIntervalConflict(day, time, duration) === null;
+
+      const freeStaff = isOpen
+        ? staff.filter((member) => member.isFreeAt(day, time, duration, bookedCounts))
+        : [];
+
+      const remainingByCategory = {};
+      let capacity = 0;
+      let booked = 0;
+      categories.forEach((category) => {
+        const used = Math.max(...cells.map((cell) => bookedCounts[cell]?.[category] || 0));
+        let seats = isOpen ? Math.max(0, capacities[category] - used) : 0;
+        if (staffedCategories.has(category)) {
+          seats = Math.min(seats, freeStaff.filter((m) => m.skills.includes(category)).length);
+        }
+        remainingByCategory[category] = seats;
+        capacity += capacities[category];
+        booked += used;
+      });
+      const remaining = Object.values(remainingByCategory).reduce((sum, n) => sum + n, 0);
+
+      return {
+        time,
+        endTime: addMinutes(time, duration),
+        available: remaining > 0,
+        capacity,
+        booked,
+        remaining,
+        remainingByCategory,
+        availableStaff: freeStaff
+          .filter((m) => categories.some((c) => m.skills.includes(c)))
+          .map((m) => ({ _id: m._id, name: m.name })),
+      };
+    });
+
     sendResponse(res, 200, true, "Available slots fetched successfully", {
       date,
+      duration,
+      schedule: {
+        weekday: day.weekday,
+        isOpen: day.isOpen,
+        openTime: day.openTime,
+        closeTime: day.closeTime,
+        breaks: day.breaks,
+        slotInterval: day.slotInterval,
+        source: day.source,
+      },
       slots: slots.filter((s) => s.available),
       allSlots: slots,
     });
@@ -0,0 +1,521 @@
+import express from "express";
+import Cart from "../models/Cart.js";
+import Product from "../models/Product.js";
+import { computeUnitPrice, roundCurrency, toPricedItem } from "../utils/pricing.js";
+import { resolveVariant, getItemName } from "../utils/inventory.js";
+import { placeOrder } from "../utils/checkout.js";
+import { toPaymentResponse } from "../utils/payments.js";
+
+import { verifyToken } from "../middleware/authMiddleware.js";
+
+import mongoose from "mongoose";
+
+const router = express.Router();
+
+// ============================================
+// 🛠️ UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Validate MongoDB ObjectId
+ */
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id) &&
+         String(new mongoose.Types.ObjectId(id)) === id;
+};
+
+/**
+ * Standard response formatter
+ */
+const sendResponse = (res, statusCode, success, message, data = null) => {
+  const response = { success, message };
+  if (data) response.data = data;
+  res.status(statusCode).json(response);
+};
+
+/**
+ * Validate an optional variant id (absent, null or a valid ObjectId)
+ */
+const isValidOptionalId = (id) => {
+  return id === undefined || id === null || isValidObjectId(id);
+};
+
+/**
+ * The variant a line refers to → { variant } or { issue } when the product no
+ * longer sells it that way (see resolveVariant)
+ */
+const pickVariant = (product, variantId) => {
+  try {
+    return { variant: resolveVariant(product, variantId) };
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return { issue: error.message };
+  }
+};
+
+/**
+ * Validate a quantity (whole number, 1..Cart.MAX_QUANTITY)
+ */
+const isValidQuantity = (quantity) => {
+  return Number.isInteger(quantity) && quantity >= 1 && quantity <= Cart.MAX_QUANTITY;
+};
+
+/**
+ * Re-check every line against the live Product documents
+ * → { items, summary } where each item reports its current price and any
+ *   issue ("unavailable", "out_of_stock", "insufficient_stock") that would
+ *   block checkout
+ */
+const buildCartView = async (cart) => {
+  const products = await Product.find({ _id: { $in: cart.items.map((item) => item.productId) } });
+  const byId = new Map(products.map((product) => [String(product._id), product]));
+
+  const items = cart.items.map((item) => {
+    const product = byId.get(String(item.productId));
+    const picked = product ? pickVariant(product, item.variantId) : null;
+    if (!product || picked.issue) {
+      return {
+        productId: item.productId,
+        variantId: item.variantId || null,
+        quantity: item.quantity,
+        savedPrice: item.price,
+        issue: "unavailable",
+      };
+    }
+
+    const { variant } = picked;
+    const stock = (variant || product).stock;
+    const pricing = computeUnitPrice(toPricedItem(product, variant));
+    let issue = null;
+    if (stock === 0) issue = "out_of_stock";
+    else if (stock < item.quantity) issue = "insufficient_stock";
+
+    return {
+      productId: product._id,
+      variantId: variant?._id || null,
+      sku: variant?.sku || "",
+      name: product.name,
+      variantName: variant?.name || "",
+      image: variant?.image || product.image,
+      category: product.category,
+      quantity: item.quantity,
+      ...pricing,
+      subtotal: roundCurrency(pricing.price * item.quantity),
+      savedPrice: item.price,
+      priceChanged: roundCurrency(item.price) !== pricing.price,
+      stock,
+      issue,
+    };
+  });
+
+  const payable = items.filter((item) => !item.issue);
+  return {
+    items,
+    summary: {
+      lines: items.length,
+      itemCount: payable.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal: roundCurrency(payable.reduce((sum, item) => sum + item.subtotal, 0)),
+      priceChanges: items.filter((item) => item.priceChanged).length,
+      hasIssues: items.some((item) => item.issue),
+    },
+  };
+};
+
+/**
+ * Cart response: the live view plus when the cart was last changed
+ */
+const toCartResponse = async (cart) => ({
+  ...(await buildCartView(cart)),
+  updatedAt: cart.updatedAt || null,
+});
+
+/**
+ * Save a cart, answering 409 when another device changed it meanwhile
+ * → true when saved, false when a response was sent
+ */
+const saveCart = async (cart, res) => {
+  try {
+    await cart.save();
+    return true;
+  } catch (error) {
+    if (error.name === "VersionError" || error.code === 11000) {
+      sendResponse(res, 409, false, "Your cart was changed elsewhere. Please refresh and try again");
+      return false;
+    }
+    if (error.name === "ValidationError") {
+      sendResponse(res, 400, false, error.message);
+      return false;
+    }
+    throw error;
+  }
+};
+
+// ============================================
+// 📄 GET MY CART — Authenticated users
+// ============================================
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const cart = await Cart.getForUser(req.user._id);
+
+    sendResponse(res, 200, true, "Cart fetched successfully", await toCartResponse(cart));
+  } catch (error) {
+    console.error("❌ Get Cart Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching cart");
+  }
+});
+
+// ============================================
+// ➕ ADD ITEM — Authenticated users (adds to an existing line)
+// Body: { productId, variantId? (required for products with variants), quantity? }
+// ============================================
+router.post("/items", verifyToken, async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const quantity = req.body.quantity ?? 1;
+
+    if (!isValidObjectId(productId)) {
+      return sendResponse(res, 400, false, "Invalid product ID format");
+    }
+
+    if (!isValidOptionalId(variantId)) {
+      return sendResponse(res, 400, false, "Invalid variant ID format");
+    }
+
+    if (!isValidQuantity(quantity)) {
+      return sendResponse(res, 400, false, `Quantity must be a whole number between 1 and ${Cart.MAX_QUANTITY}`);
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return sendResponse(res, 404, false, "Product not found");
+    }
+
+    const { variant, issue } = pickVariant(product, variantId);
+    if (issue) {
+      return sendResponse(res, 400, false, issue);
+    }
+    const stock = (variant || product).stock;
+    const itemName = getItemName(product, variant);
+
+    const cart = await Cart.getForUser(req.user._id);
+    const line = cart.findLine(product._id, variant?._id);
+    const nextQuantity = (line?.quantity || 0) + quantity;
+
+    if (nextQuantity > stock) {
+      return sendResponse(
+        res,
+        409,
+        false,
+        `Only ${stock} of ${itemName} available${line ? ` (${line.quantity} already in your cart)` : ""}`
+      );
+    }
+
+    if (nextQuantity > Cart.MAX_QUANTITY) {
+      return sendResponse(res, 400, false, `At most ${Cart.MAX_QUANTITY} of one product per order`);
+    }
+
+    const { price } = computeUnitPrice(toPricedItem(product, variant));
+    if (line) {
+      line.quantity = nextQuantity;
+      line.price = price;
+    } else {
+      cart.items.push({ productId: product._id, variantId: variant?._id || null, quantity, price });
+    }
+
+    if (!(await saveCart(cart, res))) return;
+
+    sendResponse(res, 200, true, `${itemName} added to cart`, await toCartResponse(cart));
+  } catch (error) {
+    console.error("❌ Add Cart Item Error:", error);
+    sendResponse(res, 500, false, "Server error while adding to cart");
+  }
+});
+
+// ============================================
+// ✏️ SET LINE QUANTITY — Authenticated users (?variantId= for a variant line)
+// ============================================
+router.put("/items/:productId", verifyToken, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { variantId } = req.query;
+    const { quantity } = req.body;
+
+    if (!isValidObjectId(productId)) {
+      return sendResponse(res, 400, false, "Invalid product ID format");
+    }
+
+    if (!isValidOptionalId(variantId)) {
+      return sendResponse(res, 400, false, "Invalid variant ID format");
+    }
+
+    if (!isValidQuantity(quantity)) {
+      return sendResponse(res, 400, false, `Quantity must be a whole number between 1 and ${Cart.MAX_QUANTITY}`);
+    }
+
+    const cart = await Cart.getForUser(req.user._id);
+    const line = cart.findLine(productId, variantId);
+    if (!line) {
+      return sendResponse(res, 404, false, "Product is not in your cart");
+    }
+
+    const product = await Product.findById(productId);
+    const picked = product ? pickVariant(product, variantId) : null;
+    if (!product || picked.issue) {
+      return sendResponse(res, 404, false, "Product is no longer available. Remove it from your cart");
+    }
+
+    const { variant } = picked;
+    const stock = (variant || product).stock;
+    if (quantity > stock) {
+      return sendResponse(res, 409, false, `Only ${stock} of ${getItemName(product, variant)} available`);
+    }
+
+    line.quantity = quantity;
+    line.price = computeUnitPrice(toPricedItem(product, variant)).price;
+
+    if (!(await saveCart(cart, res))) return;
+
+    sendResponse(res, 200, true, "Cart updated successfully", await toCartResponse(cart));
+  } catch (error) {
+    console.error("❌ Update Cart Item Error:", error);
+    sendResponse(res, 500, false, "Server error while updating cart");
+  }
+});
+
+// ============================================
+// 🗑️ REMOVE LINE — Authenticated users (?variantId= for a variant line)
+// ============================================
+router.delete("/items/:productId", verifyToken, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { variantId } = req.query;
+
+    if (!isValidObjectId(productId)) {
+      return sendResponse(res, 400, false, "Invalid product ID format");
+    }
+
+    if (!isValidOptionalId(variantId)) {
+      return sendResponse(res, 400, false, "Invalid variant ID format");
+    }
+
+    // variantId: null also matches lines saved before variants existed
+    const line = { productId, variantId: variantId || null };
+    const cart = await Cart.findOneAndUpdate(
+      { userId: req.user._id, items: { $elemMatch: line } },
+      { $pull: { items: line } },
+      { new: true }
+    );
+
+    if (!cart) {
+      return sendResponse(res, 404, false, "Product is not in your cart");
+    }
+
+    sendResponse(res, 200, true, "Item removed from cart", await toCartResponse(cart));
+  } catch (error) {
+    console.error("❌ Remove Cart Item Error:", error);
+    sendResponse(res, 500, false, "Server error while removing from cart");
+  }
+});
+
+// ============================================
+// 🗑️ CLEAR CART — Authenticated users
+// ============================================
+router.delete("/", verifyToken, async (req, res) => {
+  try {
+    await Cart.updateOne({ userId: req.user._id }, { $set: { items: [] } });
+
+    sendResponse(res, 200, true, "Cart cleared successfully");
+  } catch (error) {
+    console.error("❌ Clear Cart Error:", error);
+    sendResponse(res, 500, false, "Server error while clearing cart");
+  }
+});
+
+// ============================================
+// 🔀 MERGE GUEST CART — Authenticated users (call right after login)
+// Body: { items: [{ productId, variantId?, quantity }] } from the browser's guest cart.
+// Quantities add up; anything over stock is trimmed and reported.
+// ============================================
+router.post("/merge", verifyToken, async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items)) {
+      return sendResponse(res, 400, false, "Items must be an array");
+    }
+
+    const invalid = items.find(
+      (item) =>
+        !isValidObjectId(item?.productId) ||
+        !isValidOptionalId(item?.variantId) ||
+        !isValidQuantity(item?.quantity)
+    );
+    if (invalid) {
+      return sendResponse(
+        res,
+        400,
+        false,
+        `Each item needs a valid productId (and variantId, if any) and a quantity between 1 and ${Cart.MAX_QUANTITY}`
+      );
+    }
+
+    const cart = await Cart.getForUser(req.user._id);
+    const products = await Product.find({ _id: { $in: items.map((item) => item.productId) } });
+    const byId = new Map(products.map((product) => [String(product._id), product]));
+
+    const skipped = [];
+    const adjusted = [];
+
+    for (const item of items) {
+      const product = byId.get(item.productId);
+      if (!product) {
+        skipped.push({ productId: item.productId, reason: "Product not found" });
+        continue;
+      }
+
+      const { variant, issue } = pickVariant(product, item.variantId);
+      if (issue) {
+        skipped.push({ productId: product._id, variantId: item.variantId || null, name: product.name, reason: issue });
+        continue;
+      }
+
+      const variantId = variant?._id || null;
+      const name = getItemName(product, variant);
+      const line = cart.findLine(product._id, variantId);
+      const wanted = (line?.quantity || 0) + item.quantity;
+      const allowed = Math.min(wanted, (variant || product).stock, Cart.MAX_QUANTITY);
+
+      if (allowed < 1) {
+        skipped.push({ productId: product._id, variantId, name, reason: "Out of stock" });
+        continue;
+      }
+      if (allowed < wanted) {
+        adjusted.push({ productId: product._id, variantId, name, requested: wanted, quantity: allowed });
+      }
+
+      const { price } = computeUnitPrice(toPricedItem(product, variant));
+      if (line) {
+        line.quantity = Math.max(line.quantity, allowed);
+        line.price = price;
+      } else {
+        cart.items.push({ productId: product._id, variantId, quantity: allowed, price });
+      }
+    }
+
+    if (!(await saveCart(cart, res))) return;
+
+    sendResponse(res, 200, true, "Guest cart merged successfully", {
+      ...(await toCartResponse(cart)),
+      merge: { skipped, adjusted },
+    });
+  } catch (error) {
+    console.error("❌ Merge Cart Error:", error);
+    sendResponse(res, 500, false, "Server error while merging cart");
+  }
+});
+
+// ============================================
+// 💳 CHECKOUT — Authenticated users
+// Places an order for the cart's lines at the prices the customer last saw
+// (see PRICE_MISMATCH_POLICY) and empties the cart in the same transaction.
+// ============================================
+router.post("/checkout", verifyToken, async (req, res) => {
+  try {
+    const { addressId, paymentMethod, couponCode } = req.body;
+
+    if (!isValidObjectId(addressId)) {
+      return sendResponse(res, 400, false, "A valid addressId is required");
+    }
+
+    if (paymentMethod && !["cod", "online"].includes(paymentMethod)) {
+      return sendResponse(res, 400, false, "Payment method must be 'cod' or 'online'");
+    }
+
+    if (couponCode !== undefined && couponCode !== null && typeof couponCode !== "string") {
+      return sendResponse(res, 400, false, "Coupon code must be text");
+    }
+
+    const cart = await Cart.findOne({ userId: req.user._id });
+    if (!cart || cart.items.length === 0) {
+      return sendResponse(res, 400, false, "Your cart is empty");
+    }
+
+    // Lines that can no longer be bought must be dealt with first
+    const view = await buildCartView(cart);
+    if (view.summary.hasIssues) {
+      return sendResponse(
+        res,
+        409,
+        false,
+        "Some items in your cart are unavailable. Please review your cart",
+        view
+      );
+    }
+
+    const { order, payment } = await placeOrder({
+      actor: req.user,
+      userId: req.user._id,
+      addressId,
+      items: cart.items.map((item) => ({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        quantity: item.quantity,
+        price: item.price,
+      })),
+      paymentMethod,
+      couponCode,
+      onCreated: (created, session) =>
+        Cart.updateOne({ _id: cart._id }, { $set: { items: [] } }, { session }),
+    });
+
+    await order.populate([
+      { path: "userId", select: "name phone" },
+      { path: "addressId" },
+    ]);
+
+    sendResponse(
+      res,
+      201,
+      true,
+      "Order placed successfully",
+      payment ? { ...order.toObject(), payment: toPaymentResponse(payment) } : order
+    );
+  } catch (error) {
+    if (error.priceMismatches) {
+      // Show the new prices from now on; checking out again accepts them
+      const cart = await Cart.findOne({ userId: req.user._id });
+      if (cart) {
+        error.priceMismatches.forEach((mismatch) => {
+          const line = cart.findLine(mismatch.productId, mismatch.variantId);
+          if (line) line.price = mismatch.currentPrice;
+        });
+        // Without the new prices stored the next checkout would fail again
+        const saved = await saveCart(cart, res).catch((saveError) => {
+          console.error("❌ Cart Price Update Error:", saveError);
+          return null;
+        });
+        if (saved === false) return;
+        if (saved === null) {
+          return sendResponse(res, 500, false, "Prices have changed but your cart could not be updated. Please try again", {
+            priceMismatches: error.priceMismatches,
+          });
+        }
+      }
+      return sendResponse(res, error.statusCode, false, error.message, {
+        priceMismatches: error.priceMismatches,
+      });
+    }
+    if (error.outOfStock) {
+      return sendResponse(res, error.statusCode, false, error.message, {
+        outOfStock: error.outOfStock,
+      });
+    }
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    console.error("❌ Cart Checkout Error:", error);
+    sendResponse(res, 500, false, "Server error while checking out");
+  }
+});
+
+export default router;
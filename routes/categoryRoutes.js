@@ -0,0 +1,377 @@
+import express from "express";
+import Category from "../models/Category.js";
+import Product from "../models/Product.js";
+import Service from "../models/Service.js";
+import Staff from "../models/Staff.js";
+import SlotCapacity from "../models/SlotCapacity.js";
+import Coupon from "../models/Coupon.js";
+import Booking from "../models/Booking.js";
+import { buildCategoryTree, setCategoryParent, updateDescendantAncestors } from "../utils/categories.js";
+import { runInTransaction } from "../utils/transaction.js";
+
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyAdmin } from "../middleware/adminMiddleware.js";
+
+import mongoose from "mongoose";
+
+const router = express.Router();
+
+// Slot capacities use "default" for the salon-wide fallback
+const RESERVED_SLUGS = ["default"];
+
+// ============================================
+// 🛠️ UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Validate MongoDB ObjectId
+ */
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id) &&
+         String(new mongoose.Types.ObjectId(id)) === id;
+};
+
+/**
+ * Standard response formatter
+ */
+const sendResponse = (res, statusCode, success, message, data = null) => {
+  const response = { success, message };
+  if (data) response.data = data;
+  res.status(statusCode).json(response);
+};
+
+/**
+ * Validate category input
+ */
+const validateCategoryInput = (body, isUpdate = false) => {
+  const errors = [];
+
+  if (!isUpdate && !Category.KINDS.includes(body.kind)) {
+    errors.push(`Kind must be one of: ${Category.KINDS.join(", ")}`);
+  }
+
+  if (!isUpdate || body.name !== undefined) {
+    if (!body.name || typeof body.name !== "string" || body.name.trim().length < 2) {
+      errors.push("Name must be at least 2 characters");
+    } else if (body.name.trim().length > 60) {
+      errors.push("Name must not exceed 60 characters");
+    }
+  }
+
+  if (body.slug !== undefined && body.slug !== null) {
+    if (isUpdate) {
+      errors.push("The slug of a category cannot be changed");
+    } else if (typeof body.slug !== "string" || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(body.slug.trim())) {
+      errors.push("Slug may only contain lowercase letters, digits and single dashes");
+    }
+  }
+
+  if (body.description !== undefined && (typeof body.description !== "string" || body.description.trim().length > 500)) {
+    errors.push("Description must be text of at most 500 characters");
+  }
+
+  if (body.image !== undefined && (typeof body.image !== "string" || body.image.trim().length > 500)) {
+    errors.push("Image URL must not exceed 500 characters");
+  }
+
+  if (body.order !== undefined && !Number.isInteger(body.order)) {
+    errors.push("Order must be a whole number");
+  }
+
+  if (body.isActive !== undefined && typeof body.isActive !== "boolean") {
+    errors.push("isActive must be a boolean");
+  }
+
+  if (body.parent !== undefined && body.parent !== null && typeof body.parent !== "string") {
+    errors.push("Parent must be a category ID or slug");
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate ?kind= → kind or null
+ */
+const parseKind = (kind) => (Category.KINDS.includes(kind) ? kind : null);
+
+// ============================================
+// 📄 GET ACTIVE CATEGORIES — Public (flat list)
+// ?kind=product|service
+// ============================================
+router.get("/", async (req, res) => {
+  try {
+    const kind = parseKind(req.query.kind);
+    if (!kind) {
+      return sendResponse(res, 400, false, `Kind must be one of: ${Category.KINDS.join(", ")}`);
+    }
+
+    const categories = await Category.find({ kind, isActive: true })
+      .sort({ order: 1, name: 1 })
+      .lean();
+
+    sendResponse(res, 200, true, "Categories fetched successfully", {
+      total: categories.length,
+      categories,
+    });
+  } catch (error) {
+    console.error("❌ Get Categories Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching categories");
+  }
+});
+
+// ============================================
+// 🌳 GET CATEGORY TREE — Public (for navigation)
+// ?kind=product|service
+// ============================================
+router.get("/tree", async (req, res) => {
+  try {
+    const kind = parseKind(req.query.kind);
+    if (!kind) {
+      return sendResponse(res, 400, false, `Kind must be one of: ${Category.KINDS.join(", ")}`);
+    }
+
+    const categories = await Category.find({ kind, isActive: true })
+      .select("name slug description image parent order")
+      .lean();
+
+    sendResponse(res, 200, true, "Category tree fetched successfully", buildCategoryTree(categories));
+  } catch (error) {
+    console.error("❌ Get Category Tree Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching category tree");
+  }
+});
+
+// ============================================
+// 📋 GET ALL CATEGORIES — Admin only (inactive ones included)
+// ?kind=product|service
+// ============================================
+router.get("/admin/all", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.kind) {
+      const kind = parseKind(req.query.kind);
+      if (!kind) {
+        return sendResponse(res, 400, false, `Kind must be one of: ${Category.KINDS.join(", ")}`);
+      }
+      filter.kind = kind;
+    }
+
+    const categories = await Category.find(filter).sort({ kind: 1, order: 1, name: 1 }).lean();
+
+    sendResponse(res, 200, true, "Categories fetched successfully", {
+      total: categories.length,
+      categories,
+    });
+  } catch (error) {
+    console.error("❌ Get All Categories Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching categories");
+  }
+});
+
+// ============================================
+// 🔍 GET SINGLE CATEGORY — Public
+// With its breadcrumb (root first) and active subcategories
+// ============================================
+router.get("/:kind/:slug", async (req, res) => {
+  try {
+    const kind = parseKind(req.params.kind);
+    if (!kind) {
+      return sendResponse(res, 400, false, `Kind must be one of: ${Category.KINDS.join(", ")}`);
+    }
+
+    const category = await Category.findOne({ kind, slug: req.params.slug.toLowerCase(), isActive: true }).lean();
+    if (!category) {
+      return sendResponse(res, 404, false, "Category not found");
+    }
+
+    const [ancestors, children] = await Promise.all([
+      Category.find({ _id: { $in: category.ancestors } }).select("name slug").lean(),
+      Category.find({ parent: category._id, isActive: true })
+        .select("name slug description image order")
+        .sort({ order: 1, name: 1 })
+        .lean(),
+    ]);
+
+    // $in does not keep the order of the ancestors
+    const breadcrumb = category.ancestors
+      .map((id) => ancestors.find((a) => a._id.equals(id)))
+      .filter(Boolean);
+
+    sendResponse(res, 200, true, "Category fetched successfully", {
+      ...category,
+      breadcrumb,
+      children,
+    });
+  } catch (error) {
+    console.error("❌ Get Category Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching category");
+  }
+});
+
+// ============================================
+// ➕ CREATE CATEGORY — Admin only
+// ============================================
+router.post("/", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const validation = validateCategoryInput(req.body);
+    if (!validation.isValid) {
+      return sendResponse(res, 400, false, validation.errors.join(", "));
+    }
+
+    const { kind, name, description, image, order, isActive, parent } = req.body;
+
+    const slug = req.body.slug ? req.body.slug.trim() : Category.slugify(name);
+    if (!slug) {
+      return sendResponse(res, 400, false, "A slug is required when the name has no letters or digits");
+    }
+    if (RESERVED_SLUGS.includes(slug)) {
+      return sendResponse(res, 400, false, `"${slug}" is reserved and cannot be used as a slug`);
+    }
+
+    const category = new Category({
+      kind,
+      name: name.trim(),
+      slug,
+      description: description?.trim() || "",
+      image: image?.trim() || "",
+      order: order ?? 0,
+      isActive: isActive ?? true,
+    });
+    await setCategoryParent(category, parent);
+    await category.save();
+
+    sendResponse(res, 201, true, "Category created successfully", category);
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendResponse(res, 409, false, "A category with this slug already exists");
+    }
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    if (error.name === "ValidationError") {
+      return sendResponse(res, 400, false, error.message);
+    }
+    console.error("❌ Create Category Error:", error);
+    sendResponse(res, 500, false, "Server error while creating category");
+  }
+});
+
+// ============================================
+// ✏️ UPDATE CATEGORY — Admin only
+// The slug stays as it is: products, services, staff skills and coupons
+// refer to it. Moving a category moves everything below it.
+// ============================================
+router.put("/:id", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid category ID format");
+    }
+
+    const validation = validateCategoryInput(req.body, true);
+    if (!validation.isValid) {
+      return sendResponse(res, 400, false, validation.errors.join(", "));
+    }
+
+    const category = await Category.findById(id);
+    if (!category) {
+      return sendResponse(res, 404, false, "Category not found");
+    }
+
+    const { name, description, image, order, isActive } = req.body;
+    if (name !== undefined) category.name = name.trim();
+    if (description !== undefined) category.description = description.trim();
+    if (image !== undefined) category.image = image.trim();
+    if (order !== undefined) category.order = order;
+    if (isActive !== undefined) category.isActive = isActive;
+
+    const previousAncestors = [...category.ancestors];
+    if (req.body.parent !== undefined) {
+      await setCategoryParent(category, req.body.parent);
+    }
+    const moved = category.isModified("ancestors");
+
+    await runInTransaction(async (session) => {
+      await category.save({ session });
+      if (moved) {
+        await updateDescendantAncestors(category, previousAncestors, session);
+      }
+    });
+
+    sendResponse(res, 200, true, "Category updated successfully", category);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    if (error.name === "ValidationError") {
+      return sendResponse(res, 400, false, error.message);
+    }
+    console.error("❌ Update Category Error:", error);
+    sendResponse(res, 500, false, "Server error while updating category");
+  }
+});
+
+// ============================================
+// 🗑️ DELETE CATEGORY — Admin only
+// Only once nothing is filed under it and no coupon or upcoming booking uses
+// it; deactivate it to hide it instead
+// ============================================
+router.delete("/:id", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid category ID format");
+    }
+
+    const category = await Category.findById(id);
+    if (!category) {
+      return sendResponse(res, 404, false, "Category not found");
+    }
+
+    const Model = category.kind === "product" ? Product : Service;
+    // Coupons are not edited here: one limited to this category alone would
+    // otherwise end up applying to everything
+    const [children, items, coupons, bookings] = await Promise.all([
+      Category.countDocuments({ parent: category._id }),
+      Model.countDocuments({ category: category.slug }),
+      Coupon.countDocuments({ categories: category.slug }),
+      category.kind === "service"
+        ? Booking.countDocuments({ serviceCategory: category.slug, status: { $in: ["pending", "confirmed", "in_progress"] } })
+        : 0,
+    ]);
+
+    if (children > 0) {
+      return sendResponse(res, 409, false, `Cannot delete: the category has ${children} subcategor${children === 1 ? "y" : "ies"}`);
+    }
+    if (items > 0) {
+      return sendResponse(res, 409, false, `Cannot delete: ${items} ${category.kind}(s) are in this category`);
+    }
+    if (coupons > 0) {
+      return sendResponse(res, 409, false, `Cannot delete: ${coupons} coupon(s) apply to this category`);
+    }
+    if (bookings > 0) {
+      return sendResponse(res, 409, false, `Cannot delete: ${bookings} upcoming booking(s) are in this category`);
+    }
+
+    // Staff skills and slot capacities are keyed by service category slugs
+    await runInTransaction(async (session) => {
+      await Category.deleteOne({ _id: category._id }, { session });
+      if (category.kind === "service") {
+        await Staff.updateMany({ skills: category.slug }, { $pull: { skills: category.slug } }, { session });
+        await SlotCapacity.deleteOne({ category: category.slug }, { session });
+      }
+    });
+
+    sendResponse(res, 200, true, "Category deleted successfully");
+  } catch (error) {
+    console.error("❌ Delete Category Error:", error);
+    sendResponse(res, 500, false, "Server error while deleting category");
+  }
+});
+
+export default router;
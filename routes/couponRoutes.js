@@ -0,0 +1,413 @@
+import express from "express";
+import Coupon from "../models/Coupon.js";
+import CouponRedemption from "../models/CouponRedemption.js";
+import Product from "../models/Product.js";
+import Service from "../models/Service.js";
+import { priceOrderLine } from "../utils/pricing.js";
+import { resolveCoupon } from "../utils/coupons.js";
+import { escapeRegex } from "../utils/search.js";
+
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyAdmin } from "../middleware/adminMiddleware.js";
+
+import mongoose from "mongoose";
+
+const router = express.Router();
+
+// ============================================
+// 🛠️ UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Validate MongoDB ObjectId
+ */
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id) &&
+         String(new mongoose.Types.ObjectId(id)) === id;
+};
+
+/**
+ * Standard response formatter
+ */
+const sendResponse = (res, statusCode, success, message, data = null) => {
+  const response = { success, message };
+  if (data) response.data = data;
+  res.status(statusCode).json(response);
+};
+
+/**
+ * Validate coupon input (cross-field rules such as percent <= 100 live in the model)
+ */
+const validateCouponInput = (body, isUpdate = false) => {
+  const errors = [];
+
+  if (!isUpdate || body.code !== undefined) {
+    if (!body.code || typeof body.code !== "string" || body.code.trim().length === 0) {
+      errors.push("Code is required");
+    } else if (!/^[A-Za-z0-9_-]{3,30}$/.test(body.code.trim())) {
+      errors.push("Code must be 3-30 letters, digits, - or _");
+    }
+  }
+
+  if (!isUpdate || body.type !== undefined) {
+    if (!["percent", "flat"].includes(body.type)) {
+      errors.push("Type must be 'percent' or 'flat'");
+    }
+  }
+
+  if (!isUpdate || body.value !== undefined) {
+    if (typeof body.value !== "number" || body.value <= 0) {
+      errors.push("Value must be a positive number");
+    }
+  }
+
+  ["maxDiscount", "minOrderValue"].forEach((field) => {
+    if (body[field] !== undefined && body[field] !== null &&
+        (typeof body[field] !== "number" || body[field] < 0)) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  });
+
+  ["usageLimit", "perUserLimit"].forEach((field) => {
+    if (body[field] !== undefined && body[field] !== null &&
+        (!Number.isInteger(body[field]) || body[field] < 1)) {
+      errors.push(`${field} must be a whole number of at least 1, or null for no limit`);
+    }
+  });
+
+  if (body.appliesTo !== undefined && !["all", "orders", "bookings"].includes(body.appliesTo)) {
+    errors.push("appliesTo must be 'all', 'orders' or 'bookings'");
+  }
+
+  if (body.categories !== undefined &&
+      (!Array.isArray(body.categories) || body.categories.some((c) => typeof c !== "string"))) {
+    errors.push("Categories must be an array of names");
+  }
+
+  ["products", "services"].forEach((field) => {
+    if (body[field] === undefined) return;
+    if (!Array.isArray(body[field]) || body[field].some((id) => !isValidObjectId(id))) {
+      errors.push(`${field} must be an array of valid IDs`);
+    }
+  });
+
+  ["startsAt", "expiresAt"].forEach((field) => {
+    if (body[field] !== undefined && body[field] !== null && isNaN(new Date(body[field]).getTime())) {
+      errors.push(`${field} must be a valid date`);
+    }
+  });
+
+  if (body.isActive !== undefined && typeof body.isActive !== "boolean") {
+    errors.push("isActive must be a boolean");
+  }
+
+  if (body.description !== undefined && typeof body.description !== "string") {
+    errors.push("Description must be text");
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Copy the editable fields of a coupon from the request body
+ */
+const pickCouponFields = (body) => {
+  const fields = {};
+  if (body.code !== undefined) fields.code = Coupon.normaliseCode(body.code);
+  if (body.description !== undefined) fields.description = body.description.trim();
+  if (body.type !== undefined) fields.type = body.type;
+  if (body.value !== undefined) fields.value = body.value;
+  if (body.maxDiscount !== undefined) fields.maxDiscount = body.maxDiscount;
+  if (body.minOrderValue !== undefined) fields.minOrderValue = body.minOrderValue ?? 0;
+  if (body.appliesTo !== undefined) fields.appliesTo = body.appliesTo;
+  if (body.categories !== undefined) fields.categories = body.categories;
+  if (body.products !== undefined) fields.products = body.products;
+  if (body.services !== undefined) fields.services = body.services;
+  if (body.startsAt !== undefined) fields.startsAt = body.startsAt ? new Date(body.startsAt) : null;
+  if (body.expiresAt !== undefined) fields.expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+  if (body.usageLimit !== undefined) fields.usageLimit = body.usageLimit;
+  if (body.perUserLimit !== undefined) fields.perUserLimit = body.perUserLimit;
+  if (body.isActive !== undefined) fields.isActive = body.isActive;
+  return fields;
+};
+
+/**
+ * Price what the customer is about to buy, as coupon lines
+ *   { items: [{ productId, quantity }] } for an order, or { serviceId } for a booking
+ * → { kind, lines } — throws with statusCode 400 / 404
+ */
+const buildCouponLines = async ({ items, serviceId }) => {
+  const fail = (message, statusCode = 400) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  };
+
+  if (serviceId !== undefined) {
+    if (!isValidObjectId(serviceId)) throw fail("Invalid serviceId format");
+
+    const service = await Service.findById(serviceId).select("price category");
+    if (!service) throw fail("Service not found", 404);
+
+    return {
+      kind: "bookings",
+      lines: [{ serviceId: service._id, category: service.category, amount: service.price }],
+    };
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw fail("Provide items (for an order) or serviceId (for a booking)");
+  }
+
+  const lines = [];
+  for (const item of items) {
+    if (!isValidObjectId(item?.productId)) throw fail(`Invalid product ID in items: ${item?.productId}`);
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) throw fail("Each item must have quantity >= 1");
+    if (item.variantId !== undefined && item.variantId !== null && !isValidObjectId(item.variantId)) {
+      throw fail(`Invalid variant ID in items: ${item.variantId}`);
+    }
+
+    const product = await Product.findById(item.productId);
+    if (!product) throw fail(`Product not found: ${item.productId}`, 404);
+
+    const { line } = priceOrderLine(product, { variantId: item.variantId, quantity: item.quantity });
+    lines.push({ productId: product._id, category: product.category, amount: line.subtotal });
+  }
+  return { kind: "orders", lines };
+};
+
+// ============================================
+// ✅ VALIDATE A CODE — Authenticated users
+// ============================================
+router.post("/validate", verifyToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== "string" || code.trim().length === 0) {
+      return sendResponse(res, 400, false, "Coupon code is required");
+    }
+
+    const { kind, lines } = await buildCouponLines(req.body);
+    const { coupon, subtotal, eligibleAmount, discountAmount } = await resolveCoupon(code, {
+      userId: req.user._id,
+      lines,
+      kind,
+    });
+
+    sendResponse(res, 200, true, "Coupon applied", {
+      code: coupon.code,
+      description: coupon.description,
+      type: coupon.type,
+      value: coupon.value,
+      subtotal,
+      eligibleAmount,
+      discountAmount,
+      total: Math.max(0, Math.round((subtotal - discountAmount) * 100) / 100),
+      expiresAt: coupon.expiresAt,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    console.error("❌ Validate Coupon Error:", error);
+    sendResponse(res, 500, false, "Server error while validating coupon");
+  }
+});
+
+// ============================================
+// ➕ CREATE COUPON — Admin only
+// ============================================
+router.post("/", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const validation = validateCouponInput(req.body);
+    if (!validation.isValid) {
+      return sendResponse(res, 400, false, validation.errors.join(", "));
+    }
+
+    const coupon = await Coupon.create({
+      ...pickCouponFields(req.body),
+      createdBy: req.user._id,
+    });
+
+    sendResponse(res, 201, true, "Coupon created successfully", coupon);
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendResponse(res, 409, false, "A coupon with this code already exists");
+    }
+    if (error.name === "ValidationError") {
+      return sendResponse(res, 400, false, error.message);
+    }
+    console.error("❌ Create Coupon Error:", error);
+    sendResponse(res, 500, false, "Server error while creating coupon");
+  }
+});
+
+// ============================================
+// 📄 GET ALL COUPONS — Admin only (with pagination & filters)
+// ============================================
+router.get("/", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, parseInt(req.query.limit) || 10);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+
+    if (req.query.isActive === "true") filter.isActive = true;
+    else if (req.query.isActive === "false") filter.isActive = false;
+
+    if (req.query.expired === "true") {
+      filter.expiresAt = { $lte: new Date() };
+    } else if (req.query.expired === "false") {
+      filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+    }
+
+    if (req.query.search) {
+      filter.code = { $regex: escapeRegex(String(req.query.search).trim()), $options: "i" };
+    }
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter).sort({ createdAt: -1 }).limit(limit).skip(skip),
+      Coupon.countDocuments(filter),
+    ]);
+
+    sendResponse(res, 200, true, "Coupons fetched successfully", {
+      coupons,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Get Coupons Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching coupons");
+  }
+});
+
+// ============================================
+// 🔍 GET COUPON WITH USAGE — Admin only
+// ============================================
+router.get("/:id", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid coupon ID format");
+    }
+
+    const coupon = await Coupon.findById(id)
+      .populate("products", "name price")
+      .populate("services", "name price");
+    if (!coupon) {
+      return sendResponse(res, 404, false, "Coupon not found");
+    }
+
+    const [usage] = await CouponRedemption.aggregate([
+      { $match: { couponId: coupon._id, count: { $gt: 0 } } },
+      { $unwind: "$uses" },
+      {
+        $group: {
+          _id: null,
+          customers: { $addToSet: "$userId" },
+          totalDiscount: { $sum: "$uses.discountAmount" },
+          orders: { $sum: { $cond: [{ $eq: ["$uses.targetType", "Order"] }, 1, 0] } },
+          bookings: { $sum: { $cond: [{ $eq: ["$uses.targetType", "Booking"] }, 1, 0] } },
+        },
+      },
+    ]);
+
+    sendResponse(res, 200, true, "Coupon fetched successfully", {
+      coupon,
+      usage: {
+        usedCount: coupon.usedCount,
+        customers: usage?.customers.length || 0,
+        orders: usage?.orders || 0,
+        bookings: usage?.bookings || 0,
+        totalDiscount: Math.round((usage?.totalDiscount || 0) * 100) / 100,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Get Coupon Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching coupon");
+  }
+});
+
+// ============================================
+// ✏️ UPDATE COUPON — Admin only
+// ============================================
+router.put("/:id", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid coupon ID format");
+    }
+
+    const validation = validateCouponInput(req.body, true);
+    if (!validation.isValid) {
+      return sendResponse(res, 400, false, validation.errors.join(", "));
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return sendResponse(res, 404, false, "Coupon not found");
+    }
+
+    // Saved as a document so the model's cross-field checks run
+    Object.assign(coupon, pickCouponFields(req.body));
+    const saved = await coupon.save();
+
+    sendResponse(res, 200, true, "Coupon updated successfully", saved);
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendResponse(res, 409, false, "A coupon with this code already exists");
+    }
+    if (error.name === "ValidationError") {
+      return sendResponse(res, 400, false, error.message);
+    }
+    console.error("❌ Update Coupon Error:", error);
+    sendResponse(res, 500, false, "Server error while updating coupon");
+  }
+});
+
+// ============================================
+// 🗑️ DELETE COUPON — Admin only (unused codes only)
+// ============================================
+router.delete("/:id", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid coupon ID format");
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return sendResponse(res, 404, false, "Coupon not found");
+    }
+
+    // Orders and bookings keep a snapshot, but the usage history would be lost
+    if (await CouponRedemption.exists({ couponId: id })) {
+      return sendResponse(
+        res,
+        409,
+        false,
+        "This coupon has been used. Deactivate it instead of deleting it."
+      );
+    }
+
+    await coupon.deleteOne();
+
+    sendResponse(res, 200, true, "Coupon deleted successfully");
+  } catch (error) {
+    console.error("❌ Delete Coupon Error:", error);
+    sendResponse(res, 500, false, "Server error while deleting coupon");
+  }
+});
+
+export default router;
@@ -1,8 +1,10 @@
 import express from "express";
 import Order from "../models/Order.js";
-import Product from "../models/Product.js";
 import Address from "../models/Address.js";
 import User from "../models/User.js";
+import { transitionOrder } from "../utils/orderLifecycle.js";
+import { placeOrder } from "../utils/checkout.js";
+import { refundOrder, toPaymentResponse } from "../utils/payments.js";
 
 import {verifyToken} from "../middleware/authMiddleware.js";
 import { verifyAdmin } from "../middleware/adminMiddleware.js";
@@ -65,11 +67,15 @@ const validateOrderInput = async (body) => {
         errors.push(`Invalid product ID in items: ${item.productId}`);
         continue;
       }
+      if (item.variantId !== undefined && item.variantId !== null && !isValidObjectId(item.variantId)) {
+        errors.push(`Invalid variant ID in items: ${item.variantId}`);
+      }
       if (!item.quantity || typeof item.quantity !== "number" || item.quantity < 1) {
         errors.push("Each item must have quantity >= 1");
       }
-      if (!item.price || typeof item.price !== "number" || item.price < 0) {
-        errors.push("Each item must have valid price");
+      // Price is optional — the server computes it — but must be sane if sent
+      if (item.price !== undefined && (typeof item.price !== "number" || item.price < 0)) {
+        errors.push("Each item price must be a non-negative number");
       }
     }
   }
@@ -78,18 +84,40 @@ const validateOrderInput = async (body) => {
     errors.push("Payment method must be 'cod' or 'online'");
   }
 
+  if (body.couponCode !== undefined && body.couponCode !== null && typeof body.couponCode !== "string") {
+    errors.push("Coupon code must be text");
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
   };
 };
 
+/**
+ * Online payments are refunded through the provider when an order is
+ * cancelled or returned. A provider failure is logged, not thrown: the status
+ * change stands and the refund can be retried from /api/payments.
+ */
+const refundIfPaid = async (orderId, status, actor, note) => {
+  if (!["cancelled", "returned"].includes(status)) return;
+
+  try {
+    await refundOrder(orderId, { reason: note || `Order ${status}`, actor });
+  } catch (error) {
+    console.error("❌ Order Refund Error:", error);
+  }
+};
+
+const ONLINE_PAYMENT_MESSAGE =
+  "Online payments are updated by the payment provider. Use the refund endpoint to return money";
+
 // ============================================
 // ➕ CREATE NEW ORDER — Authenticated users
 // ============================================
 router.post("/", verifyToken, async (req, res) => {
   try {
-    const { userId, addressId, items, paymentMethod } = req.body;
+    const { userId, addressId, items, paymentMethod, couponCode } = req.body;
 
     // Verify user is creating order for themselves (or admin can create for anyone)
     if (req.user.role !== "admin" && req.user._id.toString() !== userId) {
@@ -102,78 +130,46 @@ router.post("/", verifyToken, async (req, res) => {
       return sendResponse(res, 400, false, validation.errors.join(", "));
     }
 
-    // Verify address belongs to user
-    const address = await Address.findOne({
-      _id: addressId,
-      userId: userId,
-    });
-
-    if (!address) {
-      return sendResponse(res, 400, false, "Address does not belong to this user");
-    }
-
-    // Check stock and prepare items with details
-    const preparedItems = [];
-    let totalAmount = 0;
-
-    for (const item of items) {
-      const product = await Product.findById(item.productId);
-
-      if (!product) {
-        return sendResponse(res, 404, false, `Product not found: ${item.productId}`);
-      }
-
-      if (product.stock < item.quantity) {
-        return sendResponse(
-          res,
-          400,
-          false,
-          `Insufficient stock for ${product.name}. Available: ${product.stock}`
-        );
-      }
-
-      const subtotal = item.price * item.quantity;
-      preparedItems.push({
-        productId: item.productId,
-        name: product.name,
-        price: item.price,
-        quantity: item.quantity,
-        subtotal,
-      });
-
-      totalAmount += subtotal;
-    }
-
-    // Create order
-    const newOrder = new Order({
+    const { order: savedOrder, priceMismatches, payment } = await placeOrder({
+      actor: req.user,
       userId,
       addressId,
-      items: preparedItems,
-      totalAmount,
-      paymentMethod: paymentMethod || "cod",
-      paymentStatus: "unpaid",
-      status: "pending",
+      items,
+      paymentMethod,
+      couponCode,
     });
 
-    const savedOrder = await newOrder.save();
-
-    // Reduce product stock
-    for (const item of preparedItems) {
-      await Product.findByIdAndUpdate(
-        item.productId,
-        { $inc: { stock: -item.quantity } },
-        { new: true }
-      );
-    }
-
     // Populate references for response
     await savedOrder.populate([
       { path: "userId", select: "name phone" },
       { path: "addressId" },
     ]);
 
-    sendResponse(res, 201, true, "Order created successfully", savedOrder);
+    const message = priceMismatches.length > 0
+      ? `Order created successfully. Prices updated for ${priceMismatches.length} item(s)`
+      : "Order created successfully";
+
+    sendResponse(
+      res,
+      201,
+      true,
+      message,
+      payment ? { ...savedOrder.toObject(), payment: toPaymentResponse(payment) } : savedOrder
+    );
   } catch (error) {
+    if (error.outOfStock) {
+      return sendResponse(res, error.statusCode, false, error.message, {
+        outOfStock: error.outOfStock,
+      });
+    }
+    if (error.priceMismatches) {
+      return sendResponse(res, error.statusCode, false, error.message, {
+        priceMismatches: error.priceMismatches,
+      });
+    }
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
     console.error("❌ Create Order Error:", error);
     sendResponse(res, 500, false, "Server error while creating order");
   }
@@ -307,7 +303,8 @@ router.get("/:id", verifyToken, async (req, res) => {
 
     const order = await Order.findById(id)
       .populate("userId", "name phone")
-      .populate("addressId");
+      .populate("addressId")
+      .populate("statusHistory.changedBy", "name role");
 
     if (!order) {
       return sendResponse(res, 404, false, "Order not found");
@@ -318,7 +315,10 @@ router.get("/:id", verifyToken, async (req, res) => {
       return sendResponse(res, 403, false, "You can only view your own orders");
     }
 
-    sendResponse(res, 200, true, "Order fetched successfully", order);
+    sendResponse(res, 200, true, "Order fetched successfully", {
+      ...order.toObject(),
+      nextStatuses: Order.getNextStatuses(order.status),
+    });
   } catch (error) {
     console.error("❌ Get Order Error:", error);
     sendResponse(res, 500, false, "Server error while fetching order");
@@ -331,7 +331,7 @@ router.get("/:id", verifyToken, async (req, res) => {
 router.put("/:id/status", verifyToken, verifyAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, paymentStatus } = req.body;
+    const { status, paymentStatus, note } = req.body;
 
     if (!isValidObjectId(id)) {
       return sendResponse(res, 400, false, "Invalid order ID format");
@@ -341,33 +341,49 @@ router.put("/:id/status", verifyToken, verifyAdmin, async (req, res) => {
       return sendResponse(res, 400, false, "Status or paymentStatus is required");
     }
 
-    if (status && !["pending", "confirmed", "delivered", "cancelled","in_transit"].includes(status)) {
+    if (status && !Order.STATUSES.includes(status)) {
       return sendResponse(res, 400, false, "Invalid status value");
     }
 
-    
+    if (paymentStatus && !["unpaid", "paid", "refunded"].includes(paymentStatus)) {
+      return sendResponse(res, 400, false, "Invalid payment status value");
+    }
+
+    if (note !== undefined && (typeof note !== "string" || note.length > 500)) {
+      return sendResponse(res, 400, false, "Note must be text of at most 500 characters");
+    }
 
     const order = await Order.findById(id);
     if (!order) {
       return sendResponse(res, 404, false, "Order not found");
     }
 
-   
+    if (paymentStatus && order.paymentMethod === "online") {
+      return sendResponse(res, 400, false, ONLINE_PAYMENT_MESSAGE);
+    }
 
-    // Update fields
-    const updateFields = {};
-    if (status) updateFields.status = status;
-    if (paymentStatus) updateFields.paymentStatus = paymentStatus;
+    // Status moves go through the state machine (restock etc. happen there);
+    // a payment status given with it is written in the same transaction
+    if (status && status !== order.status) {
+      await transitionOrder(id, status, {
+        actor: req.user,
+        note: note?.trim() || "",
+        set: paymentStatus ? { paymentStatus } : {},
+      });
+      await refundIfPaid(id, status, req.user, note?.trim() || "");
+    } else if (paymentStatus) {
+      await Order.updateOne({ _id: id }, { paymentStatus });
+    }
 
-    const updatedOrder = await Order.findByIdAndUpdate(id, updateFields, {
-      new: true,
-      runValidators: true,
-    })
+    const updatedOrder = await Order.findById(id)
       .populate("userId", "name phone")
       .populate("addressId");
 
     sendResponse(res, 200, true, "Order updated successfully", updatedOrder);
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
     console.error("❌ Update Order Error:", error);
     sendResponse(res, 500, false, "Server error while updating order");
   }
@@ -398,6 +414,10 @@ router.put("/:id/payment", verifyToken, verifyAdmin, async (req, res) => {
       return sendResponse(res, 404, false, "Order not found");
     }
 
+    if (order.paymentMethod === "online") {
+      return sendResponse(res, 400, false, ONLINE_PAYMENT_MESSAGE);
+    }
+
     const updateFields = { paymentStatus };
     if (paymentMethod) {
       if (!["cod", "online"].includes(paymentMethod)) {
@@ -425,55 +445,103 @@ router.put("/:id/payment", verifyToken, verifyAdmin, async (req, res) => {
 router.put("/:id/cancel", verifyToken, async (req, res) => {
   try {
     const { id } = req.params;
+    const { reason } = req.body || {};
 
     if (!isValidObjectId(id)) {
       return sendResponse(res, 400, false, "Invalid order ID format");
     }
 
+    if (reason !== undefined && (typeof reason !== "string" || reason.length > 500)) {
+      return sendResponse(res, 400, false, "Reason must be text of at most 500 characters");
+    }
+
     const order = await Order.findById(id);
     if (!order) {
       return sendResponse(res, 404, false, "Order not found");
     }
 
     // Check authorization
-    if (req.user.role !== "admin" && req.user._id.toString() !== order.userId.toString()) {
+    const isAdmin = req.user.role === "admin";
+    if (!isAdmin && req.user._id.toString() !== order.userId.toString()) {
       return sendResponse(res, 403, false, "You can only cancel your own orders");
     }
 
-    // Check if order can be cancelled
-    if (order.status === "delivered") {
-      return sendResponse(res, 400, false, "Cannot cancel a delivered order");
-    }
-
     if (order.status === "cancelled") {
       return sendResponse(res, 400, false, "Order is already cancelled");
     }
 
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(
-        item.productId,
-        { $inc: { stock: item.quantity } },
-        { new: true }
-      );
+    // Customers can only cancel before the order is dispatched
+    if (!isAdmin && !["pending", "confirmed"].includes(order.status)) {
+      return sendResponse(res, 400, false, `Cannot cancel an order that is ${order.status}`);
     }
 
-    // Update order status
-    const cancelledOrder = await Order.findByIdAndUpdate(
-      id,
-      { status: "cancelled" },
-      { new: true }
-    )
+    // Restock is bound to the transition (same transaction)
+    await transitionOrder(id, "cancelled", {
+      actor: req.user,
+      note: reason?.trim() || "",
+      allowedFrom: isAdmin ? null : ["pending", "confirmed"],
+    });
+    await refundIfPaid(id, "cancelled", req.user, reason?.trim() || "");
+
+    const cancelledOrder = await Order.findById(id)
       .populate("userId", "name phone")
       .populate("addressId");
 
     sendResponse(res, 200, true, "Order cancelled successfully", cancelledOrder);
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
     console.error("❌ Cancel Order Error:", error);
     sendResponse(res, 500, false, "Server error while cancelling order");
   }
 });
 
+// ============================================
+// ↩️ REQUEST RETURN — Order owner
+// ============================================
+router.put("/:id/return", verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid order ID format");
+    }
+
+    if (!reason || typeof reason !== "string" || reason.trim().length === 0) {
+      return sendResponse(res, 400, false, "Return reason is required");
+    }
+
+    if (reason.length > 500) {
+      return sendResponse(res, 400, false, "Reason must not exceed 500 characters");
+    }
+
+    const order = await Order.findById(id);
+    if (!order) {
+      return sendResponse(res, 404, false, "Order not found");
+    }
+
+    if (req.user.role !== "admin" && req.user._id.toString() !== order.userId.toString()) {
+      return sendResponse(res, 403, false, "You can only return your own orders");
+    }
+
+    await transitionOrder(id, "return_requested", { actor: req.user, note: reason.trim() });
+
+    const updatedOrder = await Order.findById(id)
+      .populate("userId", "name phone")
+      .populate("addressId");
+
+    sendResponse(res, 200, true, "Return requested successfully", updatedOrder);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    console.error("❌ Return Order Error:", error);
+    sendResponse(res, 500, false, "Server error while requesting return");
+  }
+});
+
 // ============================================
 // 📊 GET ORDER STATISTICS — Admin only
 // ============================================
@@ -546,7 +614,7 @@ router.get("/admin/sales-report", verifyToken, verifyAdmin, async (req, res) =>
       {
         $match: {
           createdAt: { $gte: startDate, $lte: endDate },
-          status: { $ne: "cancelled" },
+          status: { $nin: ["cancelled", "returned"] },
         },
       },
       {
@@ -581,6 +649,24 @@ router.get("/admin/sales-report", verifyToken, verifyAdmin, async (req, res) =>
             { $sort: { totalRevenue: -1 } },
             { $limit: 10 },
           ],
+          // Best sellers by size / shade / pack
+          topVariants: [
+            { $unwind: "$items" },
+            { $match: { "items.variantId": { $ne: null } } },
+            {
+              $group: {
+                _id: { productId: "$items.productId", variantId: "$items.variantId" },
+                name: { $first: "$items.name" },
+                variantName: { $first: "$items.variantName" },
+                sku: { $first: "$items.sku" },
+                totalQuantity: { $sum: "$items.quantity" },
+                totalRevenue: { $sum: "$items.subtotal" },
+                orderCount: { $sum: 1 },
+              },
+            },
+            { $sort: { totalRevenue: -1 } },
+            { $limit: 10 },
+          ],
           dailyRevenue: [
             {
               $group: {
@@ -0,0 +1,293 @@
+import express from "express";
+import Order from "../models/Order.js";
+import Booking from "../models/Booking.js";
+import Payment from "../models/Payment.js";
+import { getPaymentProvider } from "../utils/paymentProviders.js";
+import {
+  createPaymentIntent,
+  createDepositIntent,
+  handlePaymentEvent,
+  refundPayment,
+  toPaymentResponse,
+} from "../utils/payments.js";
+
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyAdmin } from "../middleware/adminMiddleware.js";
+
+import mongoose from "mongoose";
+
+const router = express.Router();
+
+// ============================================
+// 🛠️ UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Validate MongoDB ObjectId
+ */
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id) &&
+         String(new mongoose.Types.ObjectId(id)) === id;
+};
+
+/**
+ * Standard response formatter
+ */
+const sendResponse = (res, statusCode, success, message, data = null) => {
+  const response = { success, message };
+  if (data) response.data = data;
+  res.status(statusCode).json(response);
+};
+
+/**
+ * Load an order the current user may pay for or inspect (owner or admin)
+ * → order, or null when a response was sent
+ */
+const loadOwnOrder = async (req, res) => {
+  const { orderId } = req.params;
+
+  if (!isValidObjectId(orderId)) {
+    sendResponse(res, 400, false, "Invalid order ID format");
+    return null;
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    sendResponse(res, 404, false, "Order not found");
+    return null;
+  }
+
+  if (req.user.role !== "admin" && req.user._id.toString() !== order.userId.toString()) {
+    sendResponse(res, 403, false, "You can only pay for your own orders");
+    return null;
+  }
+  return order;
+};
+
+/**
+ * Load a booking the current user may pay a deposit on (owner or admin)
+ * → booking, or null when a response was sent
+ */
+const loadOwnBooking = async (req, res) => {
+  const { bookingId } = req.params;
+
+  if (!isValidObjectId(bookingId)) {
+    sendResponse(res, 400, false, "Invalid booking ID format");
+    return null;
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    sendResponse(res, 404, false, "Booking not found");
+    return null;
+  }
+
+  if (req.user.role !== "admin" && req.user._id.toString() !== booking.userId.toString()) {
+    sendResponse(res, 403, false, "You can only pay for your own bookings");
+    return null;
+  }
+  return booking;
+};
+
+// ============================================
+// 💳 CREATE PAYMENT INTENT — Order owner
+// Reuses the open intent when the customer retries
+// ============================================
+router.post("/orders/:orderId/intent", verifyToken, async (req, res) => {
+  try {
+    const order = await loadOwnOrder(req, res);
+    if (!order) return;
+
+    const payment = await createPaymentIntent(order);
+
+    sendResponse(res, 201, true, "Payment intent created", toPaymentResponse(payment));
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    console.error("❌ Create Payment Intent Error:", error);
+    sendResponse(res, 500, false, "Server error while starting payment");
+  }
+});
+
+// ============================================
+// 📄 GET PAYMENTS FOR AN ORDER — Order owner or Admin
+// ============================================
+router.get("/orders/:orderId", verifyToken, async (req, res) => {
+  try {
+    const order = await loadOwnOrder(req, res);
+    if (!order) return;
+
+    const payments = await Payment.find({ orderId: order._id }).sort({ createdAt: -1 });
+
+    sendResponse(res, 200, true, "Payments fetched successfully", {
+      paymentStatus: order.paymentStatus,
+      payments: payments.map(toPaymentResponse),
+    });
+  } catch (error) {
+    console.error("❌ Get Payments Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching payments");
+  }
+});
+
+// ============================================
+// 💳 CREATE DEPOSIT INTENT — Booking owner
+// Reuses the open intent when the customer retries
+// ============================================
+router.post("/bookings/:bookingId/deposit", verifyToken, async (req, res) => {
+  try {
+    const booking = await loadOwnBooking(req, res);
+    if (!booking) return;
+
+    const payment = await createDepositIntent(booking);
+
+    sendResponse(res, 201, true, "Deposit payment intent created", toPaymentResponse(payment));
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    console.error("❌ Create Deposit Intent Error:", error);
+    sendResponse(res, 500, false, "Server error while starting deposit payment");
+  }
+});
+
+// ============================================
+// 📄 GET PAYMENTS FOR A BOOKING — Booking owner or Admin
+// ============================================
+router.get("/bookings/:bookingId", verifyToken, async (req, res) => {
+  try {
+    const booking = await loadOwnBooking(req, res);
+    if (!booking) return;
+
+    const payments = await Payment.find({ bookingId: booking._id }).sort({ createdAt: -1 });
+
+    sendResponse(res, 200, true, "Payments fetched successfully", {
+      depositStatus: booking.depositStatus,
+      paymentStatus: booking.paymentStatus,
+      payments: payments.map(toPaymentResponse),
+    });
+  } catch (error) {
+    console.error("❌ Get Booking Payments Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching payments");
+  }
+});
+
+// ============================================
+// 📬 PROVIDER WEBHOOK — Public (signature checked)
+// Needs the raw body, kept by express.json in server.js
+// ============================================
+router.post("/webhook", async (req, res) => {
+  try {
+    const event = getPaymentProvider().verifyWebhook(req.rawBody, req.headers);
+    const { handled } = await handlePaymentEvent(event);
+
+    // Always acknowledge authentic events so the provider stops retrying
+    sendResponse(res, 200, true, handled ? "Event processed" : "Event ignored");
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    if (error instanceof SyntaxError) {
+      return sendResponse(res, 400, false, "Malformed webhook payload");
+    }
+    console.error("❌ Payment Webhook Error:", error);
+    sendResponse(res, 500, false, "Server error while processing payment event");
+  }
+});
+
+// ============================================
+// ↩️ REFUND A PAYMENT — Admin only
+// Body: { amount? (default: everything left), reason }
+// ============================================
+router.post("/:id/refund", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body || {};
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid payment ID format");
+    }
+
+    if (amount !== undefined && (typeof amount !== "number" || amount <= 0)) {
+      return sendResponse(res, 400, false, "Amount must be a positive number");
+    }
+
+    if (!reason || typeof reason !== "string" || reason.trim().length === 0) {
+      return sendResponse(res, 400, false, "A reason is required for a refund");
+    }
+
+    if (reason.length > 500) {
+      return sendResponse(res, 400, false, "Reason must not exceed 500 characters");
+    }
+
+    const payment = await Payment.findById(id);
+    if (!payment) {
+      return sendResponse(res, 404, false, "Payment not found");
+    }
+
+    const refunded = await refundPayment(payment, {
+      amount: amount ?? null,
+      reason: reason.trim(),
+      actor: req.user,
+    });
+
+    sendResponse(res, 200, true, "Refund requested successfully", toPaymentResponse(refunded));
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    console.error("❌ Refund Payment Error:", error);
+    sendResponse(res, 500, false, "Server error while refunding payment");
+  }
+});
+
+// ============================================
+// 🧪 COMPLETE A FAKE PAYMENT — Payer (fake provider, non-production)
+// Stands in for the customer paying at the gateway: builds the signed
+// webhook the provider would send and runs it through the real handler.
+// :outcome is "succeed" or "fail"
+// ============================================
+router.post("/fake/:intentId/:outcome", verifyToken, async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    if (provider.name !== "fake" || process.env.NODE_ENV === "production") {
+      return sendResponse(res, 404, false, "API route not found");
+    }
+
+    const { intentId, outcome } = req.params;
+    if (!["succeed", "fail"].includes(outcome)) {
+      return sendResponse(res, 400, false, "Outcome must be 'succeed' or 'fail'");
+    }
+
+    const payment = await Payment.findOne({ intentId, provider: "fake" });
+    if (!payment) {
+      return sendResponse(res, 404, false, "Payment not found");
+    }
+
+    if (req.user.role !== "admin" && req.user._id.toString() !== payment.userId.toString()) {
+      return sendResponse(res, 403, false, "You can only complete your own payments");
+    }
+
+    const { rawBody, headers } = provider.buildWebhook({
+      type: outcome === "succeed" ? "payment.succeeded" : "payment.failed",
+      intentId,
+      ...(outcome === "fail" && { failureReason: req.body?.reason || "Card declined" }),
+    });
+    const { handled } = await handlePaymentEvent(provider.verifyWebhook(rawBody, headers));
+
+    if (!handled) {
+      return sendResponse(res, 409, false, `Payment is already ${payment.status}`);
+    }
+
+    const updated = await Payment.findById(payment._id);
+    sendResponse(res, 200, true, `Fake payment ${outcome === "succeed" ? "succeeded" : "failed"}`, toPaymentResponse(updated));
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    console.error("❌ Fake Payment Error:", error);
+    sendResponse(res, 500, false, "Server error while completing fake payment");
+  }
+});
+
+export default router;
@@ -1,6 +1,13 @@
 import express from "express";
 import Product from "../models/Product.js";
 import Order from "../models/Order.js";
+import StockMovement from "../models/StockMovement.js";
+import StockAlert from "../models/StockAlert.js";
+import { applyStockMovement, adjustStock, findStockDiscrepancies, getItemName } from "../utils/inventory.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { resolveCategory, getCategoryScope } from "../utils/categories.js";
+import { escapeRegex } from "../utils/search.js";
+import { lowStockFilter, findLowStockLines, buildStockDigest } from "../utils/stockAlerts.js";
 import { verifyToken } from "../middleware/authMiddleware.js";
 import { verifyAdmin } from "../middleware/adminMiddleware.js";
 import mongoose from "mongoose";
@@ -30,8 +37,9 @@ const sendResponse = (res, statusCode, success, message, data = null) => {
 
 /**
  * Validate product input
+ *   hasVariants — price and stock then come from the variants
  */
-const validateProductInput = (body) => {
+const validateProductInput = (body, { hasVariants = false } = {}) => {
   const errors = [];
 
   if (!body.name || body.name.trim().length === 0) {
@@ -42,15 +50,25 @@ const validateProductInput = (body) => {
     errors.push("Product name must not exceed 100 characters");
   }
 
-  if (body.price === undefined || body.price === null) {
+  if (hasVariants) {
+    // Price is the cheapest variant's; anything sent is ignored
+  } else if (body.price === undefined || body.price === null) {
     errors.push("Price is required");
   } else if (typeof body.price !== "number" || body.price < 0) {
     errors.push("Price must be a non-negative number");
   }
 
   if (body.stock !== undefined && body.stock !== null) {
-    if (typeof body.stock !== "number" || body.stock < 0) {
-      errors.push("Stock must be a non-negative number");
+    if (hasVariants) {
+      errors.push("Stock of a product with variants is set per variant");
+    } else if (!Number.isInteger(body.stock) || body.stock < 0) {
+      errors.push("Stock must be a non-negative whole number");
+    }
+  }
+
+  if (body.reorderThreshold !== undefined && body.reorderThreshold !== null) {
+    if (!Number.isInteger(body.reorderThreshold) || body.reorderThreshold < 0) {
+      errors.push("Reorder threshold must be a non-negative whole number");
     }
   }
 
@@ -66,6 +84,10 @@ const validateProductInput = (body) => {
     errors.push("Category must not exceed 100 characters");
   }
 
+  if (body.categoryId && !isValidObjectId(String(body.categoryId))) {
+    errors.push("Invalid category ID format");
+  }
+
   if (body.discount !== undefined && body.discount !== null) {
     const d = Number(body.discount);
     if (Number.isNaN(d) || d < 0 || d > 100) {
@@ -85,49 +107,205 @@ const validateProductInput = (body) => {
   };
 };
 
+/**
+ * Validate variant input
+ *   partial — only check the fields present (updates)
+ */
+const validateVariantInput = (body, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || body.sku !== undefined) {
+    if (typeof body.sku !== "string" || !/^[A-Za-z0-9._-]{1,50}$/.test(body.sku.trim())) {
+      errors.push("SKU is required (up to 50 letters, digits, '.', '_' or '-')");
+    }
+  }
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== "string" || body.name.trim().length === 0) {
+      errors.push("Variant name is required (e.g. '50ml' or 'Ruby Red')");
+    } else if (body.name.trim().length > 50) {
+      errors.push("Variant name must not exceed 50 characters");
+    }
+  }
+
+  if (!partial || body.price !== undefined) {
+    if (typeof body.price !== "number" || body.price < 0) {
+      errors.push("Variant price must be a non-negative number");
+    }
+  }
+
+  if (body.stock !== undefined && body.stock !== null) {
+    if (partial) {
+      errors.push("Change variant stock through the stock endpoints");
+    } else if (!Number.isInteger(body.stock) || body.stock < 0) {
+      errors.push("Variant stock must be a non-negative whole number");
+    }
+  }
+
+  if (body.attributes !== undefined) {
+    const attributes = body.attributes;
+    if (!attributes || typeof attributes !== "object" || Array.isArray(attributes)) {
+      errors.push("Attributes must be an object with size, shade and/or pack");
+    } else {
+      for (const key of Object.keys(attributes)) {
+        if (!["size", "shade", "pack"].includes(key)) {
+          errors.push(`Unknown variant attribute: ${key}`);
+        } else if (typeof attributes[key] !== "string" || attributes[key].trim().length > 50) {
+          errors.push(`Attribute ${key} must be text of at most 50 characters`);
+        }
+      }
+    }
+  }
+
+  if (body.image !== undefined && (typeof body.image !== "string" || body.image.trim().length > 500)) {
+    errors.push("Variant image URL must not exceed 500 characters");
+  }
+
+  if (body.reorderThreshold !== undefined && body.reorderThreshold !== null) {
+    if (!Number.isInteger(body.reorderThreshold) || body.reorderThreshold < 0) {
+      errors.push("Reorder threshold must be a non-negative whole number");
+    }
+  }
+
+  if (body.isActive !== undefined && typeof body.isActive !== "boolean") {
+    errors.push("isActive must be a boolean");
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Variant fields from validated input (stock is never set here)
+ */
+const buildVariantFields = (body) => {
+  const fields = {};
+  if (body.sku !== undefined) fields.sku = body.sku.trim();
+  if (body.name !== undefined) fields.name = body.name.trim();
+  if (body.price !== undefined) fields.price = body.price;
+  if (body.image !== undefined) fields.image = body.image.trim();
+  if (body.reorderThreshold !== undefined) fields.reorderThreshold = body.reorderThreshold;
+  if (body.isActive !== undefined) fields.isActive = body.isActive;
+  if (body.attributes !== undefined) {
+    fields.attributes = {
+      size: body.attributes.size?.trim() || "",
+      shade: body.attributes.shade?.trim() || "",
+      pack: body.attributes.pack?.trim() || "",
+    };
+  }
+  return fields;
+};
+
+/**
+ * A duplicate-key error on a variant SKU
+ */
+const isDuplicateSkuError = (error) => {
+  return error.code === 11000 && Object.keys(error.keyPattern || {}).includes("variants.sku");
+};
+
 // ============================================
 // ➕ CREATE NEW PRODUCT — Admin only
 // ============================================
 router.post("/", verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const { name, description, price, image, category, stock ,discount, featured} = req.body;
+    const { name, description, price, image, category, categoryId, stock ,discount, featured, reorderThreshold, variants } = req.body;
+
+    if (variants !== undefined && (!Array.isArray(variants) || variants.length > Product.MAX_VARIANTS)) {
+      return sendResponse(res, 400, false, `Variants must be an array of at most ${Product.MAX_VARIANTS}`);
+    }
+    const hasVariants = Array.isArray(variants) && variants.length > 0;
 
     // Validate input
-    const validation = validateProductInput(req.body);
+    const validation = validateProductInput(req.body, { hasVariants });
     if (!validation.isValid) {
       return sendResponse(res, 400, false, validation.errors.join(", "));
     }
 
+    for (const variant of variants || []) {
+      const variantValidation = validateVariantInput(variant || {});
+      if (!variantValidation.isValid) {
+        return sendResponse(res, 400, false, variantValidation.errors.join(", "));
+      }
+    }
+
     // Check if product name already exists (optional - prevent duplicates)
     const existingProduct = await Product.findOne({
-      name: new RegExp(`^${name.trim()}$`, "i"), // Case-insensitive
+      name: new RegExp(`^${escapeRegex(name.trim())}$`, "i"), // Case-insensitive
     });
 
     if (existingProduct) {
       return sendResponse(res, 409, false, "Product with this name already exists");
     }
 
+    // Category is optional; given as categoryId or as a slug / id in category
+    const categoryRef = categoryId || category?.trim();
+    const productCategory = categoryRef ? await resolveCategory("product", String(categoryRef)) : null;
+
     // Create new product
     const newProduct = new Product({
       name: name.trim(),
       description: description?.trim() || "",
-      price,
+      price: hasVariants ? 0 : price, // set from the variants on save
       discount: discount !== undefined ? Number(discount) : 0,
       featured: featured === true,
       image: image?.trim() || "",
-      category: category?.trim() || "",
-      stock: stock || 0,
+      categoryId: productCategory?._id || null,
+      category: productCategory?.slug || "",
+      stock: 0,
+      reorderThreshold: reorderThreshold ?? null,
+      variants: (variants || []).map((variant) => ({ ...buildVariantFields(variant), stock: 0 })),
     });
 
-    const savedProduct = await newProduct.save();
+    // Opening stock goes through the ledger like any other delivery
+    const savedProduct = await runInTransaction(async (session) => {
+      await newProduct.save({ session });
+
+      const opening = hasVariants
+        ? newProduct.variants.map((variant, i) => ({ variantId: variant._id, quantity: variants[i].stock || 0 }))
+        : [{ variantId: null, quantity: stock || 0 }];
+
+      let saved = newProduct;
+      for (const { variantId, quantity } of opening) {
+        if (quantity === 0) continue;
+        saved = await applyStockMovement(
+          newProduct._id,
+          quantity,
+          { reason: "purchase", actor: req.user, note: "Initial stock", variantId },
+          session
+        );
+      }
+      return saved;
+    });
 
     sendResponse(res, 201, true, "Product created successfully", savedProduct);
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    if (isDuplicateSkuError(error)) {
+      return sendResponse(res, 409, false, "A variant SKU is already used by another product");
+    }
+    if (error.name === "ValidationError") {
+      return sendResponse(res, 400, false, error.message);
+    }
     console.error("❌ Create Product Error:", error);
     sendResponse(res, 500, false, "Server error while creating product");
   }
 });
 
+/**
+ * Sort options for product listings (?sort=)
+ */
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  rating: { averageRating: -1, reviewCount: -1, createdAt: -1 },
+  reviews: { reviewCount: -1, averageRating: -1, createdAt: -1 },
+  price_asc: { price: 1, createdAt: -1 },
+  price_desc: { price: -1, createdAt: -1 },
+};
+
 // ============================================
 // 📄 GET ALL PRODUCTS — Public (with pagination, filtering & search)
 // ============================================
@@ -140,17 +318,19 @@ router.get("/", async (req, res) => {
     // Build filter query
     const filter = {};
 
-    // Search by name or description
+    // Search by name or description (literal text; see /api/search for ranked search)
     if (req.query.search) {
-      filter.$or = [
-        { name: new RegExp(req.query.search.trim(), "i") },
-        { description: new RegExp(req.query.search.trim(), "i") },
-      ];
+      const search = new RegExp(escapeRegex(String(req.query.search).trim().slice(0, 100)), "i");
+      filter.$or = [{ name: search }, { description: search }];
     }
 
-    // Filter by category
+    // Filter by category (slug or id), including its subcategories
     if (req.query.category) {
-      filter.category = new RegExp(`^${req.query.category.trim()}$`, "i");
+      const slugs = await getCategoryScope("product", String(req.query.category));
+      if (!slugs) {
+        return sendResponse(res, 400, false, "Unknown product category");
+      }
+      filter.category = { $in: slugs };
     }
 
     // Filter by price range
@@ -167,17 +347,41 @@ router.get("/", async (req, res) => {
     if (req.query.featured === "true") filter.featured = true;
     else if (req.query.featured === "false") filter.featured = false;
 
-    // Filter by stock status
+    // Filter by minimum average rating
+    if (req.query.minRating) {
+      const minRating = parseFloat(req.query.minRating);
+      if (Number.isNaN(minRating) || minRating < 0 || minRating > 5) {
+        return sendResponse(res, 400, false, "minRating must be between 0 and 5");
+      }
+      filter.averageRating = { $gte: minRating };
+    }
+
+    // Filter by variant attributes / SKU (active variants only)
+    const variantMatch = {};
+    for (const key of ["size", "shade", "pack"]) {
+      if (req.query[key]) variantMatch[`attributes.${key}`] = String(req.query[key]).trim();
+    }
+    if (req.query.sku) variantMatch.sku = String(req.query.sku).trim().toUpperCase();
+    if (Object.keys(variantMatch).length > 0) {
+      filter.variants = { $elemMatch: { ...variantMatch, isActive: true } };
+    }
+
+    // Filter by stock status (a product's stock is the total over its variants)
     if (req.query.inStock === "true") {
       filter.stock = { $gt: 0 };
     } else if (req.query.inStock === "false") {
       filter.stock = { $lte: 0 };
     }
 
+    const sortBy = req.query.sort || "newest";
+    if (!SORT_OPTIONS[sortBy]) {
+      return sendResponse(res, 400, false, `Sort must be one of: ${Object.keys(SORT_OPTIONS).join(", ")}`);
+    }
+
     // Execute query with pagination
     const [products, total] = await Promise.all([
       Product.find(filter)
-        .sort({ createdAt: -1 })
+        .sort(SORT_OPTIONS[sortBy])
         .limit(limit)
         .skip(skip),
       Product.countDocuments(filter),
@@ -209,7 +413,7 @@ router.get("/:id", async (req, res) => {
       return sendResponse(res, 400, false, "Invalid product ID format");
     }
 
-    const product = await Product.findById(id);
+    const product = await Product.findById(id).populate("categoryId", "name slug parent ancestors");
 
     if (!product) {
       return sendResponse(res, 404, false, "Product not found");
@@ -240,7 +444,8 @@ router.put("/:id", verifyToken, verifyAdmin, async (req, res) => {
     }
 
     // Validate input
-    const validation = validateProductInput(req.body);
+    const hasVariants = existingProduct.variants.length > 0;
+    const validation = validateProductInput(req.body, { hasVariants });
     if (!validation.isValid) {
       return sendResponse(res, 400, false, validation.errors.join(", "));
     }
@@ -249,7 +454,7 @@ router.put("/:id", verifyToken, verifyAdmin, async (req, res) => {
     if (req.body.name && req.body.name.trim() !== existingProduct.name) {
       const duplicate = await Product.findOne({
         _id: { $ne: id },
-        name: new RegExp(`^${req.body.name.trim()}$`, "i"),
+        name: new RegExp(`^${escapeRegex(req.body.name.trim())}$`, "i"),
       });
 
       if (duplicate) {
@@ -261,20 +466,48 @@ router.put("/:id", verifyToken, verifyAdmin, async (req, res) => {
     const updateFields = {};
     if (req.body.name) updateFields.name = req.body.name.trim();
     if (req.body.description !== undefined) updateFields.description = req.body.description.trim();
-    if (req.body.price !== undefined) updateFields.price = req.body.price;
+    if (req.body.price !== undefined && !hasVariants) updateFields.price = req.body.price;
     if (req.body.image !== undefined) updateFields.image = req.body.image?.trim() || "";
-    if (req.body.category !== undefined) updateFields.category = req.body.category?.trim() || "";
-    if (req.body.stock !== undefined) updateFields.stock = req.body.stock;
+    // An empty category takes the product out of its category
+    const categoryRef = req.body.categoryId !== undefined ? req.body.categoryId : req.body.category;
+    if (categoryRef !== undefined) {
+      const productCategory = categoryRef ? await resolveCategory("product", String(categoryRef).trim()) : null;
+      updateFields.categoryId = productCategory?._id || null;
+      updateFields.category = productCategory?.slug || "";
+    }
     if (req.body.discount !== undefined) updateFields.discount = Number(req.body.discount);
     if (req.body.featured !== undefined) updateFields.featured = Boolean(req.body.featured);
+    if (req.body.reorderThreshold !== undefined) updateFields.reorderThreshold = req.body.reorderThreshold;
+
+    // A new stock figure is recorded as an adjustment by the difference
+    const updatedProduct = await runInTransaction(async (session) => {
+      const product = await Product.findByIdAndUpdate(id, updateFields, {
+        new: true,
+        runValidators: true,
+        session,
+      });
+      if (!product) return null;
+
+      const stockChange = req.body.stock !== undefined && req.body.stock !== null ? req.body.stock - product.stock : 0;
+      if (stockChange === 0) return product;
 
-    const updatedProduct = await Product.findByIdAndUpdate(id, updateFields, {
-      new: true,
-      runValidators: true,
+      return applyStockMovement(
+        id,
+        stockChange,
+        { reason: "adjustment", actor: req.user, note: `Stock set to ${req.body.stock} while editing the product` },
+        session
+      );
     });
 
+    if (!updatedProduct) {
+      return sendResponse(res, 404, false, "Product not found");
+    }
+
     sendResponse(res, 200, true, "Product updated successfully", updatedProduct);
   } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
     console.error("❌ Update Product Error:", error);
     sendResponse(res, 500, false, "Server error while updating product");
   }
@@ -324,6 +557,172 @@ router.delete("/:id", verifyToken, verifyAdmin, async (req, res) => {
   }
 });
 
+// ============================================
+// ➕ ADD VARIANT — Admin only
+// Body: { sku, name, price, attributes?, stock?, image?, reorderThreshold?, isActive? }
+// ============================================
+router.post("/:id/variants", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid product ID format");
+    }
+
+    const validation = validateVariantInput(req.body);
+    if (!validation.isValid) {
+      return sendResponse(res, 400, false, validation.errors.join(", "));
+    }
+
+    const updatedProduct = await runInTransaction(async (session) => {
+      const product = await Product.findById(id).session(session);
+      if (!product) return null;
+
+      // The first variant takes over the stock; it cannot inherit the product's
+      if (product.variants.length === 0 && product.stock > 0) {
+        const err = new Error(
+          `${product.name} still has ${product.stock} in stock. Bring it to 0 first; stock is kept per variant from now on`
+        );
+        err.statusCode = 409;
+        throw err;
+      }
+
+      product.variants.push({ ...buildVariantFields(req.body), stock: 0 });
+      await product.save({ session });
+      if (!req.body.stock) return product;
+
+      const variant = product.variants[product.variants.length - 1];
+      return applyStockMovement(
+        id,
+        req.body.stock,
+        { reason: "purchase", actor: req.user, note: "Initial stock", variantId: variant._id },
+        session
+      );
+    });
+
+    if (!updatedProduct) {
+      return sendResponse(res, 404, false, "Product not found");
+    }
+
+    sendResponse(res, 201, true, "Variant added successfully", updatedProduct);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    if (isDuplicateSkuError(error)) {
+      return sendResponse(res, 409, false, "This SKU is already used by another product");
+    }
+    if (error.name === "ValidationError") {
+      return sendResponse(res, 400, false, error.message);
+    }
+    console.error("❌ Add Variant Error:", error);
+    sendResponse(res, 500, false, "Server error while adding variant");
+  }
+});
+
+// ============================================
+// ✏️ UPDATE VARIANT — Admin only (stock goes through the stock endpoints)
+// ============================================
+router.put("/:id/variants/:variantId", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+
+    if (!isValidObjectId(id) || !isValidObjectId(variantId)) {
+      return sendResponse(res, 400, false, "Invalid product or variant ID format");
+    }
+
+    const validation = validateVariantInput(req.body, { partial: true });
+    if (!validation.isValid) {
+      return sendResponse(res, 400, false, validation.errors.join(", "));
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return sendResponse(res, 404, false, "Product not found");
+    }
+
+    const variant = product.findVariant(variantId);
+    if (!variant) {
+      return sendResponse(res, 404, false, "Variant not found");
+    }
+
+    variant.set(buildVariantFields(req.body));
+    await product.save();
+
+    sendResponse(res, 200, true, "Variant updated successfully", product);
+  } catch (error) {
+    if (isDuplicateSkuError(error)) {
+      return sendResponse(res, 409, false, "This SKU is already used by another product");
+    }
+    if (error.name === "VersionError") {
+      return sendResponse(res, 409, false, "Product was changed meanwhile. Please refresh and try again");
+    }
+    if (error.name === "ValidationError") {
+      return sendResponse(res, 400, false, error.message);
+    }
+    console.error("❌ Update Variant Error:", error);
+    sendResponse(res, 500, false, "Server error while updating variant");
+  }
+});
+
+// ============================================
+// 🗑️ DELETE VARIANT — Admin only (with stock and order check)
+// ============================================
+router.delete("/:id/variants/:variantId", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+
+    if (!isValidObjectId(id) || !isValidObjectId(variantId)) {
+      return sendResponse(res, 400, false, "Invalid product or variant ID format");
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return sendResponse(res, 404, false, "Product not found");
+    }
+
+    const variant = product.findVariant(variantId);
+    if (!variant) {
+      return sendResponse(res, 404, false, "Variant not found");
+    }
+
+    // Keeps the ledger balanced: stock leaves through a movement, not a delete
+    if (variant.stock > 0) {
+      return sendResponse(
+        res,
+        400,
+        false,
+        `Cannot delete variant. ${variant.stock} still in stock; adjust it to 0 first (or deactivate the variant)`
+      );
+    }
+
+    const activeOrders = await Order.countDocuments({
+      items: { $elemMatch: { productId: id, variantId } },
+      status: { $in: ["pending", "confirmed"] },
+    });
+
+    if (activeOrders > 0) {
+      return sendResponse(
+        res,
+        400,
+        false,
+        `Cannot delete variant. ${activeOrders} active order(s) contain it.`
+      );
+    }
+
+    product.variants.pull(variantId);
+    await product.save();
+
+    sendResponse(res, 200, true, "Variant deleted successfully", product);
+  } catch (error) {
+    if (error.name === "VersionError") {
+      return sendResponse(res, 409, false, "Product was changed meanwhile. Please refresh and try again");
+    }
+    console.error("❌ Delete Variant Error:", error);
+    sendResponse(res, 500, false, "Server error while deleting variant");
+  }
+});
+
 // ============================================
 // 📊 GET PRODUCT STATISTICS — Admin only
 // ============================================
@@ -345,7 +744,7 @@ router.get("/admin/stats", verifyToken, verifyAdmin, async (req, res) => {
           ],
           totalStock: [{ $group: { _id: null, total: { $sum: "$stock" } } }],
           outOfStock: [{ $match: { stock: { $lte: 0 } } }, { $count: "count" }],
-          lowStock: [{ $match: { stock: { $lt: 10 } } }, { $count: "count" }],
+          lowStock: [{ $match: lowStockFilter() }, { $count: "count" }],
           byCategory: [
             {
               $group: {
@@ -380,14 +779,35 @@ router.get("/admin/with-orders", verifyToken, verifyAdmin, async (req, res) => {
   try {
     const products = await Order.aggregate([
       { $unwind: "$items" },
+      // Per variant first, then rolled up per product
       {
         $group: {
-          _id: "$items.productId",
+          _id: { productId: "$items.productId", variantId: { $ifNull: ["$items.variantId", null] } },
+          sku: { $first: "$items.sku" },
+          variantName: { $first: "$items.variantName" },
           totalOrders: { $sum: 1 },
           totalQuantitySold: { $sum: "$items.quantity" },
           totalRevenue: { $sum: "$items.subtotal" },
         },
       },
+      {
+        $group: {
+          _id: "$_id.productId",
+          totalOrders: { $sum: "$totalOrders" },
+          totalQuantitySold: { $sum: "$totalQuantitySold" },
+          totalRevenue: { $sum: "$totalRevenue" },
+          variants: {
+            $push: {
+              variantId: "$_id.variantId",
+              sku: "$sku",
+              name: "$variantName",
+              totalOrders: "$totalOrders",
+              totalQuantitySold: "$totalQuantitySold",
+              totalRevenue: "$totalRevenue",
+            },
+          },
+        },
+      },
       { $sort: { totalRevenue: -1 } },
       {
         $lookup: {
@@ -409,6 +829,12 @@ router.get("/admin/with-orders", verifyToken, verifyAdmin, async (req, res) => {
           totalQuantitySold: 1,
           totalRevenue: 1,
           avgOrderValue: { $divide: ["$totalRevenue", "$totalOrders"] },
+          variants: {
+            $sortArray: {
+              input: { $filter: { input: "$variants", cond: { $ne: ["$$this.variantId", null] } } },
+              sortBy: { totalRevenue: -1 },
+            },
+          },
         },
       },
     ]);
@@ -422,37 +848,292 @@ router.get("/admin/with-orders", verifyToken, verifyAdmin, async (req, res) => {
 
 // ============================================
 // 🔄 UPDATE PRODUCT STOCK — Admin only
+// Body: { quantity (signed), reason? ("purchase" | "adjustment" | "damage"), note?,
+//         variantId? (required for products with variants) }
 // ============================================
 router.patch("/:id/stock", verifyToken, verifyAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { quantity } = req.body;
+    const { quantity, reason = "adjustment", note, variantId } = req.body;
 
     if (!isValidObjectId(id)) {
       return sendResponse(res, 400, false, "Invalid product ID format");
     }
 
+    if (variantId !== undefined && variantId !== null && !isValidObjectId(variantId)) {
+      return sendResponse(res, 400, false, "Invalid variant ID format");
+    }
+
     if (quantity === undefined || typeof quantity !== "number") {
       return sendResponse(res, 400, false, "Valid quantity is required");
     }
 
-    const product = await Product.findById(id);
+    if (note !== undefined && (typeof note !== "string" || note.length > 500)) {
+      return sendResponse(res, 400, false, "Note must be a string of at most 500 characters");
+    }
+
+    const updatedProduct = await runInTransaction((session) =>
+      adjustStock(
+        id,
+        quantity,
+        { reason, actor: req.user, note: note?.trim() || "", variantId: variantId || null },
+        session
+      )
+    );
+
+    sendResponse(res, 200, true, `Stock updated successfully. New stock: ${updatedProduct.stock}`, updatedProduct);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    console.error("❌ Update Stock Error:", error);
+    sendResponse(res, 500, false, "Server error while updating stock");
+  }
+});
+
+// ============================================
+// 📒 GET STOCK MOVEMENTS — Admin only
+// Ledger for one product, newest first (?variantId, ?reason, ?from, ?to, ?page, ?limit)
+// ============================================
+router.get("/:id/stock-movements", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid product ID format");
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, parseInt(req.query.limit) || 20); // Max 100 per page
+    const skip = (page - 1) * limit;
+
+    const product = await Product.findById(id).select("name stock variants");
     if (!product) {
       return sendResponse(res, 404, false, "Product not found");
     }
 
-    const newStock = product.stock + quantity;
-    if (newStock < 0) {
-      return sendResponse(res, 400, false, `Cannot reduce stock below 0. Current stock: ${product.stock}`);
+    const filter = { productId: id };
+
+    if (req.query.variantId) {
+      if (!isValidObjectId(req.query.variantId)) {
+        return sendResponse(res, 400, false, "Invalid variant ID format");
+      }
+      filter.variantId = req.query.variantId;
+    }
+
+    if (req.query.reason) {
+      if (!StockMovement.REASONS.includes(req.query.reason)) {
+        return sendResponse(res, 400, false, `Reason must be one of: ${StockMovement.REASONS.join(", ")}`);
+      }
+      filter.reason = req.query.reason;
+    }
+
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+        return sendResponse(res, 400, false, "from and to must be valid dates");
+      }
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
     }
 
-    product.stock = newStock;
-    const updatedProduct = await product.save();
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .skip(skip)
+        .populate("changedBy", "name email")
+        .populate("orderId", "status"),
+      StockMovement.countDocuments(filter),
+    ]);
 
-    sendResponse(res, 200, true, `Stock updated successfully. New stock: ${newStock}`, updatedProduct);
+    sendResponse(res, 200, true, "Stock movements fetched successfully", {
+      product: {
+        _id: product._id,
+        name: product.name,
+        stock: product.stock,
+        variants: product.variants.map(({ _id, sku, name, stock }) => ({ _id, sku, name, stock })),
+      },
+      movements,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
   } catch (error) {
-    console.error("❌ Update Stock Error:", error);
-    sendResponse(res, 500, false, "Server error while updating stock");
+    console.error("❌ Get Stock Movements Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching stock movements");
+  }
+});
+
+// ============================================
+// 🧮 STOCK RECONCILIATION — Admin only
+// Products and variants whose stock disagrees with the sum of their ledger
+// ============================================
+router.get("/admin/stock-reconciliation", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const discrepancies = await findStockDiscrepancies();
+    const checked = await Product.countDocuments();
+
+    sendResponse(res, 200, true, discrepancies.length === 0
+      ? "Stock matches the ledger for every product"
+      : `${discrepancies.length} product(s) disagree with the ledger`, {
+      checked,
+      mismatched: discrepancies.length,
+      discrepancies,
+    });
+  } catch (error) {
+    console.error("❌ Stock Reconciliation Error:", error);
+    sendResponse(res, 500, false, "Server error while reconciling stock");
+  }
+});
+
+// ============================================
+// ⚠️ LOW STOCK — Admin only
+// Products and variants at or below their reorder threshold, emptiest first
+// (?outOfStock=true, ?category=<slug or id, with its subcategories>)
+// ============================================
+router.get("/admin/low-stock", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, parseInt(req.query.limit) || 20); // Max 100 per page
+    const skip = (page - 1) * limit;
+
+    let categories = null;
+    if (req.query.category) {
+      categories = await getCategoryScope("product", String(req.query.category));
+      if (!categories) {
+        return sendResponse(res, 400, false, "Unknown product category");
+      }
+    }
+
+    const { lines, total } = await findLowStockLines({
+      outOfStock: req.query.outOfStock === "true",
+      categories,
+      skip,
+      limit,
+    });
+
+    sendResponse(res, 200, true, "Low stock products fetched successfully", {
+      products: lines,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Low Stock Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching low stock products");
+  }
+});
+
+// ============================================
+// 🚨 GET STOCK ALERTS — Admin only
+// Newest first (?status=open|resolved, ?type=low_stock|out_of_stock, ?acknowledged=true|false)
+// ============================================
+router.get("/admin/stock-alerts", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, parseInt(req.query.limit) || 20); // Max 100 per page
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+
+    if (req.query.status) {
+      if (!["open", "resolved"].includes(req.query.status)) {
+        return sendResponse(res, 400, false, "Status must be 'open' or 'resolved'");
+      }
+      filter.status = req.query.status;
+    }
+
+    if (req.query.type) {
+      if (!["low_stock", "out_of_stock"].includes(req.query.type)) {
+        return sendResponse(res, 400, false, "Type must be 'low_stock' or 'out_of_stock'");
+      }
+      filter.type = req.query.type;
+    }
+
+    if (req.query.acknowledged === "true") filter.acknowledgedAt = { $ne: null };
+    else if (req.query.acknowledged === "false") filter.acknowledgedAt = null;
+
+    const [alerts, total] = await Promise.all([
+      StockAlert.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip)
+        .populate("productId", "name category stock reorderThreshold")
+        .populate("acknowledgedBy", "name phone"),
+      StockAlert.countDocuments(filter),
+    ]);
+
+    sendResponse(res, 200, true, "Stock alerts fetched successfully", {
+      alerts,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Get Stock Alerts Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching stock alerts");
+  }
+});
+
+// ============================================
+// ✅ ACKNOWLEDGE STOCK ALERT — Admin only
+// Marks an open alert as seen; it still resolves on its own when stock returns
+// ============================================
+router.patch("/admin/stock-alerts/:alertId/acknowledge", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { alertId } = req.params;
+
+    if (!isValidObjectId(alertId)) {
+      return sendResponse(res, 400, false, "Invalid alert ID format");
+    }
+
+    const alert = await StockAlert.findOneAndUpdate(
+      { _id: alertId, status: "open", acknowledgedAt: null },
+      { $set: { acknowledgedBy: req.user._id, acknowledgedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!alert) {
+      const existing = await StockAlert.findById(alertId).select("status acknowledgedAt");
+      if (!existing) {
+        return sendResponse(res, 404, false, "Stock alert not found");
+      }
+      return sendResponse(res, 400, false, existing.status === "resolved"
+        ? "Stock alert is already resolved"
+        : "Stock alert is already acknowledged");
+    }
+
+    sendResponse(res, 200, true, "Stock alert acknowledged", alert);
+  } catch (error) {
+    console.error("❌ Acknowledge Stock Alert Error:", error);
+    sendResponse(res, 500, false, "Server error while acknowledging stock alert");
+  }
+});
+
+// ============================================
+// 📰 STOCK DIGEST — Admin only
+// The same summary the daily digest job sends, on demand
+// ============================================
+router.get("/admin/stock-digest", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const digest = await buildStockDigest();
+
+    sendResponse(res, 200, true, "Stock digest generated", digest);
+  } catch (error) {
+    console.error("❌ Stock Digest Error:", error);
+    sendResponse(res, 500, false, "Server error while building stock digest");
   }
 });
 
@@ -461,7 +1142,7 @@ router.patch("/:id/stock", verifyToken, verifyAdmin, async (req, res) => {
 // ============================================
 router.post("/admin/bulk-stock", verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const { updates } = req.body; // Array of { productId, quantity }
+    const { updates } = req.body; // Array of { productId, variantId?, quantity, reason?, note? }
 
     if (!Array.isArray(updates) || updates.length === 0) {
       return sendResponse(res, 400, false, "Updates array is required and must not be empty");
@@ -477,28 +1158,38 @@ router.post("/admin/bulk-stock", verifyToken, verifyAdmin, async (req, res) => {
           continue;
         }
 
-        const product = await Product.findById(update.productId);
-        if (!product) {
-          errors.push(`Product not found: ${update.productId}`);
+        if (update.variantId !== undefined && update.variantId !== null && !isValidObjectId(update.variantId)) {
+          errors.push(`Invalid variant ID: ${update.variantId}`);
           continue;
         }
 
-        const newStock = product.stock + update.quantity;
-        if (newStock < 0) {
-          errors.push(`Cannot reduce stock below 0 for product: ${product.name}`);
+        if (typeof update.quantity !== "number") {
+          errors.push(`Valid quantity is required for product: ${update.productId}`);
           continue;
         }
 
-        product.stock = newStock;
-        await product.save();
+        const note = typeof update.note === "string" ? update.note.trim().slice(0, 500) : "";
+        const product = await runInTransaction((session) =>
+          adjustStock(
+            update.productId,
+            update.quantity,
+            { reason: update.reason || "adjustment", actor: req.user, note, variantId: update.variantId || null },
+            session
+          )
+        );
+
+        const variant = product.findVariant(update.variantId);
         results.push({
           productId: update.productId,
-          name: product.name,
-          newStock,
+          variantId: variant?._id || null,
+          name: getItemName(product, variant),
+          newStock: (variant || product).stock,
           success: true,
         });
       } catch (err) {
-        errors.push(`Error updating ${update.productId}: ${err.message}`);
+        errors.push(err.statusCode
+          ? `${err.message} (product: ${update.productId})`
+          : `Error updating ${update.productId}: ${err.message}`);
       }
     }
 
@@ -0,0 +1,254 @@
+import express from "express";
+import mongoose from "mongoose";
+import Review from "../models/Review.js";
+import User from "../models/User.js";
+
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyAdmin } from "../middleware/adminMiddleware.js";
+
+const router = express.Router();
+
+// ============================================
+// 🛠️ UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Validate MongoDB ObjectId
+ */
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id) && 
+         String(new mongoose.Types.ObjectId(id)) === id;
+};
+
+/**
+ * Standard response formatter
+ */
+const sendResponse = (res, statusCode, success, message, data = null) => {
+  const response = { success, message };
+  if (data) response.data = data;
+  res.status(statusCode).json(response);
+};
+
+/**
+ * Review target types by URL segment
+ */
+const REVIEW_TYPES = {
+  products: "Product",
+  services: "Service",
+};
+
+/**
+ * Validate an optional / required moderation reason
+ */
+const validateReason = (reason, required) => {
+  if (reason === undefined || reason === null || reason === "") {
+    return required ? "Reason is required" : null;
+  }
+  if (typeof reason !== "string" || reason.trim().length > 500) {
+    return "Reason must be text of at most 500 characters";
+  }
+  return null;
+};
+
+/**
+ * Load a review for a moderation action, answering 400/404 itself
+ * → review, or null when a response was sent
+ */
+const loadReview = async (req, res) => {
+  const targetType = REVIEW_TYPES[req.params.type];
+  if (!targetType) {
+    sendResponse(res, 400, false, "Review type must be 'products' or 'services'");
+    return null;
+  }
+  if (!isValidObjectId(req.params.id)) {
+    sendResponse(res, 400, false, "Invalid review ID format");
+    return null;
+  }
+
+  const review = await Review.findOne({ _id: req.params.id, targetType });
+  if (!review) {
+    sendResponse(res, 404, false, "Review not found");
+    return null;
+  }
+  return review;
+};
+
+/**
+ * Set the moderation outcome and save (saving refreshes rating aggregates)
+ */
+const moderate = async (review, status, reason, admin) => {
+  review.status = status;
+  review.moderationReason = reason?.trim() || "";
+  review.moderatedBy = admin._id;
+  review.moderatedAt = new Date();
+  return review.save();
+};
+
+// ============================================
+// 📄 MODERATION QUEUE — Admin only
+// ============================================
+router.get("/admin/:type", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const targetType = REVIEW_TYPES[req.params.type];
+    if (!targetType) {
+      return sendResponse(res, 400, false, "Review type must be 'products' or 'services'");
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, parseInt(req.query.limit) || 20);
+    const skip = (page - 1) * limit;
+
+    const status = req.query.status || "pending";
+    if (!["pending", "approved", "rejected", "all"].includes(status)) {
+      return sendResponse(res, 400, false, "Status must be pending, approved, rejected or all");
+    }
+
+    const filter = { targetType };
+    if (status !== "all") filter.status = status;
+    if (req.query.targetId) {
+      if (!isValidObjectId(req.query.targetId)) {
+        return sendResponse(res, 400, false, "Invalid targetId format");
+      }
+      filter.targetId = req.query.targetId;
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        // Oldest first so the queue is worked in order
+        .sort({ createdAt: status === "pending" ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("userId", "name phone isTrustedReviewer")
+        .populate("targetId", "name image")
+        .populate("moderatedBy", "name"),
+      Review.countDocuments(filter),
+    ]);
+
+    sendResponse(res, 200, true, "Reviews fetched successfully", {
+      reviews,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Get Moderation Queue Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching reviews");
+  }
+});
+
+// ============================================
+// ✅ APPROVE REVIEW — Admin only
+// ============================================
+router.put("/admin/:type/:id/approve", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const reasonError = validateReason(req.body?.reason, false);
+    if (reasonError) {
+      return sendResponse(res, 400, false, reasonError);
+    }
+
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    await moderate(review, "approved", req.body?.reason, req.user);
+
+    sendResponse(res, 200, true, "Review approved successfully", review);
+  } catch (error) {
+    console.error("❌ Approve Review Error:", error);
+    sendResponse(res, 500, false, "Server error while approving review");
+  }
+});
+
+// ============================================
+// 🚫 REJECT REVIEW — Admin only
+// ============================================
+router.put("/admin/:type/:id/reject", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const reasonError = validateReason(req.body?.reason, true);
+    if (reasonError) {
+      return sendResponse(res, 400, false, reasonError);
+    }
+
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    await moderate(review, "rejected", req.body.reason, req.user);
+
+    sendResponse(res, 200, true, "Review rejected successfully", review);
+  } catch (error) {
+    console.error("❌ Reject Review Error:", error);
+    sendResponse(res, 500, false, "Server error while rejecting review");
+  }
+});
+
+// ============================================
+// 🗑️ DELETE REVIEW — Admin only
+// ============================================
+router.delete("/admin/:type/:id", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const reasonError = validateReason(req.body?.reason, true);
+    if (reasonError) {
+      return sendResponse(res, 400, false, reasonError);
+    }
+
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    // deleteOne on the document also refreshes rating aggregates
+    await review.deleteOne();
+    console.log(
+      `🗑️ Review ${review._id} deleted by admin ${req.user._id}: ${req.body.reason.trim()}`
+    );
+
+    sendResponse(res, 200, true, "Review deleted successfully", {
+      _id: review._id,
+      reason: req.body.reason.trim(),
+    });
+  } catch (error) {
+    console.error("❌ Delete Review Error:", error);
+    sendResponse(res, 500, false, "Server error while deleting review");
+  }
+});
+
+// ============================================
+// ⭐ TRUSTED REVIEWERS — Admin only
+// ============================================
+router.put("/admin/trusted/:userId", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { trusted } = req.body;
+
+    if (!isValidObjectId(userId)) {
+      return sendResponse(res, 400, false, "Invalid user ID format");
+    }
+
+    if (typeof trusted !== "boolean") {
+      return sendResponse(res, 400, false, "trusted must be true or false");
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { isTrustedReviewer: trusted },
+      { new: true }
+    ).select("_id name phone isTrustedReviewer");
+
+    if (!user) {
+      return sendResponse(res, 404, false, "User not found");
+    }
+
+    sendResponse(
+      res,
+      200,
+      true,
+      trusted ? "User's reviews will be approved automatically" : "User's reviews will be moderated",
+      user
+    );
+  } catch (error) {
+    console.error("❌ Trusted Reviewer Error:", error);
+    sendResponse(res, 500, false, "Server error while updating reviewer");
+  }
+});
+
+export default router;
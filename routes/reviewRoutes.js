@@ -0,0 +1,433 @@
+import express from "express";
+import mongoose from "mongoose";
+import Review from "../models/Review.js";
+import Product from "../models/Product.js";
+import Service from "../models/Service.js";
+
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyAdmin } from "../middleware/adminMiddleware.js";
+import { isVerifiedReviewer, getInitialReviewStatus } from "../utils/reviews.js";
+
+// Mounted once per reviewable resource (see server.js):
+//   /api/products/:id/reviews  and  /api/services/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+const TARGETS = {
+  Product: { Model: Product, label: "Product" },
+  Service: { Model: Service, label: "Service" },
+};
+
+// ============================================
+// 🛠️ UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Validate MongoDB ObjectId
+ */
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id) && 
+         String(new mongoose.Types.ObjectId(id)) === id;
+};
+
+/**
+ * Standard response formatter
+ */
+const sendResponse = (res, statusCode, success, message, data = null) => {
+  const response = { success, message };
+  if (data) response.data = data;
+  res.status(statusCode).json(response);
+};
+
+/**
+ * Sort options for review listings (?sort=)
+ */
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+};
+
+/**
+ * Validate review input
+ */
+const validateReviewInput = (body) => {
+  const errors = [];
+
+  if (!Number.isInteger(body.rating) || body.rating < 1 || body.rating > 5) {
+    errors.push("Rating must be a whole number between 1 and 5");
+  }
+
+  if (body.comment !== undefined && typeof body.comment !== "string") {
+    errors.push("Comment must be text");
+  } else if (body.comment && body.comment.trim().length > 2000) {
+    errors.push("Comment must not exceed 2000 characters");
+  }
+
+  if (body.photos !== undefined) {
+    if (!Array.isArray(body.photos)) {
+      errors.push("Photos must be an array");
+    } else if (body.photos.length > Review.MAX_PHOTOS) {
+      errors.push(`At most ${Review.MAX_PHOTOS} photos per review`);
+    } else {
+      body.photos.forEach((photo, index) => {
+        if (typeof photo?.url !== "string" || !/^https?:\/\/\S+$/i.test(photo.url.trim())) {
+          errors.push(`Photo ${index}: url must start with http(s)://`);
+        }
+        if (photo?.label !== undefined && !["before", "after", ""].includes(photo.label)) {
+          errors.push(`Photo ${index}: label must be 'before' or 'after'`);
+        }
+        if (photo?.caption !== undefined && (typeof photo.caption !== "string" || photo.caption.length > 200)) {
+          errors.push(`Photo ${index}: caption must be text of at most 200 characters`);
+        }
+      });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Public shape of a review
+ */
+const toReviewResponse = (review) => ({
+  _id: review._id,
+  rating: review.rating,
+  comment: review.comment,
+  verified: review.verified,
+  status: review.status,
+  photos: review.photos,
+  helpfulCount: review.helpfulCount,
+  reply: review.reply ? { text: review.reply.text, repliedAt: review.reply.repliedAt } : null,
+  createdAt: review.createdAt,
+  updatedAt: review.updatedAt,
+  user: review.userId?._id ? { _id: review.userId._id, name: review.userId.name } : null,
+});
+
+/**
+ * Bind the router to a target type: `app.use(path, reviewTarget("Product"), reviewRoutes)`
+ */
+export const reviewTarget = (targetType) => (req, res, next) => {
+  req.reviewTargetType = targetType;
+  next();
+};
+
+/**
+ * Resolve the reviewed document, answering 400/404 itself
+ * → { targetType, target } or null when a response was sent
+ */
+const loadTarget = async (req, res, fields = "_id") => {
+  const targetType = req.reviewTargetType;
+  const { Model, label } = TARGETS[targetType];
+
+  if (!isValidObjectId(req.params.id)) {
+    sendResponse(res, 400, false, `Invalid ${label.toLowerCase()} ID format`);
+    return null;
+  }
+
+  const target = await Model.findById(req.params.id).select(fields);
+  if (!target) {
+    sendResponse(res, 404, false, `${label} not found`);
+    return null;
+  }
+  return { targetType, target };
+};
+
+/**
+ * Resolve a review of the current target, answering 400/404 itself
+ * → review, or null when a response was sent
+ */
+const loadTargetReview = async (req, res) => {
+  if (!isValidObjectId(req.params.id) || !isValidObjectId(req.params.reviewId)) {
+    sendResponse(res, 400, false, "Invalid ID format");
+    return null;
+  }
+
+  const review = await Review.findOne({
+    _id: req.params.reviewId,
+    targetType: req.reviewTargetType,
+    targetId: req.params.id,
+  });
+  if (!review) {
+    sendResponse(res, 404, false, "Review not found");
+    return null;
+  }
+  return review;
+};
+
+// ============================================
+// 📄 GET APPROVED REVIEWS — Public
+// ?sort=newest|oldest|highest|lowest|helpful  ?rating=5  ?minRating=4
+// ?withPhotos=true  ?verified=true
+// ============================================
+router.get("/", async (req, res) => {
+  try {
+    const loaded = await loadTarget(req, res, "averageRating reviewCount");
+    if (!loaded) return;
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, parseInt(req.query.limit) || 10);
+    const skip = (page - 1) * limit;
+
+    const sortBy = req.query.sort || "newest";
+    if (!SORT_OPTIONS[sortBy]) {
+      return sendResponse(res, 400, false, `Sort must be one of: ${Object.keys(SORT_OPTIONS).join(", ")}`);
+    }
+
+    const filter = {
+      targetType: loaded.targetType,
+      targetId: loaded.target._id,
+      status: "approved",
+    };
+
+    // Rating filters: an exact star value, or a minimum
+    if (req.query.rating !== undefined || req.query.minRating !== undefined) {
+      const exact = req.query.rating !== undefined;
+      const value = Number(exact ? req.query.rating : req.query.minRating);
+      if (!Number.isInteger(value) || value < 1 || value > 5) {
+        return sendResponse(res, 400, false, "Rating filter must be a whole number between 1 and 5");
+      }
+      filter.rating = exact ? value : { $gte: value };
+    }
+
+    if (req.query.withPhotos === "true") filter["photos.0"] = { $exists: true };
+    if (req.query.verified === "true") filter.verified = true;
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort(SORT_OPTIONS[sortBy])
+        .skip(skip)
+        .limit(limit)
+        .populate("userId", "name"),
+      Review.countDocuments(filter),
+    ]);
+
+    sendResponse(res, 200, true, "Reviews fetched successfully", {
+      reviews: reviews.map(toReviewResponse),
+      summary: {
+        averageRating: loaded.target.averageRating,
+        reviewCount: loaded.target.reviewCount,
+      },
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Get Reviews Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching reviews");
+  }
+});
+
+// ============================================
+// 👤 GET MY REVIEW (any status) — Authenticated
+// ============================================
+router.get("/mine", verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadTarget(req, res);
+    if (!loaded) return;
+
+    const review = await Review.findOne({
+      targetType: loaded.targetType,
+      targetId: loaded.target._id,
+      userId: req.user._id,
+    }).populate("userId", "name");
+
+    if (!review) {
+      return sendResponse(res, 404, false, "You have not reviewed this yet");
+    }
+
+    sendResponse(res, 200, true, "Review fetched successfully", {
+      ...toReviewResponse(review),
+      moderationReason: review.moderationReason,
+    });
+  } catch (error) {
+    console.error("❌ Get My Review Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching review");
+  }
+});
+
+// ============================================
+// ➕ POST OR UPDATE MY REVIEW — Authenticated
+// ============================================
+router.post("/", verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadTarget(req, res);
+    if (!loaded) return;
+
+    const validation = validateReviewInput(req.body);
+    if (!validation.isValid) {
+      return sendResponse(res, 400, false, validation.errors.join(", "));
+    }
+
+    const { targetType, target } = loaded;
+    const userId = req.user._id;
+
+    const verified = await isVerifiedReviewer(targetType, userId, target._id);
+    // Edits go back through moderation unless the reviewer is trusted
+    const status = await getInitialReviewStatus(req.user, verified);
+
+    // One review per user: a second post updates the first
+    let review = await Review.findOne({ targetType, targetId: target._id, userId });
+    const isNew = !review;
+
+    if (isNew) {
+      review = new Review({ targetType, targetId: target._id, userId });
+    }
+    review.rating = req.body.rating;
+    if (req.body.comment !== undefined || isNew) review.comment = req.body.comment?.trim() || "";
+    if (req.body.photos !== undefined || isNew) {
+      review.photos = (req.body.photos || []).map((photo) => ({
+        url: photo.url.trim(),
+        label: photo.label || "",
+        caption: photo.caption?.trim() || "",
+      }));
+    }
+    review.verified = verified;
+    review.status = status;
+
+    // Saving also refreshes the target's averageRating / reviewCount
+    await review.save();
+    await review.populate("userId", "name");
+
+    const message = status === "approved"
+      ? (isNew ? "Review posted successfully" : "Review updated successfully")
+      : (isNew ? "Review submitted for moderation" : "Review updated and submitted for moderation");
+
+    sendResponse(res, isNew ? 201 : 200, true, message, toReviewResponse(review));
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendResponse(res, 409, false, "You have already reviewed this");
+    }
+    if (error.name === "ValidationError") {
+      return sendResponse(res, 400, false, error.message);
+    }
+    console.error("❌ Post Review Error:", error);
+    sendResponse(res, 500, false, "Server error while posting review");
+  }
+});
+
+// ============================================
+// 🗑️ DELETE MY REVIEW — Authenticated
+// ============================================
+router.delete("/mine", verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadTarget(req, res);
+    if (!loaded) return;
+
+    const review = await Review.findOne({
+      targetType: loaded.targetType,
+      targetId: loaded.target._id,
+      userId: req.user._id,
+    });
+
+    if (!review) {
+      return sendResponse(res, 404, false, "You have not reviewed this yet");
+    }
+
+    // deleteOne on the document also refreshes rating aggregates
+    await review.deleteOne();
+
+    sendResponse(res, 200, true, "Review deleted successfully");
+  } catch (error) {
+    console.error("❌ Delete Review Error:", error);
+    sendResponse(res, 500, false, "Server error while deleting review");
+  }
+});
+
+// ============================================
+// 👍 MARK REVIEW HELPFUL — Authenticated
+// ============================================
+const voteHelpful = (helpful) => async (req, res) => {
+  try {
+    const review = await loadTargetReview(req, res);
+    if (!review) return;
+
+    if (review.status !== "approved") {
+      return sendResponse(res, 404, false, "Review not found");
+    }
+
+    if (review.userId.toString() === req.user._id.toString()) {
+      return sendResponse(res, 400, false, "You cannot vote on your own review");
+    }
+
+    const updated = await Review.setHelpfulVote(review._id, req.user._id, helpful);
+    if (!updated) {
+      return sendResponse(
+        res,
+        409,
+        false,
+        helpful ? "You already marked this review helpful" : "You have not marked this review helpful"
+      );
+    }
+
+    sendResponse(res, 200, true, helpful ? "Marked as helpful" : "Helpful vote removed", {
+      _id: updated._id,
+      helpfulCount: updated.helpfulCount,
+      votedHelpful: helpful,
+    });
+  } catch (error) {
+    console.error("❌ Helpful Vote Error:", error);
+    sendResponse(res, 500, false, "Server error while voting");
+  }
+};
+
+router.post("/:reviewId/helpful", verifyToken, voteHelpful(true));
+router.delete("/:reviewId/helpful", verifyToken, voteHelpful(false));
+
+// ============================================
+// 💬 REPLY TO REVIEW — Admin only
+// ============================================
+router.put("/:reviewId/reply", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (!text || typeof text !== "string" || text.trim().length === 0) {
+      return sendResponse(res, 400, false, "Reply text is required");
+    }
+
+    if (text.trim().length > 1000) {
+      return sendResponse(res, 400, false, "Reply must not exceed 1000 characters");
+    }
+
+    const review = await loadTargetReview(req, res);
+    if (!review) return;
+
+    const updated = await Review.findByIdAndUpdate(
+      review._id,
+      { reply: { text: text.trim(), repliedBy: req.user._id, repliedAt: new Date() } },
+      { new: true, runValidators: true, timestamps: false }
+    ).populate("userId", "name");
+
+    sendResponse(res, 200, true, "Reply posted successfully", toReviewResponse(updated));
+  } catch (error) {
+    console.error("❌ Reply Review Error:", error);
+    sendResponse(res, 500, false, "Server error while replying to review");
+  }
+});
+
+router.delete("/:reviewId/reply", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const review = await loadTargetReview(req, res);
+    if (!review) return;
+
+    if (!review.reply) {
+      return sendResponse(res, 404, false, "This review has no reply");
+    }
+
+    await Review.updateOne({ _id: review._id }, { reply: null }, { timestamps: false });
+
+    sendResponse(res, 200, true, "Reply deleted successfully");
+  } catch (error) {
+    console.error("❌ Delete Reply Error:", error);
+    sendResponse(res, 500, false, "Server error while deleting reply");
+  }
+});
+
+export default router;
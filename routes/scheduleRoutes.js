@@ -0,0 +1,214 @@
+import express from "express";
+import WeeklySchedule from "../models/WeeklySchedule.js";
+import Availability from "../models/Availability.js";
+
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyAdmin } from "../middleware/adminMiddleware.js";
+import { WEEKDAYS, parseWeekday } from "../utils/schedule.js";
+
+const router = express.Router();
+
+// ============================================
+// 🛠️ UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Standard response formatter
+ */
+const sendResponse = (res, statusCode, success, message, data = null) => {
+  const response = { success, message };
+  if (data) response.data = data;
+  res.status(statusCode).json(response);
+};
+
+/**
+ * Validate date format (YYYY-MM-DD)
+ */
+const isValidDateFormat = (dateString) => {
+  return /^\d{4}-\d{2}-\d{2}$/.test(dateString);
+};
+
+/**
+ * Validate time format (HH:mm)
+ */
+const isValidTimeFormat = (timeString) => {
+  return /^([01]\d|2[0-3]):([0-5]\d)$/.test(timeString);
+};
+
+/**
+ * Validate one weekday entry { isOpen, openTime, closeTime, breaks }
+ * (ordering rules are enforced by the model)
+ */
+const validateDayInput = (day, label) => {
+  const errors = [];
+
+  if (day.isOpen !== undefined && typeof day.isOpen !== "boolean") {
+    errors.push(`${label}: isOpen must be a boolean`);
+  }
+  if (day.openTime !== undefined && !isValidTimeFormat(day.openTime)) {
+    errors.push(`${label}: openTime must be in HH:mm format`);
+  }
+  if (day.closeTime !== undefined && !isValidTimeFormat(day.closeTime)) {
+    errors.push(`${label}: closeTime must be in HH:mm format`);
+  }
+  if (day.breaks !== undefined) {
+    if (!Array.isArray(day.breaks)) {
+      errors.push(`${label}: breaks must be an array`);
+    } else {
+      day.breaks.forEach((b, index) => {
+        if (!isValidTimeFormat(b?.start) || !isValidTimeFormat(b?.end)) {
+          errors.push(`${label}: break ${index} must have start and end in HH:mm format`);
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Copy the editable fields of a weekday entry
+ */
+const pickDayFields = (day) => {
+  const fields = {};
+  if (day.isOpen !== undefined) fields.isOpen = day.isOpen;
+  if (day.openTime !== undefined) fields.openTime = day.openTime;
+  if (day.closeTime !== undefined) fields.closeTime = day.closeTime;
+  if (day.breaks !== undefined) fields.breaks = day.breaks;
+  return fields;
+};
+
+// ============================================
+// 📄 GET WEEKLY SCHEDULE — Public
+// ============================================
+router.get("/", async (req, res) => {
+  try {
+    const schedule = await WeeklySchedule.getSchedule();
+
+    sendResponse(res, 200, true, "Weekly schedule fetched successfully", {
+      slotInterval: schedule.slotInterval,
+      days: schedule.days.map((day) => ({
+        ...day.toObject(),
+        name: WEEKDAYS[day.weekday],
+      })),
+      updatedAt: schedule.updatedAt || null,
+    });
+  } catch (error) {
+    console.error("❌ Get Schedule Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching schedule");
+  }
+});
+
+// ============================================
+// 🔍 GET EFFECTIVE HOURS FOR A DATE — Public
+// ============================================
+router.get("/day/:date", async (req, res) => {
+  try {
+    const { date } = req.params;
+
+    if (!isValidDateFormat(date)) {
+      return sendResponse(res, 400, false, "Date must be in YYYY-MM-DD format");
+    }
+
+    const day = await Availability.resolveDay(date);
+
+    sendResponse(res, 200, true, "Day schedule fetched successfully", day);
+  } catch (error) {
+    console.error("❌ Get Day Schedule Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching day schedule");
+  }
+});
+
+// ============================================
+// ✏️ UPDATE WEEKLY SCHEDULE — Admin only
+// ============================================
+router.put("/", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { slotInterval, days } = req.body;
+
+    if (slotInterval === undefined && days === undefined) {
+      return sendResponse(res, 400, false, "slotInterval or days is required");
+    }
+
+    if (slotInterval !== undefined && !Number.isInteger(slotInterval)) {
+      return sendResponse(res, 400, false, "Slot interval must be a whole number of minutes");
+    }
+
+    const errors = [];
+    const updates = new Map();
+
+    if (days !== undefined) {
+      if (!Array.isArray(days)) {
+        return sendResponse(res, 400, false, "Days must be an array");
+      }
+
+      days.forEach((day, index) => {
+        const weekday = parseWeekday(day?.weekday);
+        if (weekday === null) {
+          errors.push(`Day ${index}: weekday must be 0-6 or a day name`);
+          return;
+        }
+        errors.push(...validateDayInput(day, WEEKDAYS[weekday]));
+        updates.set(weekday, pickDayFields(day));
+      });
+    }
+
+    if (errors.length > 0) {
+      return sendResponse(res, 400, false, errors.join(", "));
+    }
+
+    const schedule = await WeeklySchedule.getSchedule();
+    if (slotInterval !== undefined) schedule.slotInterval = slotInterval;
+
+    updates.forEach((fields, weekday) => {
+      const day = schedule.days.find((d) => d.weekday === weekday);
+      if (day) Object.assign(day, fields);
+      else schedule.days.push({ weekday, ...fields });
+    });
+
+    const saved = await schedule.save();
+
+    sendResponse(res, 200, true, "Weekly schedule updated successfully", saved);
+  } catch (error) {
+    if (error.statusCode || error.name === "ValidationError") {
+      return sendResponse(res, 400, false, error.message);
+    }
+    console.error("❌ Update Schedule Error:", error);
+    sendResponse(res, 500, false, "Server error while updating schedule");
+  }
+});
+
+// ============================================
+// ✏️ UPDATE ONE WEEKDAY — Admin only
+// ============================================
+router.put("/days/:weekday", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const weekday = parseWeekday(req.params.weekday);
+
+    if (weekday === null) {
+      return sendResponse(res, 400, false, "Weekday must be 0-6 or a day name");
+    }
+
+    const errors = validateDayInput(req.body, WEEKDAYS[weekday]);
+    if (errors.length > 0) {
+      return sendResponse(res, 400, false, errors.join(", "));
+    }
+
+    const schedule = await WeeklySchedule.getSchedule();
+    const day = schedule.days.find((d) => d.weekday === weekday);
+    if (day) Object.assign(day, pickDayFields(req.body));
+    else schedule.days.push({ weekday, ...pickDayFields(req.body) });
+
+    const saved = await schedule.save();
+
+    sendResponse(res, 200, true, `Schedule for ${WEEKDAYS[weekday]} updated successfully`, saved);
+  } catch (error) {
+    if (error.statusCode || error.name === "ValidationError") {
+      return sendResponse(res, 400, false, error.message);
+    }
+    console.error("❌ Update Weekday Error:", error);
+    sendResponse(res, 500, false, "Server error while updating weekday");
+  }
+});
+
+export default router;
@@ -0,0 +1,128 @@
+import express from "express";
+import { parseSearchQuery, searchCatalog } from "../utils/search.js";
+import { getCategoryScope } from "../utils/categories.js";
+
+const router = express.Router();
+
+const SEARCH_TYPES = ["product", "service"];
+// Deepest result reachable by paging (merged results are ranked in memory)
+const MAX_RESULTS_WINDOW = 500;
+
+// ============================================
+// 🛠️ UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Standard response formatter
+ */
+const sendResponse = (res, statusCode, success, message, data = null) => {
+  const response = { success, message };
+  if (data) response.data = data;
+  res.status(statusCode).json(response);
+};
+
+/**
+ * Validate search query parameters
+ */
+const validateSearchQuery = (query) => {
+  const errors = [];
+
+  if (typeof query.q !== "string" || query.q.trim().length < 2) {
+    errors.push("Search text (q) must be at least 2 characters");
+  } else if (query.q.length > 100) {
+    errors.push("Search text (q) must not exceed 100 characters");
+  }
+
+  if (query.type !== undefined && !SEARCH_TYPES.includes(query.type)) {
+    errors.push(`Type must be one of: ${SEARCH_TYPES.join(", ")}`);
+  }
+
+  if (query.category !== undefined && typeof query.category !== "string") {
+    errors.push("Category must be a single slug or ID");
+  }
+
+  for (const key of ["minPrice", "maxPrice"]) {
+    if (query[key] !== undefined) {
+      const value = Number(query[key]);
+      if (query[key] === "" || Number.isNaN(value) || value < 0) {
+        errors.push(`${key} must be a non-negative number`);
+      }
+    }
+  }
+  if (query.minPrice !== undefined && query.maxPrice !== undefined && Number(query.minPrice) > Number(query.maxPrice)) {
+    errors.push("minPrice must not exceed maxPrice");
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+// ============================================
+// 🔍 SEARCH PRODUCTS & SERVICES — Public
+// ?q=  ?type=product|service  ?category=<slug or id>  ?minPrice  ?maxPrice
+// Best match first; misspelt words are corrected (see `suggestion`)
+// ============================================
+router.get("/", async (req, res) => {
+  try {
+    const validation = validateSearchQuery(req.query);
+    if (!validation.isValid) {
+      return sendResponse(res, 400, false, validation.errors.join(", "));
+    }
+
+    const words = parseSearchQuery(req.query.q);
+    if (words.length === 0) {
+      return sendResponse(res, 400, false, "Search text (q) must contain letters or digits");
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, parseInt(req.query.limit) || 10); // Max 50 per page
+    const skip = (page - 1) * limit;
+    if (skip + limit > MAX_RESULTS_WINDOW) {
+      return sendResponse(res, 400, false, `Only the first ${MAX_RESULTS_WINDOW} results can be paged through`);
+    }
+
+    const types = req.query.type ? [req.query.type] : SEARCH_TYPES;
+
+    // A category (and its subcategories) of whichever kind it belongs to
+    let categories = null;
+    if (req.query.category) {
+      categories = {};
+      for (const kind of types) {
+        categories[kind] = await getCategoryScope(kind, req.query.category);
+      }
+      if (Object.values(categories).every((slugs) => !slugs)) {
+        return sendResponse(res, 400, false, "Unknown category");
+      }
+    }
+
+    const { results, total, suggestion, facets } = await searchCatalog({
+      words,
+      types,
+      categories,
+      minPrice: req.query.minPrice !== undefined ? Number(req.query.minPrice) : null,
+      maxPrice: req.query.maxPrice !== undefined ? Number(req.query.maxPrice) : null,
+      skip,
+      limit,
+    });
+
+    sendResponse(res, 200, true, "Search results fetched successfully", {
+      query: words.join(" "),
+      suggestion,
+      results,
+      facets,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Search Error:", error);
+    sendResponse(res, 500, false, "Server error while searching");
+  }
+});
+
+export default router;
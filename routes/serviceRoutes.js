@@ -2,35 +2,106 @@ import express from "express";
 import Service from "../models/Service.js";
 import { verifyToken } from "../middleware/authMiddleware.js";
 import { verifyAdmin } from "../middleware/adminMiddleware.js";
+import {
+  parseDurationToMinutes,
+  MIN_DURATION_MINUTES,
+  MAX_DURATION_MINUTES,
+} from "../utils/schedule.js";
+import { resolveCategory, getCategoryScope } from "../utils/categories.js";
 
 const router = express.Router();
 
+/**
+ * Validate deposit settings → error message or null
+ * (depositType: none | fixed | percent, depositValue: amount or percentage)
+ */
+const validateDeposit = ({ depositType, depositValue }) => {
+  if (depositType !== undefined && !["none", "fixed", "percent"].includes(depositType)) {
+    return "Deposit type must be 'none', 'fixed' or 'percent'.";
+  }
+  if (depositValue !== undefined) {
+    const v = Number(depositValue);
+    if (Number.isNaN(v) || v < 0) {
+      return "Deposit value must be a non-negative number.";
+    }
+    if (depositType === "percent" && v > 100) {
+      return "A percentage deposit cannot exceed 100.";
+    }
+  }
+  if ((depositType === "fixed" || depositType === "percent") && !(Number(depositValue) > 0)) {
+    return "Deposit value is required when a deposit is taken.";
+  }
+  return null;
+};
+
+/**
+ * Validate a duration (minutes, or a legacy string such as "1h 30m")
+ * → error message or null
+ */
+const validateDuration = (duration) => {
+  const minutes = parseDurationToMinutes(duration);
+  if (!minutes) {
+    return "Duration must be a number of minutes (e.g. 90).";
+  }
+  if (minutes < MIN_DURATION_MINUTES || minutes > MAX_DURATION_MINUTES) {
+    return `Duration must be between ${MIN_DURATION_MINUTES} and ${MAX_DURATION_MINUTES} minutes.`;
+  }
+  return null;
+};
+
+// Sort options for service listings (?sort=)
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  rating: { averageRating: -1, reviewCount: -1, createdAt: -1 },
+  reviews: { reviewCount: -1, averageRating: -1, createdAt: -1 },
+  price_asc: { price: 1, createdAt: -1 },
+  price_desc: { price: -1, createdAt: -1 },
+};
+
 /**
  * ➕ Create new service — Admin only
  */
 router.post("/", verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const { name, description, price, duration, image, category ,discount, featured, videoUrl} = req.body;
+    const { name, description, price, duration, image, category ,discount, featured, videoUrl, depositType, depositValue, categoryId } = req.body;
 
-    if (!name || !price || !duration || !category) {
+    if (!name || !price || !duration || !(categoryId || category)) {
       return res.status(400).json({ message: "Name, price, duration and category are required." });
     }
 
+    // Minutes; legacy strings such as "1h 30m" are still accepted
+    const durationError = validateDuration(duration);
+    if (durationError) {
+      return res.status(400).json({ message: durationError });
+    }
+    const durationMinutes = parseDurationToMinutes(duration);
+
     const d = discount !== undefined && discount !== null ? Number(discount) : 0;
     if (Number.isNaN(d) || d < 0 || d > 100) {
       return res.status(400).json({ message: "Discount must be a number between 0 and 100." });
     }
 
+    const depositError = validateDeposit(req.body);
+    if (depositError) {
+      return res.status(400).json({ message: depositError });
+    }
+
+    // category may be a slug or an id; categoryId is always an id
+    const serviceCategory = await resolveCategory("service", String(categoryId || category));
+
     const newService = new Service({
       name: name.trim(),
       description: description?.trim() || "",
       price,
-      duration: duration.trim(),
-      category: category.trim(),
+      duration: durationMinutes,
+      categoryId: serviceCategory._id,
+      category: serviceCategory.slug,
       image: image || "",
       discount: d,
       featured: !!featured,
       videoUrl: videoUrl?.trim() || "",
+      depositType: depositType || "none",
+      depositValue: depositType && depositType !== "none" ? Number(depositValue) : 0,
     });
 
     const service = await newService.save();
@@ -40,6 +111,9 @@ router.post("/", verifyToken, verifyAdmin, async (req, res) => {
       service,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: `${error.message}.` });
+    }
     console.error("Create Service Error:", error);
     res.status(500).json({ message: "Server error while creating service.", error: error.message });
   }
@@ -48,14 +122,42 @@ router.post("/", verifyToken, verifyAdmin, async (req, res) => {
 
 /**
  * 📄 Get all services (Public)
+ * ?featured=true|false  ?minRating=4  ?sort=newest|rating|reviews|price_asc|price_desc
+ * ?category=<slug or id> (includes its subcategories)
  */
 router.get("/", async (req, res) => {
   try {
     const filter = {};
+
+    if (req.query.category) {
+      const slugs = await getCategoryScope("service", String(req.query.category));
+      if (!slugs) {
+        return res.status(400).json({ message: "Unknown service category." });
+      }
+      filter.category = { $in: slugs };
+    }
+
     if (req.query.featured === "true") filter.featured = true;
     else if (req.query.featured === "false") filter.featured = false;
 
-    const services = await Service.find(filter).sort({ createdAt: -1 });
+    if (req.query.minRating) {
+      const minRating = parseFloat(req.query.minRating);
+      if (Number.isNaN(minRating) || minRating < 0 || minRating > 5) {
+        return res.status(400).json({ message: "minRating must be between 0 and 5." });
+      }
+      filter.averageRating = { $gte: minRating };
+    }
+
+    const sortBy = req.query.sort || "newest";
+    if (!SORT_OPTIONS[sortBy]) {
+      return res
+        .status(400)
+        .json({ message: `Sort must be one of: ${Object.keys(SORT_OPTIONS).join(", ")}.` });
+    }
+
+    const services = await Service.find(filter)
+      .sort(SORT_OPTIONS[sortBy])
+      .populate("categoryId", "name slug parent");
 
     res.status(200).json({
       total: services.length,
@@ -80,7 +182,7 @@ router.get("/:id", async (req, res) => {
       return res.status(400).json({ message: "Invalid service ID format." });
     }
 
-    const service = await Service.findById(id);
+    const service = await Service.findById(id).populate("categoryId", "name slug parent ancestors");
     if (!service) {
       return res.status(404).json({ message: "Service not found." });
     }
@@ -105,16 +207,38 @@ router.put("/:id", verifyToken, verifyAdmin, async (req, res) => {
       return res.status(400).json({ message: "Invalid service ID format." });
     }
 
-    const updateFields = (({ name, description, price, duration, image, category,discount,featured,videoUrl ,}) => ({
+    const durationError = req.body.duration !== undefined ? validateDuration(req.body.duration) : null;
+    if (durationError) {
+      return res.status(400).json({ message: durationError });
+    }
+
+    // A new deposit value is checked against the current type when none is sent
+    let depositType = req.body.depositType;
+    if (depositType === undefined && req.body.depositValue !== undefined) {
+      depositType = (await Service.findById(id).select("depositType"))?.depositType;
+    }
+    const depositError = validateDeposit({ depositType, depositValue: req.body.depositValue });
+    if (depositError) {
+      return res.status(400).json({ message: depositError });
+    }
+
+    // A new category (slug or id) is looked up so both fields stay in step
+    const categoryRef = req.body.categoryId || req.body.category;
+    const serviceCategory = categoryRef ? await resolveCategory("service", String(categoryRef)) : null;
+
+    const updateFields = (({ name, description, price, duration, image, discount,featured,videoUrl, depositType, depositValue }) => ({
       ...(name && { name }),
       ...(description && { description }),
       ...(price && { price }),
-      ...(duration && { duration }),
+      ...(duration && { duration: parseDurationToMinutes(duration) }),
       ...(image && { image }),
-      ...(category && { category }),
+      ...(serviceCategory && { categoryId: serviceCategory._id, category: serviceCategory.slug }),
       ...(discount !== undefined && { discount: Number(discount) }),
       ...(featured !== undefined && { featured: Boolean(featured) }),
       ...(videoUrl !== undefined && { videoUrl }),
+      ...(depositType !== undefined && { depositType }),
+      ...(depositType === "none" && { depositValue: 0 }),
+      ...(depositType !== "none" && depositValue !== undefined && { depositValue: Number(depositValue) }),
     }))(req.body);
 
     const updatedService = await Service.findByIdAndUpdate(id, updateFields, {
@@ -131,6 +255,9 @@ router.put("/:id", verifyToken, verifyAdmin, async (req, res) => {
       service: updatedService,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: `${error.message}.` });
+    }
     console.error("Update Service Error:", error);
     res
       .status(500)
@@ -0,0 +1,492 @@
+import express from "express";
+import Staff from "../models/Staff.js";
+import Booking from "../models/Booking.js";
+import Category from "../models/Category.js";
+import Availability from "../models/Availability.js";
+import SlotReservation from "../models/SlotReservation.js";
+
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyAdmin } from "../middleware/adminMiddleware.js";
+import { generateSlotTimes, parseWeekday } from "../utils/schedule.js";
+
+import mongoose from "mongoose";
+
+const router = express.Router();
+
+// ============================================
+// 🛠️ UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Validate MongoDB ObjectId
+ */
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id) &&
+         String(new mongoose.Types.ObjectId(id)) === id;
+};
+
+/**
+ * Standard response formatter
+ */
+const sendResponse = (res, statusCode, success, message, data = null) => {
+  const response = { success, message };
+  if (data) response.data = data;
+  res.status(statusCode).json(response);
+};
+
+/**
+ * Validate date format (YYYY-MM-DD)
+ */
+const isValidDateFormat = (dateString) => {
+  return /^\d{4}-\d{2}-\d{2}$/.test(dateString);
+};
+
+/**
+ * Validate time format (HH:mm)
+ */
+const isValidTimeFormat = (timeString) => {
+  return /^([01]\d|2[0-3]):([0-5]\d)$/.test(timeString);
+};
+
+/**
+ * Validate staff input (name is only required on create)
+ */
+const validateStaffInput = async (body, isUpdate = false) => {
+  const errors = [];
+
+  if (!isUpdate || body.name !== undefined) {
+    if (!body.name || body.name.trim().length === 0) {
+      errors.push("Name is required");
+    } else if (body.name.trim().length < 2) {
+      errors.push("Name must be at least 2 characters");
+    } else if (body.name.trim().length > 100) {
+      errors.push("Name must not exceed 100 characters");
+    }
+  }
+
+  if (body.phone && !/^\+?\d{10,15}$/.test(body.phone)) {
+    errors.push("Phone must be 10-15 digits with optional +");
+  }
+
+  if (body.skills !== undefined) {
+    const categories = await Category.getSlugs("service");
+    if (!Array.isArray(body.skills)) {
+      errors.push("Skills must be an array");
+    } else {
+      const unknown = body.skills.filter((s) => !categories.includes(s));
+      if (unknown.length > 0) {
+        errors.push(`Unknown skills: ${unknown.join(", ")}. Allowed: ${categories.join(", ")}`);
+      }
+    }
+  }
+
+  if (body.workingHours !== undefined) {
+    if (!Array.isArray(body.workingHours)) {
+      errors.push("Working hours must be an array");
+    } else {
+      body.workingHours.forEach((h, index) => {
+        if (parseWeekday(h?.weekday) === null) {
+          errors.push(`Working hours ${index}: weekday must be 0-6 or a day name`);
+        }
+        if (h?.startTime !== undefined && !isValidTimeFormat(h.startTime)) {
+          errors.push(`Working hours ${index}: startTime must be in HH:mm format`);
+        }
+        if (h?.endTime !== undefined && !isValidTimeFormat(h.endTime)) {
+          errors.push(`Working hours ${index}: endTime must be in HH:mm format`);
+        }
+        if (h?.startTime && h?.endTime && h.startTime >= h.endTime) {
+          errors.push(`Working hours ${index}: startTime must be before endTime`);
+        }
+      });
+    }
+  }
+
+  if (body.isActive !== undefined && typeof body.isActive !== "boolean") {
+    errors.push("isActive must be a boolean");
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Normalise working hours input (weekday names → numbers)
+ */
+const normaliseWorkingHours = (workingHours) => {
+  return workingHours.map((h) => ({
+    weekday: parseWeekday(h.weekday),
+    isWorking: h.isWorking !== false,
+    startTime: h.startTime,
+    endTime: h.endTime,
+  }));
+};
+
+/**
+ * One stylist's day: working window, bookings and free start times
+ */
+const buildStaffDay = (member, day, bookings, bookedCounts) => {
+  const window = member.getWorkingWindow(day);
+  const freeSlots = window
+    ? generateSlotTimes(window.startTime, window.endTime, day.slotInterval).filter((time) =>
+        member.isFreeAt(day, time, day.slotInterval, bookedCounts)
+      )
+    : [];
+
+  return {
+    staff: { _id: member._id, name: member.name, skills: member.skills },
+    isWorking: !!window,
+    workingHours: window,
+    bookings: bookings
+      .filter((b) => String(b.staffId) === String(member._id))
+      .map((b) => ({
+        _id: b._id,
+        time: b.time,
+        endTime: b.endTime,
+        serviceName: b.serviceName,
+        customerName: b.name,
+        phone: b.phone,
+        status: b.status,
+      })),
+    freeSlots,
+  };
+};
+
+// ============================================
+// ➕ CREATE STAFF MEMBER — Admin only
+// ============================================
+router.post("/", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const validation = await validateStaffInput(req.body);
+    if (!validation.isValid) {
+      return sendResponse(res, 400, false, validation.errors.join(", "));
+    }
+
+    const { name, phone, image, bio, skills, workingHours } = req.body;
+
+    const staff = await Staff.create({
+      name: name.trim(),
+      phone: phone?.trim() || "",
+      image: image?.trim() || "",
+      bio: bio?.trim() || "",
+      skills: skills || [],
+      workingHours: workingHours ? normaliseWorkingHours(workingHours) : [],
+    });
+
+    sendResponse(res, 201, true, "Staff member created successfully", staff);
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return sendResponse(res, 400, false, error.message);
+    }
+    console.error("❌ Create Staff Error:", error);
+    sendResponse(res, 500, false, "Server error while creating staff member");
+  }
+});
+
+// ============================================
+// 📄 GET ALL STAFF — Public (active stylists only)
+// ============================================
+router.get("/", async (req, res) => {
+  try {
+    const filter = { isActive: true };
+
+    if (req.query.skill) {
+      filter.skills = req.query.skill;
+    }
+
+    const staff = await Staff.find(filter)
+      .select("name image bio skills")
+      .sort({ name: 1 });
+
+    sendResponse(res, 200, true, "Staff fetched successfully", { staff, total: staff.length });
+  } catch (error) {
+    console.error("❌ Get All Staff Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching staff");
+  }
+});
+
+// ============================================
+// 📄 GET ALL STAFF WITH DETAILS — Admin only
+// ============================================
+router.get("/admin/all", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.isActive === "true") filter.isActive = true;
+    else if (req.query.isActive === "false") filter.isActive = false;
+
+    if (req.query.skill) {
+      filter.skills = req.query.skill;
+    }
+
+    const staff = await Staff.find(filter).sort({ name: 1 });
+
+    sendResponse(res, 200, true, "Staff fetched successfully", { staff, total: staff.length });
+  } catch (error) {
+    console.error("❌ Get Staff Admin Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching staff");
+  }
+});
+
+// ============================================
+// 📅 FRONT DESK CALENDAR FOR A DATE — Admin only
+// ============================================
+router.get("/calendar/:date", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { date } = req.params;
+
+    if (!isValidDateFormat(date)) {
+      return sendResponse(res, 400, false, "Date must be in YYYY-MM-DD format");
+    }
+
+    const [day, staff, bookings, bookedCounts] = await Promise.all([
+      Availability.resolveDay(date),
+      Staff.find({ isActive: true }).sort({ name: 1 }),
+      Booking.find({ date, status: { $nin: Booking.INACTIVE_STATUSES } }).sort({ time: 1 }),
+      SlotReservation.getCountsForDate(date),
+    ]);
+
+    sendResponse(res, 200, true, "Staff calendar fetched successfully", {
+      date,
+      schedule: day,
+      staff: staff.map((member) => buildStaffDay(member, day, bookings, bookedCounts)),
+      unassigned: bookings
+        .filter((b) => !b.staffId)
+        .map((b) => ({
+          _id: b._id,
+          time: b.time,
+          endTime: b.endTime,
+          serviceName: b.serviceName,
+          customerName: b.name,
+          status: b.status,
+        })),
+    });
+  } catch (error) {
+    console.error("❌ Staff Calendar Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching staff calendar");
+  }
+});
+
+// ============================================
+// 📅 ONE STYLIST'S DAY — Admin only
+// ============================================
+router.get("/:id/calendar/:date", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id, date } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid staff ID format");
+    }
+
+    if (!isValidDateFormat(date)) {
+      return sendResponse(res, 400, false, "Date must be in YYYY-MM-DD format");
+    }
+
+    const member = await Staff.findById(id);
+    if (!member) {
+      return sendResponse(res, 404, false, "Staff member not found");
+    }
+
+    const [day, bookings, bookedCounts] = await Promise.all([
+      Availability.resolveDay(date),
+      Booking.find({ date, staffId: id, status: { $nin: Booking.INACTIVE_STATUSES } }).sort({ time: 1 }),
+      SlotReservation.getCountsForDate(date),
+    ]);
+
+    sendResponse(res, 200, true, "Staff calendar fetched successfully", {
+      date,
+      ...buildStaffDay(member, day, bookings, bookedCounts),
+    });
+  } catch (error) {
+    console.error("❌ Staff Day Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching staff calendar");
+  }
+});
+
+// ============================================
+// 🔍 GET STAFF MEMBER BY ID — Public
+// ============================================
+router.get("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid staff ID format");
+    }
+
+    const staff = await Staff.findOne({ _id: id, isActive: true }).select("name image bio skills");
+    if (!staff) {
+      return sendResponse(res, 404, false, "Staff member not found");
+    }
+
+    sendResponse(res, 200, true, "Staff member fetched successfully", staff);
+  } catch (error) {
+    console.error("❌ Get Staff Error:", error);
+    sendResponse(res, 500, false, "Server error while fetching staff member");
+  }
+});
+
+// ============================================
+// ✏️ UPDATE STAFF MEMBER — Admin only
+// ============================================
+router.put("/:id", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid staff ID format");
+    }
+
+    const validation = await validateStaffInput(req.body, true);
+    if (!validation.isValid) {
+      return sendResponse(res, 400, false, validation.errors.join(", "));
+    }
+
+    const updateFields = {};
+    if (req.body.name !== undefined) updateFields.name = req.body.name.trim();
+    if (req.body.phone !== undefined) updateFields.phone = req.body.phone?.trim() || "";
+    if (req.body.image !== undefined) updateFields.image = req.body.image?.trim() || "";
+    if (req.body.bio !== undefined) updateFields.bio = req.body.bio?.trim() || "";
+    if (req.body.skills !== undefined) updateFields.skills = req.body.skills;
+    if (req.body.workingHours !== undefined) {
+      updateFields.workingHours = normaliseWorkingHours(req.body.workingHours);
+    }
+    if (req.body.isActive !== undefined) updateFields.isActive = req.body.isActive;
+
+    const updatedStaff = await Staff.findByIdAndUpdate(id, updateFields, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!updatedStaff) {
+      return sendResponse(res, 404, false, "Staff member not found");
+    }
+
+    sendResponse(res, 200, true, "Staff member updated successfully", updatedStaff);
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return sendResponse(res, 400, false, error.message);
+    }
+    console.error("❌ Update Staff Error:", error);
+    sendResponse(res, 500, false, "Server error while updating staff member");
+  }
+});
+
+// ============================================
+// 🏖️ ADD DAY OFF — Admin only
+// ============================================
+router.post("/:id/days-off", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date, reason } = req.body;
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid staff ID format");
+    }
+
+    if (!date || !isValidDateFormat(date)) {
+      return sendResponse(res, 400, false, "Date must be in YYYY-MM-DD format");
+    }
+
+    const staff = await Staff.findById(id);
+    if (!staff) {
+      return sendResponse(res, 404, false, "Staff member not found");
+    }
+
+    // Bookings already assigned for that day need to be moved first
+    const assigned = await Booking.countDocuments({
+      staffId: id,
+      date,
+      status: { $nin: [...Booking.INACTIVE_STATUSES, "completed"] },
+    });
+
+    if (assigned > 0) {
+      return sendResponse(
+        res,
+        409,
+        false,
+        `${staff.name} has ${assigned} booking(s) on ${date}. Reassign them first.`
+      );
+    }
+
+    staff.daysOff.push({ date, reason: reason?.trim() || "" });
+    const saved = await staff.save();
+
+    sendResponse(res, 200, true, `Day off added for ${staff.name} on ${date}`, saved);
+  } catch (error) {
+    console.error("❌ Add Day Off Error:", error);
+    sendResponse(res, 500, false, "Server error while adding day off");
+  }
+});
+
+// ============================================
+// 🏖️ REMOVE DAY OFF — Admin only
+// ============================================
+router.delete("/:id/days-off/:date", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id, date } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid staff ID format");
+    }
+
+    const staff = await Staff.findByIdAndUpdate(
+      id,
+      { $pull: { daysOff: { date } } },
+      { new: true }
+    );
+
+    if (!staff) {
+      return sendResponse(res, 404, false, "Staff member not found");
+    }
+
+    sendResponse(res, 200, true, `Day off removed for ${staff.name} on ${date}`, staff);
+  } catch (error) {
+    console.error("❌ Remove Day Off Error:", error);
+    sendResponse(res, 500, false, "Server error while removing day off");
+  }
+});
+
+// ============================================
+// 🗑️ DELETE STAFF MEMBER — Admin only (with booking check)
+// ============================================
+router.delete("/:id", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return sendResponse(res, 400, false, "Invalid staff ID format");
+    }
+
+    const staff = await Staff.findById(id);
+    if (!staff) {
+      return sendResponse(res, 404, false, "Staff member not found");
+    }
+
+    // Upcoming bookings must be reassigned before removing someone
+    const upcoming = await Booking.countDocuments({
+      staffId: id,
+      date: { $gte: new Date().toISOString().split("T")[0] },
+      status: { $nin: [...Booking.INACTIVE_STATUSES, "completed"] },
+    });
+
+    if (upcoming > 0) {
+      return sendResponse(
+        res,
+        400,
+        false,
+        `Cannot delete staff member. ${upcoming} upcoming booking(s) are assigned. Deactivate or reassign them first.`
+      );
+    }
+
+    await Staff.findByIdAndDelete(id);
+
+    sendResponse(res, 200, true, "Staff member deleted successfully");
+  } catch (error) {
+    console.error("❌ Delete Staff Error:", error);
+    sendResponse(res, 500, false, "Server error while deleting staff member");
+  }
+});
+
+export default router;
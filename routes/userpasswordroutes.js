@@ -1,26 +1,24 @@
 import express from "express";
-import jwt from "jsonwebtoken";
-import bcrypt from "bcryptjs";
 import dotenv from "dotenv";
 
-import AuthUser from "../models/AuthUser.js"; 
-import User from "../models/User.js"; // The OLD schema used for roles
+import User from "../models/User.js"; // One account for OTP and password login
+import Session from "../models/Session.js";
+import { verifyToken } from "../middleware/authMiddleware.js";
+import {
+  rateLimit,
+  createLockout,
+  sendTooManyRequests,
+  clientIp,
+  MINUTE,
+} from "../middleware/rateLimitMiddleware.js";
+import { issueTokens } from "../utils/authTokens.js";
 
 dotenv.config();
 const router = express.Router();
 
-// Helper: Generate JWT
-const createToken = (user) => {
-  return jwt.sign(
-    {
-      id: user._id,
-      phone: user.phone,
-      role: user.role, // Use the determined role
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: "7d" }
-  );
-};
+// Throttle password guessing per IP, and lock a phone after repeated failures
+const loginLimit = rateLimit({ name: "login:ip", limit: 10, windowMs: 15 * MINUTE, keyBy: clientIp });
+const loginLockout = createLockout({ name: "login:fail", limit: 5 });
 
 // Helper: Standard Response format
 const sendResponse = (res, statusCode, success, message, data = null) => {
@@ -29,6 +27,20 @@ const sendResponse = (res, statusCode, success, message, data = null) => {
   res.status(statusCode).json(response);
 };
 
+// Helper: Validate phone format (10-15 digits with optional +)
+const isValidPhone = (phone) => {
+  return /^\+?\d{10,15}$/.test(phone);
+};
+
+// Helper: Public user fields
+const toUserResponse = (user) => ({
+  _id: user._id,
+  phone: user.phone,
+  name: user.name,
+  role: user.role,
+  loginMethods: user.getLoginMethods(),
+});
+
 // =========================================
 // 🟢 REGISTER (phone + name + password)
 // =========================================
@@ -40,44 +52,47 @@ router.post("/register", async (req, res) => {
       return sendResponse(res, 400, false, "Phone, name, and password are required.");
     }
 
-    const existingAuthUser = await AuthUser.findOne({ phone });
-    if (existingAuthUser) {
-      return sendResponse(res, 409, false, "User already exists with this phone number.");
-    }
+    const trimmedPhone = String(phone).trim();
+    const trimmedName = String(name).trim();
 
-    // 1. Check OLD User table for existing role
-    const oldUser = await User.findOne({ phone });
-    // Default role is 'user'. If found in the old table, use its role.
-    const initialRole = oldUser ? oldUser.role : "user"; 
-
-    // 2. Create new Auth User with the determined role
-    const authUser = await AuthUser.create({ 
-        phone, 
-        name, 
-        password,
-        role: initialRole // Assign role here
-    });
+    if (!isValidPhone(trimmedPhone)) {
+      return sendResponse(res, 400, false, "Invalid phone number format (10-15 digits)");
+    }
+    if (trimmedName.length < 2 || trimmedName.length > 100) {
+      return sendResponse(res, 400, false, "Name must be between 2 and 100 characters");
+    }
+    if (String(password).length < 6) {
+      return sendResponse(res, 400, false, "Password must be at least 6 characters");
+    }
 
-    // 3. Sync/Update into OLD user schema (ensuring consistency)
-    await User.findOneAndUpdate(
-      { phone },
-      { phone, name, role: initialRole },
-      { upsert: true }
-    );
+    // An OTP account must prove the phone (login with OTP) before adding a password
+    const existingUser = await User.findOne({ phone: trimmedPhone });
+    if (existingUser) {
+      return sendResponse(
+        res,
+        409,
+        false,
+        existingUser.getLoginMethods().includes("password")
+          ? "User already exists with this phone number."
+          : "This number is registered for OTP login. Login with OTP and set a password from your account."
+      );
+    }
 
-    const oldusercheck=User.findOne({phone});
+    const user = await User.create({
+      phone: trimmedPhone,
+      name: trimmedName,
+      password: String(password),
+      role: "user",
+    });
 
-    // Note: The response is updated to reflect the assigned role.
     return sendResponse(res, 201, true, "Registration successful! Please login.", {
-      user: {
-        id: oldusercheck._id,
-        phone: oldusercheck.phone,
-        name: oldusercheck.name,
-        role: oldusercheck.role, // Return the assigned role
-      },
+      user: toUserResponse(user),
     });
 
   } catch (err) {
+    if (err.code === 11000) {
+      return sendResponse(res, 409, false, "User already exists with this phone number.");
+    }
     console.error("Register Error:", err);
     return sendResponse(res, 500, false, "Server error during registration.");
   }
@@ -86,7 +101,7 @@ router.post("/register", async (req, res) => {
 // =========================================
 // 🟢 LOGIN (phone + password)
 // =========================================
-router.post("/login", async (req, res) => {
+router.post("/login", loginLimit, loginLockout.guard, async (req, res) => {
   try {
     const { phone, password } = req.body;
 
@@ -97,51 +112,86 @@ router.post("/login", async (req, res) => {
       return sendResponse(res, 400, false, "Password is required");
     }
 
-    // 1. Find User in Auth Table
-    const authUser = await AuthUser.findOne({ phone });
-    if (!authUser) {
+    const trimmedPhone = phone.trim();
+
+    // 1. Find the account (with its password hash)
+    const user = await User.findOne({ phone: trimmedPhone }).select("+password");
+    if (!user) {
       return sendResponse(res, 404, false, "Number not registered. Please Register first.");
     }
+    if (!user.password) {
+      return sendResponse(res, 400, false, "No password set for this account. Please login with OTP.");
+    }
 
     // 2. Check Password
-    const isMatch = await bcrypt.compare(password, authUser.password);
+    const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const lockedFor = await loginLockout.fail(trimmedPhone);
+      if (lockedFor > 0) {
+        return sendTooManyRequests(res, lockedFor, loginLockout.lockedMessage(lockedFor));
+      }
       return sendResponse(res, 401, false, "Invalid Phone or Password");
     }
 
-    // 3. Check Role in OLD User Table (Source of truth for permission)
-    const oldUser = await User.findOne({ phone });
+    await loginLockout.succeed(trimmedPhone);
+
+    // 3. Start a session
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+
+    // 4. Success Response
+    return sendResponse(res, 200, true, `Login successful. Role: ${user.role}`, {
+      user: toUserResponse(user),
+      token,
+      refreshToken,
+      expiresIn,
+    });
 
-    // Use the role from the old User table if available, otherwise default to the role in AuthUser.
-    // This is the core logic to identify admin/user role.
-    const determinedRole = oldUser ? oldUser.role : authUser.role; 
+  } catch (err) {
+    console.error("Login Error:", err);
+    return sendResponse(res, 500, false, "Server error during login.");
+  }
+});
 
-    // Update AuthUser role in case of mismatch (optional, for future consistency)
-    if (authUser.role !== determinedRole) {
-        authUser.role = determinedRole;
-        await authUser.save();
+// =========================================
+// 🔑 SET / CHANGE PASSWORD (logged in)
+// =========================================
+router.put("/password", verifyToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword || String(newPassword).length < 6) {
+      return sendResponse(res, 400, false, "New password must be at least 6 characters");
     }
 
-    // 4. Generate Token using the determined role
-    const token = createToken(oldUser);
+    const user = await User.findById(req.user._id).select("+password");
+    if (!user) {
+      return sendResponse(res, 404, false, "User not found");
+    }
 
-    const x = await User.findOne({phone});
+    // Changing an existing password needs the current one; OTP-only accounts just set one
+    if (user.password) {
+      if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+        return sendResponse(res, 401, false, "Current password is incorrect");
+      }
+    }
 
-    // 5. Success Response
-    return sendResponse(res, 200, true, `Login successful. Role: ${determinedRole}`, {
-      user: {
-        _id: x._id,
-        phone: authUser.phone,
-        name: authUser.name,
-        role: determinedRole, // Return the determined role
-      },
-      token,
+    const hadPassword = !!user.password;
+    user.password = String(newPassword);
+    await user.save();
+
+    // A changed password logs out every other device
+    if (hadPassword) {
+      await Session.revokeAllForUser(user._id, { exceptSessionId: req.user.sessionId });
+    }
+
+    return sendResponse(res, 200, true, "Password updated successfully", {
+      user: toUserResponse(user),
     });
 
   } catch (err) {
-    console.error("Login Error:", err);
-    return sendResponse(res, 500, false, "Server error during login.");
+    console.error("Set Password Error:", err);
+    return sendResponse(res, 500, false, "Server error while updating password.");
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import User from "../models/User.js";
+
+// Load .env from project root no matter where script runs
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const MONGO_URI = process.env.MONGO_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGO_URI not found in .env");
+  process.exit(1);
+}
+
+// Merges the old password accounts (authusers collection) into users so one
+// User document carries both OTP and password login.
+//   - phone already in users  → copy the password hash (name only if empty);
+//                               the User role wins, as it did at login
+//   - phone only in authusers → insert a User with the same _id
+// Any document that referenced an AuthUser _id is re-pointed at the User.
+// Run with --drop to remove the authusers collection afterwards.
+const REFERENCES = [
+  { collection: "bookings", field: "userId" },
+  { collection: "orders", field: "userId" },
+  { collection: "addresses", field: "userId" },
+  { collection: "reviews", field: "userId" },
+  { collection: "productreviews", field: "user" },
+  { collection: "sessions", field: "userId" },
+];
+
+async function run() {
+  try {
+    console.log("⏳ Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected!");
+
+    const db = mongoose.connection.db;
+    const authUsers = await db.collection("authusers").find({}).toArray();
+    console.log(`🔍 Found ${authUsers.length} AuthUser record(s).`);
+
+    let merged = 0;
+    let created = 0;
+    let repointed = 0;
+
+    for (const authUser of authUsers) {
+      const phone = String(authUser.phone).trim();
+      const user = await User.collection.findOne({ phone });
+
+      if (user) {
+        const set = {};
+        if (!user.password) {
+          // Hashes are copied as-is (the save hook is bypassed on purpose)
+          set.password = authUser.password;
+          set.passwordChangedAt = authUser.updatedAt || new Date();
+        }
+        if (!user.name && authUser.name) set.name = authUser.name;
+
+        if (Object.keys(set).length > 0) {
+          await User.collection.updateOne({ _id: user._id }, { $set: set });
+        }
+        merged++;
+
+        if (!user._id.equals(authUser._id)) {
+          for (const { collection, field } of REFERENCES) {
+            const result = await db
+              .collection(collection)
+              .updateMany({ [field]: authUser._id }, { $set: { [field]: user._id } });
+            repointed += result.modifiedCount;
+          }
+        }
+      } else {
+        await User.collection.insertOne({
+          _id: authUser._id,
+          phone,
+          name: authUser.name || "",
+          role: authUser.role || "user",
+          password: authUser.password,
+          passwordChangedAt: authUser.updatedAt || new Date(),
+          createdAt: authUser.createdAt || new Date(),
+          updatedAt: new Date(),
+        });
+        created++;
+      }
+    }
+
+    console.log(`✅ Merged ${merged} into existing users, created ${created} user(s), re-pointed ${repointed} reference(s).`);
+
+    if (process.argv.includes("--drop") && authUsers.length > 0) {
+      await db.collection("authusers").drop();
+      console.log("🗑️ Dropped authusers collection.");
+    }
+  } catch (err) {
+    console.error("❌ Migration failed:", err);
+  } finally {
+    await mongoose.disconnect();
+    console.log("🔌 Disconnected from MongoDB");
+    process.exit(0);
+  }
+}
+
+run();
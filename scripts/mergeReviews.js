@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import Review from "../models/Review.js";
+
+// Load .env from project root no matter where script runs
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const MONGO_URI = process.env.MONGO_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGO_URI not found in .env");
+  process.exit(1);
+}
+
+// Moves both legacy review shapes into the polymorphic reviews collection:
+//   reviews        { serviceId, userId }  → { targetType: "Service", targetId, userId }
+//   productreviews { product, user }      → { targetType: "Product", targetId, userId }
+// Services never enforced one review per user, so only the latest review of
+// each user per service is kept. Run with --drop to remove productreviews.
+async function run() {
+  try {
+    console.log("⏳ Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected!");
+
+    const db = mongoose.connection.db;
+    const reviews = db.collection("reviews");
+
+    console.log("🔍 Removing duplicate service reviews...");
+    const duplicates = await reviews
+      .aggregate([
+        { $match: { serviceId: { $exists: true }, targetType: { $exists: false } } },
+        { $sort: { updatedAt: -1 } },
+        {
+          $group: {
+            _id: { serviceId: "$serviceId", userId: "$userId" },
+            ids: { $push: "$_id" },
+          },
+        },
+        { $match: { "ids.1": { $exists: true } } },
+      ])
+      .toArray();
+
+    const staleIds = duplicates.flatMap((d) => d.ids.slice(1));
+    if (staleIds.length > 0) {
+      await reviews.deleteMany({ _id: { $in: staleIds } });
+    }
+    console.log(`✅ Removed ${staleIds.length} older duplicate(s).`);
+
+    console.log("🔄 Converting service reviews...");
+    const converted = await reviews.updateMany(
+      { serviceId: { $exists: true }, targetType: { $exists: false } },
+      [
+        { $set: { targetType: "Service", targetId: "$serviceId" } },
+        { $unset: "serviceId" },
+      ]
+    );
+    console.log(`✅ Converted ${converted.modifiedCount} service review(s).`);
+
+    console.log("🔄 Copying product reviews...");
+    const productReviews = await db.collection("productreviews").find({}).toArray();
+    let copied = 0;
+    for (const r of productReviews) {
+      const { product, user, ...rest } = r;
+      const result = await reviews.updateOne(
+        { targetType: "Product", targetId: product, userId: user },
+        { $setOnInsert: { ...rest, targetType: "Product", targetId: product, userId: user } },
+        { upsert: true }
+      );
+      if (result.upsertedCount > 0) copied++;
+    }
+    console.log(`✅ Copied ${copied} of ${productReviews.length} product review(s).`);
+
+    console.log("🔧 Syncing review indexes...");
+    await Review.syncIndexes();
+
+    console.log("🔄 Recomputing rating aggregates...");
+    const targets = await reviews
+      .aggregate([{ $group: { _id: { targetType: "$targetType", targetId: "$targetId" } } }])
+      .toArray();
+    for (const { _id } of targets) {
+      await Review.updateTargetRating(_id.targetType, _id.targetId);
+    }
+    console.log(`✅ Updated ${targets.length} product(s)/service(s).`);
+
+    if (process.argv.includes("--drop") && productReviews.length > 0) {
+      await db.collection("productreviews").drop();
+      console.log("🗑️ Dropped productreviews collection.");
+    }
+  } catch (err) {
+    console.error("❌ Migration failed:", err);
+  } finally {
+    await mongoose.disconnect();
+    console.log("🔌 Disconnected from MongoDB");
+    process.exit(0);
+  }
+}
+
+run();
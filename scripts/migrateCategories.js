@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import Category from "../models/Category.js";
+import Product from "../models/Product.js";
+import Service from "../models/Service.js";
+import Coupon from "../models/Coupon.js";
+
+// Load .env from project root no matter where script runs
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const MONGO_URI = process.env.MONGO_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGO_URI not found in .env");
+  process.exit(1);
+}
+
+// Service categories that used to be a hardcoded enum on Service
+const LEGACY_SERVICE_CATEGORIES = ["facial", "haircare", "massage", "makeup", "threading"];
+
+/**
+ * Top-level category for every distinct name (first spelling seen wins)
+ * → Map(slug → category)
+ */
+const ensureCategories = async (kind, names) => {
+  const bySlug = new Map();
+
+  for (const name of names) {
+    const slug = Category.slugify(name);
+    if (!slug || bySlug.has(slug)) continue;
+
+    let category = await Category.findOne({ kind, slug });
+    if (!category) {
+      category = await Category.create({ kind, slug, name: name.trim() });
+      console.log(`➕ ${kind} category "${category.name}" (${slug})`);
+    }
+    bySlug.set(slug, category);
+  }
+  return bySlug;
+};
+
+/**
+ * Point every document of `Model` at its category, rewriting the free-text
+ * category as the slug → number of documents updated
+ */
+const linkCategories = async (Model, bySlug) => {
+  const docs = await Model.collection
+    .find({ category: { $type: "string", $ne: "" } })
+    .project({ category: 1, categoryId: 1 })
+    .toArray();
+
+  let updated = 0;
+  for (const doc of docs) {
+    const category = bySlug.get(Category.slugify(doc.category));
+    if (!category) continue;
+    if (doc.category === category.slug && category._id.equals(doc.categoryId)) continue;
+
+    await Model.collection.updateOne(
+      { _id: doc._id },
+      { $set: { category: category.slug, categoryId: category._id } }
+    );
+    updated++;
+  }
+  return updated;
+};
+
+// Turns the free-text Product.category and the old Service.category enum
+// into Category documents (all top-level; arrange them afterwards through
+// PUT /api/categories/:id) and links products and services to them.
+// Coupon category lists are rewritten as slugs. Safe to run again.
+async function run() {
+  try {
+    console.log("⏳ Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected!");
+
+    console.log("🔍 Creating product categories...");
+    const productNames = await Product.collection.distinct("category");
+    const productCategories = await ensureCategories("product", productNames.filter((n) => typeof n === "string"));
+    console.log(`✅ Linked ${await linkCategories(Product, productCategories)} product(s).`);
+
+    console.log("🔍 Creating service categories...");
+    const serviceNames = await Service.collection.distinct("category");
+    const serviceCategories = await ensureCategories("service", [
+      ...LEGACY_SERVICE_CATEGORIES,
+      ...serviceNames.filter((n) => typeof n === "string"),
+    ]);
+    console.log(`✅ Linked ${await linkCategories(Service, serviceCategories)} service(s).`);
+
+    console.log("🔍 Normalising coupon categories...");
+    const coupons = await Coupon.collection
+      .find({ "categories.0": { $exists: true } })
+      .project({ categories: 1 })
+      .toArray();
+
+    let couponsUpdated = 0;
+    for (const coupon of coupons) {
+      const slugs = [...new Set(coupon.categories.map((c) => Category.slugify(c)).filter(Boolean))];
+      if (slugs.join() === coupon.categories.join()) continue;
+
+      await Coupon.collection.updateOne({ _id: coupon._id }, { $set: { categories: slugs } });
+      couponsUpdated++;
+    }
+    console.log(`✅ Updated ${couponsUpdated} coupon(s).`);
+  } catch (err) {
+    console.error("❌ Migration failed:", err);
+  } finally {
+    await mongoose.disconnect();
+    console.log("🔌 Disconnected from MongoDB");
+    process.exit(0);
+  }
+}
+
+run();
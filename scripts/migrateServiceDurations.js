@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import Service from "../models/Service.js";
+import Booking from "../models/Booking.js";
+import {
+  DEFAULT_DURATION_MINUTES,
+  MIN_DURATION_MINUTES,
+  MAX_DURATION_MINUTES,
+  timeToMinutes,
+  minutesToTime,
+  parseDurationToMinutes,
+} from "../utils/schedule.js";
+
+// Load .env from project root no matter where script runs
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const MONGO_URI = process.env.MONGO_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGO_URI not found in .env");
+  process.exit(1);
+}
+
+// Converts free-text durations ("1h 30m", "45 min") into whole minutes on
+// services and booking snapshots, and fills Booking.endTime.
+// Works on the raw collections so legacy strings are read as-is; durations are
+// clamped to what Service accepts and end times to the same day, with a
+// warning for each, so every document still validates afterwards.
+
+const LAST_MINUTE_OF_DAY = 24 * 60 - 1;
+
+/**
+ * Parsed duration within MIN/MAX_DURATION_MINUTES → { minutes, note }
+ * (note explains any fallback or clamping)
+ */
+const toValidDuration = (value) => {
+  const parsed = parseDurationToMinutes(value);
+  if (!parsed) {
+    return { minutes: DEFAULT_DURATION_MINUTES, note: `could not parse "${value}", using ${DEFAULT_DURATION_MINUTES}` };
+  }
+  const minutes = Math.min(MAX_DURATION_MINUTES, Math.max(MIN_DURATION_MINUTES, parsed));
+  return { minutes, note: minutes !== parsed ? `"${value}" is ${parsed} min, clamped to ${minutes}` : null };
+};
+async function run() {
+  try {
+    console.log("⏳ Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected!");
+
+    console.log("🔍 Converting Service.duration...");
+    const services = await Service.collection
+      .find({ duration: { $not: { $type: "number" } } })
+      .toArray();
+
+    for (const service of services) {
+      const { minutes, note } = toValidDuration(service.duration);
+      if (note) {
+        console.warn(`⚠️ ${service._id} "${service.name}": ${note}`);
+      }
+      await Service.collection.updateOne({ _id: service._id }, { $set: { duration: minutes } });
+    }
+    console.log(`✅ Updated ${services.length} service(s).`);
+
+    console.log("🔍 Converting Booking.serviceDuration...");
+    const bookings = await Booking.collection
+      .find({
+        $or: [
+          { serviceDuration: { $not: { $type: "number" } } },
+          { endTime: { $exists: false } },
+        ],
+      })
+      .toArray();
+
+    for (const booking of bookings) {
+      const { minutes, note } = toValidDuration(booking.serviceDuration);
+      if (note) {
+        console.warn(`⚠️ Booking ${booking._id}: ${note}`);
+      }
+
+      // An appointment never runs past midnight
+      let end = timeToMinutes(booking.time) + minutes;
+      if (end > LAST_MINUTE_OF_DAY) {
+        console.warn(`⚠️ Booking ${booking._id}: ends after midnight, end time capped at 23:59`);
+        end = LAST_MINUTE_OF_DAY;
+      }
+
+      await Booking.collection.updateOne(
+        { _id: booking._id },
+        { $set: { serviceDuration: minutes, endTime: minutesToTime(end) } }
+      );
+    }
+    console.log(`✅ Updated ${bookings.length} booking(s).`);
+  } catch (err) {
+    console.error("❌ Migration failed:", err);
+  } finally {
+    await mongoose.disconnect();
+    console.log("🔌 Disconnected from MongoDB");
+    process.exit(0);
+  }
+}
+
+run();
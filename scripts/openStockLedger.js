@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import StockMovement from "../models/StockMovement.js";
+import { findStockDiscrepancies } from "../utils/inventory.js";
+
+// Load .env from project root no matter where script runs
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const MONGO_URI = process.env.MONGO_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGO_URI not found in .env");
+  process.exit(1);
+}
+
+// Run once when the stock ledger is introduced. Products (and variants)
+// created before it have stock but no movements; this records their current
+// stock as an opening "adjustment" so GET /api/products/admin/stock-reconciliation
+// starts clean. Only entries without any movement are touched — later
+// discrepancies are real and must be investigated, not papered over.
+async function run() {
+  try {
+    console.log("⏳ Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected!");
+
+    console.log("🔍 Looking for products without a ledger...");
+    const unopened = (await findStockDiscrepancies()).filter((d) => d.movements === 0);
+
+    for (const product of unopened) {
+      await StockMovement.create({
+        productId: product.productId,
+        variantId: product.variantId,
+        sku: product.sku,
+        quantity: product.stock,
+        balanceAfter: product.stock,
+        reason: "adjustment",
+        note: "Opening balance",
+      });
+    }
+    console.log(`✅ Opened the ledger for ${unopened.length} product(s).`);
+  } catch (err) {
+    console.error("❌ Migration failed:", err);
+  } finally {
+    await mongoose.disconnect();
+    console.log("🔌 Disconnected from MongoDB");
+    process.exit(0);
+  }
+}
+
+run();
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import Booking from "../models/Booking.js";
+import Service from "../models/Service.js";
+import SlotReservation from "../models/SlotReservation.js";
+import { rebuildSlotReservations } from "../utils/appointments.js";
+
+// Load .env from project root no matter where script runs
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const MONGO_URI = process.env.MONGO_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGO_URI not found in .env");
+  process.exit(1);
+}
+
+// Rebuilds slot capacity counters (category pools and stylists) from active
+// bookings, counting every cell each appointment covers. Run after
+// migrateServiceDurations.js. Safe to re-run; also backfills serviceCategory
+// on older bookings.
+// The server also rebuilds the counters on startup whenever
+// CAPACITY_CELL_MINUTES (utils/schedule.js) has changed since the last
+// rebuild (see ensureSlotReservationGrid in utils/appointments.js).
+async function run() {
+  try {
+    console.log("⏳ Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected!");
+
+    // The unique index is what stops overbooking — make sure it exists
+    await SlotReservation.createIndexes();
+
+    console.log("🔍 Backfilling serviceCategory on bookings...");
+    const services = await Service.find().select("category");
+    for (const service of services) {
+      const result = await Booking.updateMany(
+        { serviceId: service._id, serviceCategory: { $in: [null, ""] } },
+        { $set: { serviceCategory: service.category } }
+      );
+      if (result.modifiedCount > 0) {
+        console.log(`  ${service._id}: ${result.modifiedCount} booking(s)`);
+      }
+    }
+
+    console.log("🔄 Rebuilding slot counters...");
+    const count = await rebuildSlotReservations();
+    console.log(`✅ Rebuilt ${count} slot counter(s).`);
+  } catch (err) {
+    console.error("❌ Migration failed:", err);
+  } finally {
+    await mongoose.disconnect();
+    console.log("🔌 Disconnected from MongoDB");
+    process.exit(0);
+  }
+}
+
+run();
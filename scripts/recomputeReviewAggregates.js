@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import Review from "../models/Review.js";
+import Product from "../models/Product.js";
+import Service from "../models/Service.js";
+import { isVerifiedReviewer } from "../utils/reviews.js";
+
+// Load .env from project root no matter where script runs
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const MONGO_URI = process.env.MONGO_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGO_URI not found in .env");
+  process.exit(1);
+}
+
+// Run scripts/mergeReviews.js first on databases with the old review shapes.
+// Approves reviews that predate moderation, sets the verified flag on
+// existing reviews and recomputes averageRating / reviewCount on every
+// product and service.
+async function run() {
+  try {
+    console.log("⏳ Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected!");
+
+    console.log("🔍 Approving reviews posted before moderation...");
+    const legacy = await Review.updateMany(
+      { status: { $exists: false } },
+      { $set: { status: "approved" } }
+    );
+    console.log(`✅ Approved ${legacy.modifiedCount} review(s).`);
+
+    console.log("🔍 Verifying reviews...");
+    let verified = 0;
+    for (const review of await Review.find({}).select("targetType targetId userId verified").lean()) {
+      const isVerified = await isVerifiedReviewer(review.targetType, review.userId, review.targetId);
+      if (isVerified !== review.verified) {
+        await Review.updateOne({ _id: review._id }, { verified: isVerified });
+      }
+      if (isVerified) verified++;
+    }
+    console.log(`✅ ${verified} verified review(s).`);
+
+    console.log("🔄 Recomputing rating aggregates...");
+    const productIds = await Product.distinct("_id");
+    for (const id of productIds) {
+      await Review.updateTargetRating("Product", id);
+    }
+    const serviceIds = await Service.distinct("_id");
+    for (const id of serviceIds) {
+      await Review.updateTargetRating("Service", id);
+    }
+    console.log(`✅ Updated ${productIds.length} product(s) and ${serviceIds.length} service(s).`);
+  } catch (err) {
+    console.error("❌ Migration failed:", err);
+  } finally {
+    await mongoose.disconnect();
+    console.log("🔌 Disconnected from MongoDB");
+    process.exit(0);
+  }
+}
+
+run();
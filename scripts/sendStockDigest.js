@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { sendStockDigest } from "../utils/stockAlerts.js";
+
+// Load .env from project root no matter where script runs
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const MONGO_URI = process.env.MONGO_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGO_URI not found in .env");
+  process.exit(1);
+}
+
+// Sends the low-stock digest once. The server already does this daily at
+// STOCK_DIGEST_HOUR; use this from cron when the server runs on several
+// instances (each would send its own) or to resend a digest by hand.
+async function run() {
+  try {
+    console.log("⏳ Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected!");
+
+    const digest = await sendStockDigest();
+    console.log(`✅ ${digest.outOfStock.length} out of stock, ${digest.lowStock.length} low, ${digest.openAlerts} open alert(s).`);
+  } catch (err) {
+    console.error("❌ Stock digest failed:", err);
+  } finally {
+    await mongoose.disconnect();
+    console.log("🔌 Disconnected from MongoDB");
+    process.exit(0);
+  }
+}
+
+run();
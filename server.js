@@ -15,6 +15,12 @@ const app = express();
 // ---- Security & common middleware ----
 app.use(helmet()); // Adds common HTTP security headers
 
+// Behind a load balancer, set TRUST_PROXY (e.g. 1) so req.ip is the client IP used by rate limits
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 
 
 app.use(
@@ -26,7 +32,17 @@ app.use(
   })
 );
 
-app.use(express.json({ limit: "10mb" })); // Handle large JSON safely
+app.use(
+  express.json({
+    limit: "10mb", // Handle large JSON safely
+    // Payment webhooks are signed over the exact bytes received
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhook")) {
+        req.rawBody = buf.toString("utf8");
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Logging (only in dev mode)
@@ -42,10 +58,21 @@ import orderRoutes from "./routes/orderRoutes.js";
 import serviceRoutes from "./routes/serviceRoutes.js";
 import bookingRoutes from "./routes/bookingRoutes.js";
 import availabilityRoutes from "./routes/availabilityRoutes.js";
+import scheduleRoutes from "./routes/scheduleRoutes.js";
+import staffRoutes from "./routes/staffRoutes.js";
 import authRoutes from "./routes/authRoutes.js";
-import serviceReviewRoutes from "./routes/serviceReview.js"
-import productReviewsRouter from './routes/productReviews.js';
+import reviewRoutes, { reviewTarget } from "./routes/reviewRoutes.js";
+import reviewModerationRoutes from "./routes/reviewModerationRoutes.js";
+import couponRoutes from "./routes/couponRoutes.js";
+import cartRoutes from "./routes/cartRoutes.js";
+import paymentRoutes from "./routes/paymentRoutes.js";
+import categoryRoutes from "./routes/categoryRoutes.js";
+import searchRoutes from "./routes/searchRoutes.js";
 import userpasswordroutes from "./routes/userpasswordroutes.js";
+import { startBookingHoldSweeper } from "./utils/bookingHolds.js";
+import { ensureSlotReservationGrid } from "./utils/appointments.js";
+import { startStockDigestJob } from "./utils/stockAlerts.js";
+import { startAutoRefundRetries } from "./utils/payments.js";
 
 // ---- Register routes ----
 app.use("/api/users", userRoutes);
@@ -55,9 +82,17 @@ app.use("/api/orders", orderRoutes);
 app.use("/api/services", serviceRoutes);
 app.use("/api/bookings", bookingRoutes);
 app.use("/api/availability", availabilityRoutes);
+app.use("/api/schedule", scheduleRoutes);
+app.use("/api/staff", staffRoutes);
 app.use("/api/auth", authRoutes);
-app.use('/api/services', serviceReviewRoutes);
-app.use('/api/products', productReviewsRouter);
+app.use("/api/services/:id/reviews", reviewTarget("Service"), reviewRoutes);
+app.use("/api/products/:id/reviews", reviewTarget("Product"), reviewRoutes);
+app.use("/api/reviews", reviewModerationRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/cart", cartRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/search", searchRoutes);
 app.use('/api/new',userpasswordroutes);
 
 // ---- Health check / root endpoint ----
@@ -103,9 +138,24 @@ mongoose
     useUnifiedTopology: true,
     autoIndex: process.env.NODE_ENV !== "production", // Improve performance in production
   })
-  .then(() => {
+  .then(async () => {
     console.log("✅ MongoDB connected successfully");
 
+    // Slot counters must match the capacity cells before any booking is taken
+    try {
+      await ensureSlotReservationGrid();
+    } catch (err) {
+      console.error("❌ Slot counter rebuild failed:", err);
+      process.exit(1);
+    }
+
+    // Cancel bookings whose deposit was not paid in time
+    startBookingHoldSweeper();
+    // Daily low-stock summary for the admins
+    startStockDigestJob();
+    // Refunds of duplicate or late payments the provider refused at first
+    startAutoRefundRetries();
+
     app.listen(PORT, "0.0.0.0", () => {
       console.log(`🚀 Server running at http://localhost:${PORT}`);
     });
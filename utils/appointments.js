@@ -0,0 +1,99 @@
+// utils/appointments.js
+//
+// Slot capacity claimed by a booking: a seat in its category pool and, when a
+// stylist is assigned, that person's time. Shared by the booking routes and
+// the deposit hold sweeper (utils/bookingHolds.js).
+
+import Booking from "../models/Booking.js";
+import Migration from "../models/Migration.js";
+import SlotReservation from "../models/SlotReservation.js";
+import Staff from "../models/Staff.js";
+import { CAPACITY_CELL_MINUTES, DEFAULT_DURATION_MINUTES, getCoveredSlots } from "./schedule.js";
+
+/**
+ * Claim capacity for an appointment: a seat in the category pool and, when a
+ * stylist is assigned, that person's time (capacity 1). Use inside a transaction.
+ */
+export const reserveAppointment = async ({ date, time, duration, category, capacity, staff }, session) => {
+  const times = getCoveredSlots(time, duration);
+  await SlotReservation.reserve({ date, times, category, capacity }, session);
+
+  if (staff) {
+    try {
+      await SlotReservation.reserve(
+        { date, times, category: Staff.poolKey(staff._id), capacity: 1 },
+        session
+      );
+    } catch (err) {
+      if (err.statusCode === 409) {
+        err.message = `${staff.name} is already booked at ${time} on ${date}`;
+      }
+      throw err;
+    }
+  }
+};
+
+/**
+ * Give back everything reserveAppointment claimed for a booking
+ */
+export const releaseAppointment = async ({ date, time, duration, category, staffId }, session) => {
+  const times = getCoveredSlots(time, duration);
+  await SlotReservation.release({ date, times, category }, session);
+
+  if (staffId) {
+    await SlotReservation.release({ date, times, category: Staff.poolKey(staffId) }, session);
+  }
+};
+
+// Marks counters as built on the current CAPACITY_CELL_MINUTES grid
+const getGridMigrationName = () => `slot-reservations-${CAPACITY_CELL_MINUTES}min`;
+
+/**
+ * Recount every slot counter from the active bookings → number of counters.
+ * Counters are replaced wholesale, so run it before the server takes bookings.
+ */
+export const rebuildSlotReservations = async () => {
+  const bookings = await Booking.find({
+    status: { $nin: Booking.INACTIVE_STATUSES },
+    serviceCategory: { $nin: [null, ""] },
+  }).select("date time serviceDuration serviceCategory staffId");
+
+  const counters = new Map();
+  const bump = (key) => counters.set(key, (counters.get(key) || 0) + 1);
+  bookings.forEach((b) => {
+    getCoveredSlots(b.time, b.serviceDuration || DEFAULT_DURATION_MINUTES).forEach((time) => {
+      bump(`${b.date}|${time}|${b.serviceCategory}`);
+      if (b.staffId) bump(`${b.date}|${time}|${Staff.poolKey(b.staffId)}`);
+    });
+  });
+
+  const counts = [...counters].map(([key, count]) => {
+    const [date, time, category] = key.split("|");
+    return { date, time, category, count };
+  });
+
+  await SlotReservation.deleteMany({});
+  if (counts.length > 0) {
+    await SlotReservation.insertMany(counts);
+  }
+
+  await Migration.updateOne(
+    { name: getGridMigrationName() },
+    { $set: { note: `${counts.length} counter(s)`, appliedAt: new Date() } },
+    { upsert: true }
+  );
+  return counts.length;
+};
+
+/**
+ * Rebuild the counters once per capacity grid: counters counted in other
+ * cells (e.g. the former 30-minute ones) would under-count and let slots
+ * overfill. Called on startup before the server listens → whether it rebuilt.
+ */
+export const ensureSlotReservationGrid = async () => {
+  if (await Migration.exists({ name: getGridMigrationName() })) return false;
+
+  const count = await rebuildSlotReservations();
+  console.log(`🔄 Rebuilt ${count} slot counter(s) for ${CAPACITY_CELL_MINUTES}-minute cells`);
+  return true;
+};
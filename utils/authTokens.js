@@ -0,0 +1,69 @@
+// utils/authTokens.js
+//
+// Access/refresh token pairs. Access tokens are short-lived JWTs tied to a
+// Session; refresh tokens are opaque, stored hashed and rotated on each use.
+
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+
+// Read at call time: route modules load before server.js runs dotenv
+export const getJwtSecret = () => process.env.JWT_SECRET || "your-secret-key-change-in-production";
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
+
+/**
+ * Short-lived access token for a user within a session
+ */
+export const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      phone: user.phone,
+      role: user.role,
+      sid: String(sessionId),
+    },
+    getJwtSecret(),
+    { expiresIn: getAccessTokenTtl() }
+  );
+};
+
+/**
+ * Seconds until an access token expires (for client refresh scheduling)
+ */
+const accessTokenExpiresIn = (token) => {
+  const { exp } = jwt.decode(token);
+  return Math.max(0, exp - Math.floor(Date.now() / 1000));
+};
+
+/**
+ * Start a session for a freshly authenticated user
+ * → { token, refreshToken, expiresIn }
+ */
+export const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.open(user._id, {
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip || "",
+  });
+
+  const token = signAccessToken(user, session._id);
+  return { token, refreshToken, expiresIn: accessTokenExpiresIn(token) };
+};
+
+/**
+ * Rotate a refresh token → { user, token, refreshToken, expiresIn }
+ * Roles are re-read from the user so promotions take effect on refresh.
+ */
+export const refreshTokens = async (presentedToken) => {
+  const { session, refreshToken } = await Session.rotate(presentedToken);
+
+  const user = await User.findById(session.userId).select("_id name phone role");
+  if (!user) {
+    await Session.revoke(session._id, "admin");
+    const err = new Error("User no longer exists");
+    err.statusCode = 401;
+    throw err;
+  }
+
+  const token = signAccessToken(user, session._id);
+  return { user, token, refreshToken, expiresIn: accessTokenExpiresIn(token) };
+};
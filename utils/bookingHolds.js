@@ -0,0 +1,129 @@
+// utils/bookingHolds.js
+//
+// Deposit rules for bookings. A booking whose service takes a deposit is
+// held in "pending" for a short window; if the deposit has not arrived by
+// then the sweeper cancels it and gives the slot back.
+
+import Booking from "../models/Booking.js";
+import { runInTransaction } from "./transaction.js";
+import { releaseAppointment } from "./appointments.js";
+import { releaseCoupon } from "./coupons.js";
+import { DEFAULT_DURATION_MINUTES } from "./schedule.js";
+
+// ============================================
+// ⚙️ CONFIGURATION
+// ============================================
+
+/**
+ * Minutes a customer has to pay the deposit (BOOKING_DEPOSIT_HOLD_MINUTES, default 30)
+ */
+export const getDepositHoldMinutes = () => {
+  return Number(process.env.BOOKING_DEPOSIT_HOLD_MINUTES) || 30;
+};
+
+/**
+ * Customers who cancel at least this many hours before the appointment get
+ * the deposit back; later cancellations forfeit it
+ * (BOOKING_DEPOSIT_REFUND_HOURS, default 24)
+ */
+export const getDepositRefundCutoffHours = () => {
+  const hours = Number(process.env.BOOKING_DEPOSIT_REFUND_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : 24;
+};
+
+/**
+ * Whether a cancellation of `booking` now still earns a deposit refund
+ *   actor — req.user of whoever cancels (the salon always refunds)
+ */
+export const isDepositRefundable = (booking, actor) => {
+  if (actor?.role === "admin") return true;
+
+  const startsAt = new Date(`${booking.date}T${booking.time}:00`);
+  const hoursLeft = (startsAt.getTime() - Date.now()) / (60 * 60 * 1000);
+  return hoursLeft >= getDepositRefundCutoffHours();
+};
+
+// ============================================
+// ⏰ EXPIRY
+// ============================================
+
+/**
+ * Cancel pending bookings whose deposit hold has lapsed → number cancelled.
+ * Each booking is cancelled with a conditional update, so a deposit landing
+ * at the same moment (or a second server running the sweep) is safe.
+ */
+export const expireUnpaidBookings = async (now = new Date()) => {
+  const expired = await Booking.find({
+    status: "pending",
+    depositStatus: "pending",
+    holdExpiresAt: { $lte: now },
+  }).limit(100);
+
+  let cancelled = 0;
+  for (const booking of expired) {
+    const done = await runInTransaction(async (session) => {
+      const updated = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: "pending", depositStatus: "pending" },
+        {
+          status: "cancelled",
+          cancelledAt: now,
+          cancellationReason: "Deposit was not paid in time",
+          cancelledBy: null,
+          cancelledByRole: "system",
+          depositStatus: "expired",
+          holdExpiresAt: null,
+          $push: {
+            statusHistory: {
+              from: "pending",
+              to: "cancelled",
+              changedBy: null,
+              role: "system",
+              note: "Deposit was not paid in time",
+              at: now,
+            },
+          },
+        },
+        { new: true, session }
+      );
+      if (!updated) return false;
+
+      await releaseAppointment(
+        {
+          date: booking.date,
+          time: booking.time,
+          duration: booking.serviceDuration || DEFAULT_DURATION_MINUTES,
+          category: booking.serviceCategory,
+          staffId: booking.staffId,
+        },
+        session
+      );
+      await releaseCoupon(booking.coupon, booking.userId, booking._id, session);
+      return true;
+    });
+
+    if (done) cancelled += 1;
+  }
+  return cancelled;
+};
+
+/**
+ * Run expireUnpaidBookings every BOOKING_HOLD_SWEEP_SECONDS (default 60)
+ * → the timer (unref'd, so it never keeps the process alive)
+ */
+export const startBookingHoldSweeper = () => {
+  const seconds = Number(process.env.BOOKING_HOLD_SWEEP_SECONDS) || 60;
+
+  const timer = setInterval(async () => {
+    try {
+      const cancelled = await expireUnpaidBookings();
+      if (cancelled > 0) {
+        console.log(`⏰ Cancelled ${cancelled} booking(s) with unpaid deposits`);
+      }
+    } catch (error) {
+      console.error("❌ Booking Hold Sweep Error:", error);
+    }
+  }, seconds * 1000);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,145 @@
+// utils/categories.js
+//
+// Category lookups and hierarchy upkeep shared by the category, product and
+// service routes. A category is referenced either by id or by its slug.
+
+import mongoose from "mongoose";
+import Category from "../models/Category.js";
+
+const categoryError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// ============================================
+// 🔍 LOOKUPS
+// ============================================
+
+/**
+ * Find a category of `kind` by id or slug → category or null
+ */
+export const findCategory = async (kind, ref) => {
+  if (!ref || typeof ref !== "string") return null;
+
+  if (mongoose.Types.ObjectId.isValid(ref) && String(new mongoose.Types.ObjectId(ref)) === ref) {
+    return Category.findOne({ _id: ref, kind });
+  }
+  return Category.findOne({ kind, slug: ref.trim().toLowerCase() });
+};
+
+/**
+ * The active category a product / service is being filed under
+ * → category; throws with statusCode 400 when unknown or inactive
+ */
+export const resolveCategory = async (kind, ref) => {
+  const category = await findCategory(kind, ref);
+  if (!category) {
+    throw categoryError(`Unknown ${kind} category: ${ref}`);
+  }
+  if (!category.isActive) {
+    throw categoryError(`The ${kind} category "${category.name}" is not active`);
+  }
+  return category;
+};
+
+/**
+ * Slugs of a category and everything below it (for ?category= filters)
+ * → [slug, ...], or null when no such category exists
+ */
+export const getCategoryScope = async (kind, ref) => {
+  const category = await findCategory(kind, ref);
+  if (!category) return null;
+
+  const descendants = await Category.find({ kind, ancestors: category._id }).select("slug").lean();
+  return [category.slug, ...descendants.map((d) => d.slug)];
+};
+
+// ============================================
+// 🌳 TREE
+// ============================================
+
+/**
+ * Nest a flat list of categories → roots with `children`, each level sorted
+ * by order then name. Categories whose parent is not in the list are dropped
+ * (e.g. below an inactive parent).
+ */
+export const buildCategoryTree = (categories) => {
+  const nodes = new Map(
+    categories.map((category) => [String(category._id), { ...category, children: [] }])
+  );
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    if (!node.parent) {
+      roots.push(node);
+    } else {
+      nodes.get(String(node.parent))?.children.push(node);
+    }
+  }
+
+  const sortLevel = (level) => {
+    level.sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+    level.forEach((node) => sortLevel(node.children));
+    return level;
+  };
+  return sortLevel(roots);
+};
+
+/**
+ * Put `category` under `parentRef` (id or slug; null for a root) and set its
+ * ancestors. Does not save. Throws with statusCode 400 on a parent of another
+ * kind, a move below itself or one of its descendants, or too deep a tree.
+ */
+export const setCategoryParent = async (category, parentRef) => {
+  if (!parentRef) {
+    category.parent = null;
+    category.ancestors = [];
+    return category;
+  }
+
+  const parent = await findCategory(category.kind, String(parentRef));
+  if (!parent) {
+    throw categoryError(`Unknown ${category.kind} category: ${parentRef}`);
+  }
+
+  if (parent._id.equals(category._id) || parent.ancestors.some((id) => id.equals(category._id))) {
+    throw categoryError("A category cannot be moved below itself or one of its subcategories");
+  }
+
+  // The deepest category below this one must still fit
+  if (!category.isNew) {
+    const [deepest] = await Category.aggregate([
+      { $match: { ancestors: category._id } },
+      { $project: { depth: { $size: "$ancestors" } } },
+      { $sort: { depth: -1 } },
+      { $limit: 1 },
+    ]);
+    const subtreeDepth = deepest ? deepest.depth - category.ancestors.length : 0;
+    if (parent.ancestors.length + 1 + subtreeDepth >= Category.MAX_DEPTH) {
+      throw categoryError(`Categories can be nested at most ${Category.MAX_DEPTH} levels deep`);
+    }
+  }
+
+  category.parent = parent._id;
+  category.ancestors = [...parent.ancestors, parent._id];
+  return category;
+};
+
+/**
+ * After `category` moved, rewrite the ancestors of everything below it
+ *   previousAncestors — its ancestors before the move
+ */
+export const updateDescendantAncestors = async (category, previousAncestors, session = null) => {
+  const descendants = await Category.find({ ancestors: category._id })
+    .select("ancestors")
+    .session(session);
+
+  for (const descendant of descendants) {
+    // Keep the path below `category`, replace the part above it
+    const below = descendant.ancestors.slice(previousAncestors.length);
+    descendant.ancestors = [...category.ancestors, ...below];
+    await descendant.save({ session });
+  }
+  return descendants.length;
+};
@@ -0,0 +1,164 @@
+// utils/checkout.js
+//
+// Turns a list of { productId, variantId?, quantity, price? } lines into an Order:
+// address ownership, server-side pricing, stock checks, coupon and the
+// all-or-nothing stock reservation. Shared by POST /api/orders and the
+// cart checkout so both follow exactly the same rules.
+
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import Address from "../models/Address.js";
+import { priceOrderLine, getPriceMismatchPolicy } from "./pricing.js";
+import { reserveStock, createOutOfStockError, resolveVariant, getItemName } from "./inventory.js";
+import { runInTransaction } from "./transaction.js";
+import { buildHistoryEntry } from "./orderLifecycle.js";
+import { resolveCoupon, redeemCoupon, toCouponSnapshot } from "./coupons.js";
+import { createPaymentIntent } from "./payments.js";
+
+const checkoutError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * Build the error thrown when submitted prices are out of date.
+ * Carries statusCode 409 and the offending lines in `priceMismatches`.
+ */
+export const createPriceMismatchError = (priceMismatches) => {
+  const err = checkoutError("Prices have changed for some items. Please review your order", 409);
+  err.priceMismatches = priceMismatches;
+  return err;
+};
+
+/**
+ * Place an order → { order, priceMismatches, payment }
+ * For online orders `payment` is the intent the storefront completes; it is
+ * null when the provider could not be reached (the customer can retry through
+ * POST /api/payments/orders/:orderId/intent).
+ *   actor       — req.user of whoever places it (recorded in the history)
+ *   items       — [{ productId, variantId?, quantity, price? }] (variantId is
+ *                 required for products sold in variants; a price, when sent,
+ *                 is checked against the current one; see PRICE_MISMATCH_POLICY)
+ *   couponCode  — optional promo code
+ *   onCreated   — optional async (order, session) => {} run in the same
+ *                 transaction (e.g. emptying the cart)
+ * Throws with statusCode 400 / 404, with `outOfStock` (409) or with
+ * `priceMismatches` (409).
+ */
+export const placeOrder = async ({
+  actor,
+  userId,
+  addressId,
+  items,
+  paymentMethod = "cod",
+  couponCode = null,
+  onCreated = null,
+}) => {
+  // Verify address belongs to user
+  const address = await Address.findOne({ _id: addressId, userId });
+  if (!address) {
+    throw checkoutError("Address does not belong to this user", 400);
+  }
+
+  // Price items from the Product documents (stock is reserved atomically below)
+  const preparedItems = [];
+  const couponLines = [];
+  const priceMismatches = [];
+  const outOfStock = [];
+  let totalAmount = 0;
+
+  for (const item of items) {
+    const product = await Product.findById(item.productId);
+
+    if (!product) {
+      throw checkoutError(`Product not found: ${item.productId}`, 404);
+    }
+
+    const variant = resolveVariant(product, item.variantId);
+    const available = (variant || product).stock;
+
+    // Fail fast on obvious shortages; the reservation is the real guard
+    if (available < item.quantity) {
+      outOfStock.push({
+        productId: product._id,
+        variantId: variant?._id || null,
+        name: getItemName(product, variant),
+        requested: item.quantity,
+        available,
+      });
+      continue;
+    }
+
+    const { line, mismatch } = priceOrderLine(product, item);
+    if (mismatch) priceMismatches.push(mismatch);
+
+    preparedItems.push(line);
+    couponLines.push({ productId: product._id, category: product.category, amount: line.subtotal });
+    totalAmount += line.subtotal;
+  }
+
+  if (outOfStock.length > 0) {
+    throw createOutOfStockError(outOfStock);
+  }
+
+  // Submitted prices disagree with current prices
+  if (priceMismatches.length > 0 && getPriceMismatchPolicy() === "reject") {
+    throw createPriceMismatchError(priceMismatches);
+  }
+
+  // Promo code (the redemption below is the real guard on usage caps)
+  let applied = null;
+  if (couponCode && couponCode.trim()) {
+    applied = await resolveCoupon(couponCode, { userId, lines: couponLines, kind: "orders" });
+  }
+
+  // Reserve stock, redeem the coupon and create the order as one all-or-nothing unit
+  const orderId = new mongoose.Types.ObjectId();
+  const order = await runInTransaction(async (session) => {
+    await reserveStock(preparedItems, session, { orderId, actor });
+
+    if (applied) {
+      await redeemCoupon(
+        applied.coupon,
+        userId,
+        { targetType: "Order", targetId: orderId, discountAmount: applied.discountAmount },
+        session
+      );
+    }
+
+    const [created] = await Order.create(
+      [
+        {
+          _id: orderId,
+          userId,
+          addressId,
+          items: preparedItems,
+          totalAmount,
+          coupon: applied ? toCouponSnapshot(applied.coupon, applied.discountAmount) : null,
+          paymentMethod: paymentMethod || "cod",
+          paymentStatus: "unpaid",
+          status: "pending",
+          statusHistory: [buildHistoryEntry(null, "pending", actor)],
+        },
+      ],
+      { session }
+    );
+
+    if (onCreated) await onCreated(created, session);
+    return created;
+  });
+
+  let payment = null;
+  if (order.paymentMethod === "online") {
+    try {
+      payment = await createPaymentIntent(order);
+      order.paymentStatus = "pending";
+    } catch (error) {
+      console.error("❌ Create Payment Intent Error:", error);
+    }
+  }
+
+  return { order, priceMismatches, payment };
+};
@@ -0,0 +1,131 @@
+// utils/coupons.js
+//
+// Promo code checks and redemption shared by the order, booking and coupon
+// routes. Routes price their lines first (see utils/pricing.js) and pass them
+// here as [{ productId | serviceId, category, amount }].
+
+import Coupon from "../models/Coupon.js";
+import CouponRedemption from "../models/CouponRedemption.js";
+import { onOrderStatus } from "./orderLifecycle.js";
+
+const couponError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// ============================================
+// 🔍 VALIDATION
+// ============================================
+
+/**
+ * Look up a code and work out its discount for a customer's lines
+ *   kind — "orders" or "bookings"
+ * → { coupon, subtotal, eligibleAmount, discountAmount }
+ * Throws with statusCode 404 (unknown code), 400 (not applicable) or
+ * 409 (customer already used it up).
+ */
+export const resolveCoupon = async (code, { userId, lines, kind }) => {
+  const coupon = await Coupon.findOne({ code: Coupon.normaliseCode(code) });
+  if (!coupon) {
+    throw couponError("Coupon not found", 404);
+  }
+
+  const reason = coupon.getUnavailableReason();
+  if (reason) {
+    throw couponError(reason);
+  }
+
+  if (coupon.appliesTo !== "all" && coupon.appliesTo !== kind) {
+    throw couponError(`This coupon is only valid on ${coupon.appliesTo}`);
+  }
+
+  const { subtotal, eligibleAmount, discountAmount } = coupon.computeDiscount(lines);
+
+  if (subtotal < coupon.minOrderValue) {
+    throw couponError(`This coupon needs a minimum spend of ${coupon.minOrderValue}`);
+  }
+
+  if (eligibleAmount <= 0) {
+    throw couponError("This coupon does not apply to any of the selected items");
+  }
+
+  if (coupon.perUserLimit !== null) {
+    const used = await CouponRedemption.countFor(coupon._id, userId);
+    if (used >= coupon.perUserLimit) {
+      throw couponError("You have already used this coupon", 409);
+    }
+  }
+
+  return { coupon, subtotal, eligibleAmount, discountAmount };
+};
+
+/**
+ * What an order / booking stores about the coupon it used
+ */
+export const toCouponSnapshot = (coupon, discountAmount) => ({
+  couponId: coupon._id,
+  code: coupon.code,
+  type: coupon.type,
+  value: coupon.value,
+  discountAmount,
+});
+
+// ============================================
+// 🎟️ REDEMPTION
+// ============================================
+
+/**
+ * Count one use of a coupon against the global and per-user caps.
+ * Run inside the transaction that creates the order / booking, so a
+ * failure here rolls the whole checkout back.
+ *   target — { targetType: "Order" | "Booking", targetId, discountAmount }
+ * Throws with statusCode 409 when either cap was reached meanwhile.
+ */
+export const redeemCoupon = async (coupon, userId, target, session = null) => {
+  const claimed = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw couponError("This coupon has reached its usage limit", 409);
+  }
+
+  const recorded = await CouponRedemption.record(
+    coupon._id,
+    userId,
+    target,
+    coupon.perUserLimit,
+    session
+  );
+  if (!recorded) {
+    throw couponError("You have already used this coupon", 409);
+  }
+};
+
+/**
+ * Give back the use recorded for an order / booking (e.g. on cancellation)
+ *   snapshot — the `coupon` stored on the document
+ */
+export const releaseCoupon = async (snapshot, userId, targetId, session = null) => {
+  if (!snapshot?.couponId) return;
+
+  const released = await CouponRedemption.release(snapshot.couponId, userId, targetId, session);
+  if (released) {
+    await Coupon.updateOne(
+      { _id: snapshot.couponId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } },
+      { session }
+    );
+  }
+};
+
+// A cancelled order no longer counts towards the caps
+onOrderStatus("cancelled", (order, session) =>
+  releaseCoupon(order.coupon, order.userId, order._id, session)
+);
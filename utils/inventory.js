@@ -0,0 +1,321 @@
+// utils/inventory.js
+//
+// Every change to Product.stock goes through here so it lands in the
+// StockMovement ledger in the same transaction as the stock itself, and is
+// checked against the product's reorder threshold (utils/stockAlerts.js).
+
+import Product from "../models/Product.js";
+import StockMovement from "../models/StockMovement.js";
+import { checkStockLevel } from "./stockAlerts.js";
+
+const inventoryError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * Build the error thrown when one or more lines cannot be reserved.
+ * Carries statusCode 409 and the offending lines in `outOfStock`.
+ */
+export const createOutOfStockError = (outOfStock) => {
+  const names = outOfStock
+    .map((item) => `${item.name} (available: ${item.available})`)
+    .join(", ");
+  const err = new Error(`Insufficient stock for: ${names}`);
+  err.statusCode = 409;
+  err.outOfStock = outOfStock;
+  return err;
+};
+
+// ============================================
+// 🏷️ VARIANTS
+// ============================================
+
+/**
+ * The variant a line buys → variant, or null for a product without variants
+ * Throws with statusCode 400 when `variantId` does not fit the product
+ * (missing for a product sold in variants, unknown, inactive, or given for a
+ * product without variants).
+ */
+export const resolveVariant = (product, variantId = null) => {
+  if (product.variants.length === 0) {
+    if (variantId) {
+      throw inventoryError(`${product.name} is not sold in variants`, 400);
+    }
+    return null;
+  }
+
+  if (!variantId) {
+    throw inventoryError(`Choose a variant of ${product.name}`, 400);
+  }
+  const variant = product.findVariant(variantId);
+  if (!variant || !variant.isActive) {
+    throw inventoryError(`This variant of ${product.name} is not available`, 400);
+  }
+  return variant;
+};
+
+/**
+ * Display name of a line, e.g. "Rose Serum (50ml)"
+ */
+export const getItemName = (product, variant = null) => {
+  return variant ? `${product.name} (${variant.name})` : product.name;
+};
+
+// ============================================
+// 📒 LEDGER
+// ============================================
+
+/**
+ * Apply `quantity` (signed) to a product's stock — or to one variant's stock,
+ * which also moves the product total — and record the movement
+ * → updated product, or null when the product / variant is missing, the
+ *   product keeps its stock on variants and none was named, or the stock
+ *   would drop below zero (nothing is written then)
+ *   reason    — one of StockMovement.REASONS
+ *   actor     — { _id, role } of whoever caused it, or null for the system
+ *   orderId   — order behind the movement, if any
+ *   variantId — variant whose stock moves
+ * Run inside a transaction so the stock and its ledger entry commit together.
+ */
+export const applyStockMovement = async (
+  productId,
+  quantity,
+  { reason, actor = null, orderId = null, note = "", variantId = null },
+  session = null
+) => {
+  const filter = { _id: productId };
+  let update;
+
+  if (variantId) {
+    filter.variants = {
+      $elemMatch: { _id: variantId, ...(quantity < 0 && { stock: { $gte: -quantity } }) },
+    };
+    update = { $inc: { stock: quantity, "variants.$.stock": quantity } };
+  } else {
+    // Stock of a product sold in variants only moves through a variant
+    filter["variants.0"] = { $exists: false };
+    if (quantity < 0) filter.stock = { $gte: -quantity };
+    update = { $inc: { stock: quantity } };
+  }
+
+  const product = await Product.findOneAndUpdate(filter, update, { new: true, session });
+  if (!product) return null;
+
+  const variant = product.findVariant(variantId);
+  const [movement] = await StockMovement.create(
+    [
+      {
+        productId,
+        variantId: variant?._id || null,
+        sku: variant?.sku || "",
+        quantity,
+        balanceAfter: variant ? variant.stock : product.stock,
+        reason,
+        orderId,
+        note,
+        changedBy: actor?._id || null,
+        role: actor?.role || "system",
+      },
+    ],
+    { session }
+  );
+
+  await checkStockLevel(product, variant, quantity, movement, session);
+  return product;
+};
+
+/**
+ * Admin stock change (PATCH /:id/stock, bulk updates, edits) → updated product
+ *   reason    — "purchase" (must add), "damage" (must remove) or "adjustment"
+ *   variantId — required for products sold in variants
+ * Throws with statusCode 400 / 404.
+ */
+export const adjustStock = async (
+  productId,
+  quantity,
+  { reason = "adjustment", actor = null, note = "", variantId = null } = {},
+  session = null
+) => {
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    throw inventoryError("Quantity must be a non-zero whole number", 400);
+  }
+  if (!["purchase", "adjustment", "damage"].includes(reason)) {
+    throw inventoryError("Reason must be 'purchase', 'adjustment' or 'damage'", 400);
+  }
+  if (reason === "purchase" && quantity < 0) {
+    throw inventoryError("A purchase must add stock", 400);
+  }
+  if (reason === "damage" && quantity > 0) {
+    throw inventoryError("Damage must remove stock", 400);
+  }
+
+  const product = await applyStockMovement(productId, quantity, { reason, actor, note, variantId }, session);
+  if (product) return product;
+
+  // Work out why nothing matched
+  const existing = await Product.findById(productId).select("name stock variants").session(session);
+  if (!existing) {
+    throw inventoryError("Product not found", 404);
+  }
+  if (variantId && !existing.findVariant(variantId)) {
+    throw inventoryError("Variant not found", 404);
+  }
+  const variant = resolveVariant(existing, variantId);
+  throw inventoryError(`Cannot reduce stock below 0. Current stock: ${(variant || existing).stock}`, 400);
+};
+
+// ============================================
+// 🛒 ORDERS
+// ============================================
+
+/**
+ * Atomically decrement stock for every line.
+ * Each decrement only matches while enough stock remains, so concurrent
+ * checkouts can never oversell. Run inside a transaction so that a failure
+ * on a later line rolls back the earlier ones.
+ *   orderId / actor — recorded on the "sale" movements
+ */
+export const reserveStock = async (items, session = null, { orderId = null, actor = null } = {}) => {
+  const outOfStock = [];
+
+  for (const item of items) {
+    const variantId = item.variantId || null;
+    const product = await applyStockMovement(
+      item.productId,
+      -item.quantity,
+      { reason: "sale", actor, orderId, variantId },
+      session
+    );
+
+    if (!product) {
+      const current = await Product.findById(item.productId).select("name stock variants").session(session);
+      const variant = current?.findVariant(variantId);
+      outOfStock.push({
+        productId: item.productId,
+        variantId,
+        name: current ? getItemName(current, variant) : item.name,
+        requested: item.quantity,
+        available: (variantId ? variant?.stock : current?.stock) ?? 0,
+      });
+    }
+  }
+
+  if (outOfStock.length > 0) {
+    throw createOutOfStockError(outOfStock);
+  }
+};
+
+/**
+ * Return stock for every line of an order
+ *   reason — "cancellation_restock" or "return_restock"
+ * A line bought before its product was split into variants (no variantId)
+ * goes back to the product's only variant. Lines that cannot be restocked —
+ * the product or variant was deleted, or there are several variants to choose
+ * from — are logged and skipped so the order can still move on; an admin
+ * restocks them by hand (PATCH /api/products/:id/stock).
+ */
+export const releaseStock = async (
+  items,
+  session = null,
+  { reason = "cancellation_restock", orderId = null, actor = null } = {}
+) => {
+  for (const item of items) {
+    let variantId = item.variantId || null;
+    let note = "";
+
+    if (!variantId) {
+      const current = await Product.findById(item.productId).select("variants").session(session);
+      if (current?.variants.length === 1) {
+        variantId = current.variants[0]._id;
+        note = "Ordered before the product had variants";
+      }
+    }
+
+    const product = await applyStockMovement(
+      item.productId,
+      item.quantity,
+      { reason, actor, orderId, note, variantId },
+      session
+    );
+    if (!product) {
+      console.warn(
+        `⚠️ Stock not returned for order ${orderId}: ${item.quantity} x ${item.name || item.productId}` +
+          `${item.variantId ? ` (variant ${item.variantId})` : ""} — restock it by hand`
+      );
+    }
+  }
+};
+
+// ============================================
+// 🧮 RECONCILIATION
+// ============================================
+
+/**
+ * Compare every product's stock — and each variant's — with the sum of its
+ * ledger → [{ productId, variantId, sku, name, stock, ledgerStock, difference,
+ * movements }] for the ones that disagree (difference = stock - ledgerStock).
+ * A product sold in variants is also flagged when its total is not the sum of
+ * its variants (ledgerStock is that sum then, variantId null).
+ */
+export const findStockDiscrepancies = async () => {
+  const totals = await StockMovement.aggregate([
+    {
+      $group: {
+        _id: { productId: "$productId", variantId: "$variantId" },
+        ledgerStock: { $sum: "$quantity" },
+        movements: { $sum: 1 },
+      },
+    },
+  ]);
+  const byKey = new Map(
+    totals.map((t) => [`${t._id.productId}:${t._id.variantId || ""}`, t])
+  );
+
+  const products = await Product.find({}).select("name stock variants").lean();
+
+  const discrepancies = [];
+  const compare = (product, variant, stock) => {
+    const ledger = byKey.get(`${product._id}:${variant?._id || ""}`);
+    const ledgerStock = ledger?.ledgerStock ?? 0;
+
+    if (ledgerStock !== stock) {
+      discrepancies.push({
+        productId: product._id,
+        variantId: variant?._id || null,
+        sku: variant?.sku || "",
+        name: getItemName(product, variant),
+        stock,
+        ledgerStock,
+        difference: stock - ledgerStock,
+        movements: ledger?.movements ?? 0,
+      });
+    }
+  };
+
+  for (const product of products) {
+    const variants = product.variants || [];
+    if (variants.length === 0) {
+      compare(product, null, product.stock);
+      continue;
+    }
+
+    variants.forEach((variant) => compare(product, variant, variant.stock));
+
+    const variantTotal = variants.reduce((sum, variant) => sum + variant.stock, 0);
+    if (variantTotal !== product.stock) {
+      discrepancies.push({
+        productId: product._id,
+        variantId: null,
+        sku: "",
+        name: product.name,
+        stock: product.stock,
+        ledgerStock: variantTotal,
+        difference: product.stock - variantTotal,
+        movements: null,
+      });
+    }
+  }
+  return discrepancies;
+};
@@ -0,0 +1,103 @@
+// utils/orderLifecycle.js
+//
+// Moves orders between statuses (see the transition table in models/Order.js)
+// and runs the side effects bound to each target status in the same
+// transaction, so e.g. a cancellation and its restock commit together.
+
+import Order from "../models/Order.js";
+import { releaseStock } from "./inventory.js";
+import { runInTransaction } from "./transaction.js";
+
+const lifecycleError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// ============================================
+// ⚡ SIDE EFFECTS
+// ============================================
+
+// status → [async (order, session, from, actor) => {}]
+const effects = {
+  cancelled: [
+    (order, session, from, actor) =>
+      releaseStock(order.items, session, { reason: "cancellation_restock", orderId: order._id, actor }),
+  ],
+  returned: [
+    (order, session, from, actor) =>
+      releaseStock(order.items, session, { reason: "return_restock", orderId: order._id, actor }),
+  ],
+};
+
+/**
+ * Bind a side effect to entering `status` (runs inside the transition's transaction)
+ */
+export const onOrderStatus = (status, effect) => {
+  effects[status] = [...(effects[status] || []), effect];
+};
+
+// ============================================
+// 🔀 TRANSITIONS
+// ============================================
+
+/**
+ * History entry for a status change
+ *   actor — { _id, role } of the user making the change, or null for the system
+ */
+export const buildHistoryEntry = (from, to, actor = null, note = "") => ({
+  from,
+  to,
+  changedBy: actor?._id || null,
+  role: actor?.role || "system",
+  note,
+  at: new Date(),
+});
+
+/**
+ * Move an order to `to` → updated order
+ *   actor       — who is making the change (see buildHistoryEntry)
+ *   note        — free text stored in the history (e.g. a cancellation reason)
+ *   allowedFrom — extra restriction on the current status (e.g. customers may
+ *                 only cancel before dispatch)
+ *   set         — other order fields to write in the same update (e.g. paymentStatus)
+ * Throws with statusCode 404 / 400 (illegal transition) / 409 (changed meanwhile).
+ */
+export const transitionOrder = async (orderId, to, { actor = null, note = "", allowedFrom = null, set = {} } = {}) => {
+  if (!Order.STATUSES.includes(to)) {
+    throw lifecycleError("Invalid status value", 400);
+  }
+
+  const order = await Order.findById(orderId).select("status");
+  if (!order) {
+    throw lifecycleError("Order not found", 404);
+  }
+
+  const from = order.status;
+  if (from === to) {
+    throw lifecycleError(`Order is already ${to}`, 400);
+  }
+  if (!Order.canTransition(from, to) || (allowedFrom && !allowedFrom.includes(from))) {
+    throw lifecycleError(`Cannot change order status from ${from} to ${to}`, 400);
+  }
+
+  return runInTransaction(async (session) => {
+    // Only matches if nobody moved the order since we read it
+    const updated = await Order.findOneAndUpdate(
+      { _id: orderId, status: from },
+      {
+        $set: { ...set, status: to },
+        $push: { statusHistory: buildHistoryEntry(from, to, actor, note) },
+      },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw lifecycleError("Order status changed. Please refresh and try again", 409);
+    }
+
+    for (const effect of effects[to] || []) {
+      await effect(updated, session, from, actor);
+    }
+    return updated;
+  });
+};
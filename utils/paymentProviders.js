@@ -0,0 +1,147 @@
+// utils/paymentProviders.js
+//
+// Payment gateways behind a small provider interface so the order flow does
+// not care who moves the money. Pick one with PAYMENT_PROVIDER:
+//   fake (default) — in-process provider for local development and tests;
+//                    payments are completed through POST /api/payments/fake/...
+// A provider is an object with:
+//   name
+//   async createIntent({ amount, currency, reference }) → { intentId, clientSecret, status }
+//   async refund({ intentId, amount, reference })       → { refundId, status }
+//   verifyWebhook(rawBody, headers)                      → event (throws when not authentic)
+// Events are { id, type, intentId, refundId?, failureReason? } where type is one of
+// payment.succeeded, payment.failed, refund.succeeded, refund.failed.
+
+import crypto from "crypto";
+
+// ============================================
+// ✍️ WEBHOOK SIGNATURES
+// ============================================
+
+// Signed payloads older than this are rejected (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+export const SIGNATURE_HEADER = "x-payment-signature";
+
+const getWebhookSecret = () => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret && process.env.NODE_ENV === "production") {
+    throw new Error("PAYMENT_WEBHOOK_SECRET must be set in production");
+  }
+  return secret || "dev_payment_webhook_secret";
+};
+
+const computeSignature = (timestamp, rawBody) => {
+  return crypto
+    .createHmac("sha256", getWebhookSecret())
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+};
+
+/**
+ * Header value for a payload: "t=<unix seconds>,v1=<hex hmac>"
+ */
+export const signWebhookPayload = (rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${computeSignature(timestamp, rawBody)}`;
+};
+
+/**
+ * Check a "t=...,v1=..." header against the raw request body
+ * Throws with statusCode 400 when it is missing, stale or wrong.
+ */
+export const verifyWebhookSignature = (rawBody, header) => {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.statusCode = 400;
+    return err;
+  };
+
+  if (!rawBody || !header) {
+    throw fail("Missing webhook signature");
+  }
+
+  const parts = Object.fromEntries(
+    String(header).split(",").map((part) => part.trim().split("=", 2))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    throw fail("Malformed webhook signature");
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw fail("Webhook signature has expired");
+  }
+
+  const expected = Buffer.from(computeSignature(timestamp, rawBody), "hex");
+  const received = Buffer.from(parts.v1, "hex");
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw fail("Invalid webhook signature");
+  }
+};
+
+// ============================================
+// 🧪 PROVIDERS
+// ============================================
+
+// Everything happens in-process: intents wait until a test (or the developer)
+// completes them, refunds succeed at once. Webhooks use the shared signature
+// scheme so the real verification path is exercised.
+const fakeProvider = () => ({
+  name: "fake",
+
+  async createIntent() {
+    const intentId = `fake_pi_${crypto.randomBytes(12).toString("hex")}`;
+    return {
+      intentId,
+      clientSecret: `${intentId}_secret_${crypto.randomBytes(12).toString("hex")}`,
+      status: "requires_payment",
+    };
+  },
+
+  async refund() {
+    return {
+      refundId: `fake_re_${crypto.randomBytes(12).toString("hex")}`,
+      status: "succeeded",
+    };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    verifyWebhookSignature(rawBody, headers[SIGNATURE_HEADER]);
+    return JSON.parse(rawBody);
+  },
+
+  // Signed webhook delivery for an event, as the gateway would send it
+  buildWebhook(event) {
+    const rawBody = JSON.stringify({ id: `fake_evt_${crypto.randomBytes(12).toString("hex")}`, ...event });
+    return { rawBody, headers: { [SIGNATURE_HEADER]: signWebhookPayload(rawBody) } };
+  },
+});
+
+const providers = {
+  fake: fakeProvider,
+};
+
+/**
+ * Add (or replace) a provider factory, e.g. for a gateway SDK
+ */
+export const registerPaymentProvider = (name, factory) => {
+  providers[name] = factory;
+  activeProvider = null;
+};
+
+let activeProvider = null;
+
+/**
+ * Provider selected by PAYMENT_PROVIDER (created once)
+ */
+export const getPaymentProvider = () => {
+  if (!activeProvider) {
+    const name = (process.env.PAYMENT_PROVIDER || "fake").toLowerCase();
+    const factory = providers[name];
+    if (!factory) {
+      throw new Error(`Unknown payment provider "${name}"`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+};
@@ -0,0 +1,512 @@
+// utils/payments.js
+//
+// Online payment flow for orders and booking deposits:
+//   1. checkout opens a payment intent with the provider (createPaymentIntent)
+//   2. the storefront completes it with the provider using the client secret
+//   3. the provider calls our webhook; handlePaymentEvent marks the payment
+//      and the order paid or failed
+//   4. refunds go back through the provider (refundPayment / refundOrder)
+// Order.paymentStatus mirrors the payments: pending → paid | failed,
+// then partially_refunded | refunded. For bookings the deposit is tracked on
+// Booking.depositStatus (see models/Booking.js).
+
+import Order from "../models/Order.js";
+import Booking from "../models/Booking.js";
+import Payment from "../models/Payment.js";
+import { getPaymentProvider } from "./paymentProviders.js";
+import { roundCurrency } from "./pricing.js";
+import { runInTransaction } from "./transaction.js";
+
+const paymentError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// Orders that no longer need (or can take) a payment
+const CLOSED_ORDER_STATUSES = ["cancelled", "returned"];
+
+/**
+ * Currency for new intents (PAYMENT_CURRENCY, default INR)
+ */
+export const getPaymentCurrency = () => {
+  return (process.env.PAYMENT_CURRENCY || "INR").toUpperCase();
+};
+
+/**
+ * Public view of a payment (the client secret only when it was selected)
+ */
+export const toPaymentResponse = (payment) => ({
+  _id: payment._id,
+  orderId: payment.orderId,
+  bookingId: payment.bookingId,
+  provider: payment.provider,
+  intentId: payment.intentId,
+  ...(payment.clientSecret && { clientSecret: payment.clientSecret }),
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  paidAt: payment.paidAt,
+  failureReason: payment.failureReason || "",
+  refundedAmount: payment.refundedAmount,
+  refunds: payment.refunds,
+  createdAt: payment.createdAt,
+});
+
+// ============================================
+// 💳 INTENTS
+// ============================================
+
+/**
+ * Open a payment intent for an online order, or reuse the open one
+ * → Payment (with clientSecret selected)
+ * Throws with statusCode 400 / 409 when the order cannot be paid online.
+ */
+export const createPaymentIntent = async (order) => {
+  if (order.paymentMethod !== "online") {
+    throw paymentError("This order is not set up for online payment", 400);
+  }
+  if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+    throw paymentError(`Cannot pay for an order that is ${order.status}`, 400);
+  }
+  if (!["unpaid", "pending", "failed"].includes(order.paymentStatus)) {
+    throw paymentError("This order has already been paid", 409);
+  }
+  if (!(order.totalAmount > 0)) {
+    throw paymentError("There is nothing to pay on this order", 400);
+  }
+
+  const provider = getPaymentProvider();
+
+  // A retry from the storefront should not open a second intent
+  const open = await Payment.findOne({
+    orderId: order._id,
+    provider: provider.name,
+    status: "requires_payment",
+    amount: order.totalAmount,
+  }).select("+clientSecret");
+  if (open) return open;
+
+  const intent = await provider.createIntent({
+    amount: order.totalAmount,
+    currency: getPaymentCurrency(),
+    reference: String(order._id),
+  });
+
+  const payment = await Payment.create({
+    orderId: order._id,
+    userId: order.userId,
+    provider: provider.name,
+    intentId: intent.intentId,
+    clientSecret: intent.clientSecret,
+    amount: order.totalAmount,
+    currency: getPaymentCurrency(),
+    status: "requires_payment",
+  });
+
+  await Order.updateOne(
+    { _id: order._id, paymentStatus: { $in: ["unpaid", "failed"] } },
+    { paymentStatus: "pending" }
+  );
+
+  return payment;
+};
+
+/**
+ * Open a deposit payment intent for a booking, or reuse the open one
+ * → Payment (with clientSecret selected)
+ * Throws with statusCode 400 / 409 when no deposit is due.
+ */
+export const createDepositIntent = async (booking) => {
+  if (booking.depositStatus !== "pending") {
+    throw paymentError(
+      booking.depositStatus === "not_required"
+        ? "This booking does not need a deposit"
+        : `The deposit is already ${booking.depositStatus}`,
+      booking.depositStatus === "not_required" ? 400 : 409
+    );
+  }
+  if (booking.status !== "pending") {
+    throw paymentError(`Cannot pay a deposit on a booking that is ${booking.status}`, 400);
+  }
+  if (booking.holdExpiresAt && booking.holdExpiresAt <= new Date()) {
+    throw paymentError("The time to pay this deposit has run out. Please book again", 409);
+  }
+
+  const provider = getPaymentProvider();
+
+  const open = await Payment.findOne({
+    bookingId: booking._id,
+    provider: provider.name,
+    status: "requires_payment",
+    amount: booking.depositAmount,
+  }).select("+clientSecret");
+  if (open) return open;
+
+  const intent = await provider.createIntent({
+    amount: booking.depositAmount,
+    currency: getPaymentCurrency(),
+    reference: String(booking._id),
+  });
+
+  return Payment.create({
+    bookingId: booking._id,
+    userId: booking.userId,
+    provider: provider.name,
+    intentId: intent.intentId,
+    clientSecret: intent.clientSecret,
+    amount: booking.depositAmount,
+    currency: getPaymentCurrency(),
+    status: "requires_payment",
+  });
+};
+
+// ============================================
+// 📬 WEBHOOK EVENTS
+// ============================================
+
+/**
+ * Total of a payment's succeeded refunds
+ */
+const getRefundedTotal = (payment) =>
+  roundCurrency(
+    payment.refunds
+      .filter((refund) => refund.status === "succeeded")
+      .reduce((sum, refund) => sum + refund.amount, 0)
+  );
+
+/**
+ * Mirror a payment's refunds onto its order's paymentStatus, or mark a
+ * fully refunded booking deposit
+ */
+const syncRefundStatus = async (payment, session = null) => {
+  const refunded = getRefundedTotal(payment);
+
+  if (payment.bookingId) {
+    // A late or duplicate deposit was never credited to the booking
+    if (payment.settled && refunded >= payment.amount) {
+      await Booking.updateOne(
+        { _id: payment.bookingId, depositStatus: "paid" },
+        {
+          depositStatus: "refunded",
+          paymentStatus: "unpaid",
+          $inc: { amountPaid: -payment.amount },
+        },
+        { session }
+      );
+    }
+    return;
+  }
+
+  // Refunding a duplicate payment leaves the order as paid as it was
+  if (!payment.settled) return;
+
+  const settledPayments = await Payment.find({ orderId: payment.orderId, status: "succeeded", settled: true })
+    .session(session);
+  const paidTotal = roundCurrency(settledPayments.reduce((sum, p) => sum + p.amount, 0));
+  const refundedTotal = roundCurrency(settledPayments.reduce((sum, p) => sum + getRefundedTotal(p), 0));
+
+  let paymentStatus = "paid";
+  if (refundedTotal >= paidTotal) paymentStatus = "refunded";
+  else if (refundedTotal > 0) paymentStatus = "partially_refunded";
+
+  await Order.updateOne({ _id: payment.orderId }, { paymentStatus }, { session });
+};
+
+/**
+ * Send back a payment flagged needsRefund → whether the refund was requested.
+ * A provider error is logged and the flag kept for retryAutoRefunds.
+ */
+const sendAutoRefund = async (payment) => {
+  try {
+    if (payment.getRefundableAmount() > 0) {
+      await refundPayment(payment, {
+        reason: payment.bookingId
+          ? "Deposit arrived after the booking was cancelled or already paid"
+          : "Payment arrived after the order was cancelled or already paid",
+      });
+    }
+    await Payment.updateOne({ _id: payment._id }, { needsRefund: false });
+    return true;
+  } catch (error) {
+    console.error("❌ Auto Refund Error:", error);
+    return false;
+  }
+};
+
+const markPaid = async (event) => {
+  const now = new Date();
+
+  const result = await runInTransaction(async (session) => {
+    const updated = await Payment.findOneAndUpdate(
+      {
+        intentId: event.intentId,
+        status: { $in: ["requires_payment", "failed"] },
+        processedEvents: { $ne: event.id },
+      },
+      {
+        $set: { status: "succeeded", paidAt: now, failureReason: "" },
+        $push: { processedEvents: event.id },
+      },
+      { new: true, session }
+    );
+    if (!updated) return null;
+
+    // Only the first successful attempt settles the order / deposit
+    const settled = updated.bookingId
+      ? await Booking.updateOne(
+          { _id: updated.bookingId, status: "pending", depositStatus: "pending" },
+          {
+            depositStatus: "paid",
+            depositPaidAt: now,
+            holdExpiresAt: null,
+            paymentStatus: "deposit_paid",
+            $inc: { amountPaid: updated.amount },
+          },
+          { session }
+        )
+      : await Order.updateOne(
+          {
+            _id: updated.orderId,
+            status: { $nin: CLOSED_ORDER_STATUSES },
+            paymentStatus: { $in: ["unpaid", "pending", "failed"] },
+          },
+          { paymentStatus: "paid", paidAt: now },
+          { session }
+        );
+
+    // Money arrived for something already paid, cancelled or expired: it is
+    // flagged with the event so a failed refund is never forgotten
+    const flag = settled.modifiedCount > 0 ? { settled: true } : { needsRefund: true };
+    await Payment.updateOne({ _id: updated._id }, flag, { session });
+    Object.assign(updated, flag);
+
+    return updated;
+  });
+
+  if (!result) {
+    // A redelivered event is another chance for a refund that failed
+    const unrefunded = await Payment.findOne({ intentId: event.intentId, needsRefund: true });
+    if (unrefunded) await sendAutoRefund(unrefunded);
+    return { handled: false };
+  }
+
+  if (result.needsRefund) await sendAutoRefund(result);
+
+  return { handled: true, payment: result };
+};
+
+const markFailed = async (event) => {
+  const payment = await Payment.findOneAndUpdate(
+    {
+      intentId: event.intentId,
+      status: "requires_payment",
+      processedEvents: { $ne: event.id },
+    },
+    {
+      $set: {
+        status: "failed",
+        failedAt: new Date(),
+        failureReason: String(event.failureReason || "Payment failed").slice(0, 500),
+      },
+      $push: { processedEvents: event.id },
+    },
+    { new: true }
+  );
+  if (!payment) return { handled: false };
+
+  // Only while nothing else has paid the order (a booking simply stays
+  // pending until its hold runs out)
+  if (payment.orderId) {
+    await Order.updateOne(
+      { _id: payment.orderId, paymentStatus: "pending" },
+      { paymentStatus: "failed" }
+    );
+  }
+
+  return { handled: true, payment };
+};
+
+/**
+ * Finish a pending refund, matched by our refund entry id or the provider's id
+ *   status — "succeeded" | "failed" (a failed refund frees its amount again)
+ */
+const settleRefund = async (paymentId, match, status) => {
+  const payment = await Payment.findById(paymentId);
+  const refund = payment?.refunds.find(
+    (entry) =>
+      entry.status === "pending" &&
+      ((match.entryId && entry._id.equals(match.entryId)) ||
+        (match.refundId && entry.refundId === match.refundId))
+  );
+  if (!refund) return null;
+
+  return runInTransaction(async (session) => {
+    const updated = await Payment.findOneAndUpdate(
+      { _id: paymentId, refunds: { $elemMatch: { _id: refund._id, status: "pending" } } },
+      {
+        $set: { "refunds.$.status": status, "refunds.$.completedAt": new Date() },
+        ...(status === "failed" && { $inc: { refundedAmount: -refund.amount } }),
+      },
+      { new: true, session }
+    );
+    if (!updated) return null;
+
+    await syncRefundStatus(updated, session);
+    return updated;
+  });
+};
+
+/**
+ * Apply a verified provider event → { handled, payment? }
+ * Redelivered events are ignored; unknown types are acknowledged.
+ */
+export const handlePaymentEvent = async (event) => {
+  if (!event?.id || !event?.type) {
+    throw paymentError("Malformed payment event", 400);
+  }
+
+  switch (event.type) {
+    case "payment.succeeded":
+      return markPaid(event);
+    case "payment.failed":
+      return markFailed(event);
+    case "refund.succeeded":
+    case "refund.failed": {
+      const payment = await Payment.findOne({ "refunds.refundId": event.refundId }).select("_id");
+      if (!payment) return { handled: false };
+
+      const status = event.type === "refund.succeeded" ? "succeeded" : "failed";
+      const updated = await settleRefund(payment._id, { refundId: event.refundId }, status);
+      return { handled: !!updated, payment: updated };
+    }
+    default:
+      return { handled: false };
+  }
+};
+
+// ============================================
+// ↩️ REFUNDS
+// ============================================
+
+/**
+ * Refund part or all of a succeeded payment → updated Payment
+ *   amount — defaults to everything still refundable
+ *   actor  — req.user of whoever asked (null for automatic refunds)
+ * Throws with statusCode 400 / 409, or 502 when the provider refuses.
+ */
+export const refundPayment = async (payment, { amount = null, reason = "", actor = null } = {}) => {
+  const refundable = payment.getRefundableAmount();
+  const value = amount === null ? refundable : roundCurrency(amount);
+
+  if (payment.status !== "succeeded") {
+    throw paymentError("Only completed payments can be refunded", 400);
+  }
+  if (!(value > 0) || value > refundable) {
+    throw paymentError(`Refund amount must be between 0.01 and ${refundable}`, 400);
+  }
+
+  // Claim the amount first so two refunds can never exceed the payment
+  const entry = { amount: value, reason, requestedBy: actor?._id || null, status: "pending" };
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: "succeeded",
+      $expr: { $lte: [{ $add: ["$refundedAmount", value] }, "$amount"] },
+    },
+    { $inc: { refundedAmount: value }, $push: { refunds: entry } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw paymentError("Refund exceeds the amount still refundable", 409);
+  }
+  const entryId = reserved.refunds[reserved.refunds.length - 1]._id;
+
+  let result;
+  try {
+    result = await getPaymentProvider().refund({
+      intentId: payment.intentId,
+      amount: value,
+      reference: String(entryId),
+    });
+  } catch (error) {
+    console.error("❌ Refund Provider Error:", error);
+    await settleRefund(payment._id, { entryId }, "failed");
+    throw paymentError("The payment provider could not process the refund", 502);
+  }
+
+  await Payment.updateOne(
+    { _id: payment._id, "refunds._id": entryId },
+    { $set: { "refunds.$.refundId": result.refundId } }
+  );
+
+  // Some providers settle at once; others confirm through the webhook
+  if (result.status === "succeeded" || result.status === "failed") {
+    await settleRefund(payment._id, { entryId }, result.status);
+  }
+
+  return Payment.findById(payment._id);
+};
+
+// Refund whatever is left on every completed payment matching `filter`
+const refundRemaining = async (filter, { reason, actor }) => {
+  const payments = await Payment.find({ ...filter, status: "succeeded" });
+
+  const refunded = [];
+  for (const payment of payments) {
+    if (payment.getRefundableAmount() <= 0) continue;
+    refunded.push(await refundPayment(payment, { reason, actor }));
+  }
+  return refunded;
+};
+
+/**
+ * Refund whatever is left on an order's completed payments (e.g. after a
+ * cancellation or return) → refunded payments
+ */
+export const refundOrder = async (orderId, { reason = "", actor = null } = {}) => {
+  return refundRemaining({ orderId }, { reason, actor });
+};
+
+/**
+ * Refund a booking's deposit (cancellation by the salon, or in good time)
+ * → refunded payments
+ */
+export const refundBookingDeposit = async (bookingId, { reason = "", actor = null } = {}) => {
+  return refundRemaining({ bookingId }, { reason, actor });
+};
+
+/**
+ * Retry the automatic refunds that the provider refused → number requested
+ */
+export const retryAutoRefunds = async () => {
+  const payments = await Payment.find({ needsRefund: true, status: "succeeded" });
+
+  let requested = 0;
+  for (const payment of payments) {
+    if (await sendAutoRefund(payment)) requested += 1;
+  }
+  return requested;
+};
+
+/**
+ * Run retryAutoRefunds every AUTO_REFUND_RETRY_MINUTES (default 15)
+ * → the timer (unref'd, so it never keeps the process alive)
+ */
+export const startAutoRefundRetries = () => {
+  const minutes = Number(process.env.AUTO_REFUND_RETRY_MINUTES) || 15;
+
+  const timer = setInterval(async () => {
+    try {
+      const requested = await retryAutoRefunds();
+      if (requested > 0) {
+        console.log(`↩️ Requested ${requested} pending automatic refund(s)`);
+      }
+    } catch (error) {
+      console.error("❌ Auto Refund Retry Error:", error);
+    }
+  }, minutes * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,148 @@
+// utils/pricing.js
+//
+// Server-side pricing for catalogue items (Products, and anything else that
+// carries a base `price` and a percentage `discount`). Routes must never trust
+// a price sent by the client — they compute it here from the stored document.
+
+// ============================================
+// ⚙️ CONFIGURATION
+// ============================================
+
+/**
+ * Allowed difference between a submitted price and the computed one
+ * (absorbs floating point noise from the storefront).
+ */
+export const PRICE_TOLERANCE = 0.01;
+
+/**
+ * What to do when a client-submitted price disagrees with the server price:
+ *  - "reject"  → refuse the request and report the mismatched lines
+ *  - "reprice" → silently use the server price
+ */
+export const getPriceMismatchPolicy = () => {
+  return process.env.PRICE_MISMATCH_POLICY === "reprice" ? "reprice" : "reject";
+};
+
+// ============================================
+// 🏷️ PROMOTIONS
+// ============================================
+
+/**
+ * Promotion rules. Each rule receives (item, context) and returns a discount
+ * percentage (0..100) or null when it does not apply. The best discount wins;
+ * discounts never stack.
+ */
+const promotionRules = [
+  // Static percentage stored on the document itself
+  (item) => (item.discount > 0 ? item.discount : null),
+];
+
+/**
+ * Register an additional promotion rule (e.g. seasonal sales)
+ */
+export const registerPromotion = (rule) => {
+  if (typeof rule !== "function") {
+    throw new TypeError("Promotion rule must be a function");
+  }
+  promotionRules.push(rule);
+};
+
+// ============================================
+// 🧮 PRICE CALCULATION
+// ============================================
+
+/**
+ * Round to 2 decimal places (currency precision)
+ */
+export const roundCurrency = (value) => {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+};
+
+/**
+ * Resolve the effective discount percentage for an item
+ */
+export const getEffectiveDiscount = (item, context = {}) => {
+  const ctx = { now: new Date(), quantity: 1, ...context };
+
+  const best = promotionRules.reduce((max, rule) => {
+    const percent = Number(rule(item, ctx));
+    if (!Number.isFinite(percent) || percent <= 0) return max;
+    return Math.max(max, percent);
+  }, 0);
+
+  return Math.min(100, best);
+};
+
+/**
+ * Compute the unit price breakdown for an item
+ * returns: { listPrice, discountPercent, discountAmount, price }
+ * where `price` is the net unit price the customer pays.
+ */
+export const computeUnitPrice = (item, context = {}) => {
+  const listPrice = roundCurrency(item.price);
+  const discountPercent = getEffectiveDiscount(item, context);
+  const discountAmount = roundCurrency((listPrice * discountPercent) / 100);
+
+  return {
+    listPrice,
+    discountPercent,
+    discountAmount,
+    price: roundCurrency(listPrice - discountAmount),
+  };
+};
+
+/**
+ * Compare a client-submitted unit price against the computed one
+ */
+export const pricesMatch = (submitted, computed) => {
+  return Math.abs(Number(submitted) - Number(computed)) <= PRICE_TOLERANCE;
+};
+
+/**
+ * What promotion rules and computeUnitPrice see for a product, or for one of
+ * its variants (the variant's price with the product's discount and category)
+ */
+export const toPricedItem = (product, variant = null) => {
+  if (!variant) return product;
+  return {
+    _id: product._id,
+    category: product.category,
+    discount: product.discount,
+    price: variant.price,
+    variantId: variant._id,
+  };
+};
+
+/**
+ * Price a single order line from its Product document (and the variant named
+ * by `item.variantId`, if any)
+ * returns the order item fields plus an optional `mismatch` description
+ */
+export const priceOrderLine = (product, item, context = {}) => {
+  const variant = item.variantId ? product.findVariant(item.variantId) : null;
+  const pricing = computeUnitPrice(toPricedItem(product, variant), { ...context, quantity: item.quantity });
+
+  const line = {
+    productId: product._id,
+    variantId: variant?._id || null,
+    sku: variant?.sku || "",
+    name: product.name,
+    variantName: variant?.name || "",
+    ...pricing,
+    quantity: item.quantity,
+    subtotal: roundCurrency(pricing.price * item.quantity),
+  };
+
+  let mismatch = null;
+  if (item.price !== undefined && item.price !== null && !pricesMatch(item.price, pricing.price)) {
+    mismatch = {
+      productId: product._id,
+      variantId: variant?._id || null,
+      name: variant ? `${product.name} (${variant.name})` : product.name,
+      submittedPrice: item.price,
+      currentPrice: pricing.price,
+    };
+  }
+
+  return { line, mismatch };
+};
@@ -0,0 +1,41 @@
+// utils/reviews.js
+import Order from "../models/Order.js";
+import Booking from "../models/Booking.js";
+import User from "../models/User.js";
+
+/**
+ * Whether the user has a delivered order containing the product
+ */
+export const hasDeliveredProduct = async (userId, productId) => {
+  return !!(await Order.exists({ userId, status: "delivered", "items.productId": productId }));
+};
+
+/**
+ * Whether the user has a completed booking for the service
+ */
+export const hasCompletedService = async (userId, serviceId) => {
+  return !!(await Booking.exists({ userId, serviceId, status: "completed" }));
+};
+
+/**
+ * Whether the user has bought the product / had the service
+ *   targetType — "Product" or "Service" (see models/Review.js)
+ */
+export const isVerifiedReviewer = async (targetType, userId, targetId) => {
+  return targetType === "Product"
+    ? hasDeliveredProduct(userId, targetId)
+    : hasCompletedService(userId, targetId);
+};
+
+/**
+ * Moderation status for a new or edited review.
+ * Admins and trusted reviewers are approved straight away; with
+ * REVIEW_AUTO_APPROVE_VERIFIED=true so are verified purchases.
+ */
+export const getInitialReviewStatus = async (reviewer, verified) => {
+  if (reviewer?.role === "admin") return "approved";
+  if (verified && process.env.REVIEW_AUTO_APPROVE_VERIFIED === "true") return "approved";
+
+  const user = await User.findById(reviewer?._id).select("isTrustedReviewer");
+  return user?.isTrustedReviewer ? "approved" : "pending";
+};
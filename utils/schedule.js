@@ -0,0 +1,192 @@
+// utils/schedule.js
+//
+// Time arithmetic shared by the booking and availability routes.
+// Times are "HH:mm" strings, durations are whole minutes.
+
+// ============================================
+// ⚙️ DEFAULTS
+// ============================================
+
+// Used when no weekly schedule has been saved yet
+export const SLOT_INTERVAL_MINUTES = 30;
+export const OPENING_TIME = "09:00";
+export const CLOSING_TIME = "21:00";
+export const DEFAULT_DURATION_MINUTES = 30;
+
+// Shortest and longest service (see Service.duration)
+export const MIN_DURATION_MINUTES = 5;
+export const MAX_DURATION_MINUTES = 720;
+
+// Capacity is counted in fixed cells; slot intervals must be a multiple.
+// Changing it invalidates the stored counters, so the server rebuilds them on
+// its next start (ensureSlotReservationGrid in utils/appointments.js).
+export const CAPACITY_CELL_MINUTES = 15;
+
+export const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// ============================================
+// 🕒 TIME HELPERS
+// ============================================
+
+/**
+ * "HH:mm" → minutes since midnight
+ */
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Minutes since midnight → "HH:mm"
+ */
+export const minutesToTime = (total) => {
+  const hours = Math.floor(total / 60);
+  const minutes = total % 60;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+};
+
+/**
+ * Add a duration to a time → "HH:mm"
+ */
+export const addMinutes = (time, minutes) => {
+  return minutesToTime(timeToMinutes(time) + minutes);
+};
+
+/**
+ * Parse a legacy free-text duration into minutes.
+ * Understands "90", "45 min", "1 hr", "1.5 hours", "1h 30m", "1:30".
+ * returns null when nothing sensible can be read.
+ */
+export const parseDurationToMinutes = (value) => {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value > 0 ? Math.round(value) : null;
+  }
+  if (typeof value !== "string" || value.trim().length === 0) return null;
+
+  const text = value.trim().toLowerCase();
+
+  // "1:30"
+  const clock = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/);
+  const minutes = text.match(/(\d+)\s*(?:m|min|mins|minute|minutes)\b/);
+
+  let total = 0;
+  if (hours) total += Math.round(parseFloat(hours[1]) * 60);
+  if (minutes) total += parseInt(minutes[1]);
+
+  // Bare number → minutes
+  if (!hours && !minutes) {
+    const bare = text.match(/^(\d+)$/);
+    if (bare) total = parseInt(bare[1]);
+  }
+
+  return total > 0 ? total : null;
+};
+
+/**
+ * Day of week (0 = Sunday) for a "YYYY-MM-DD" date, independent of server timezone
+ */
+export const getWeekday = (date) => {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+};
+
+/**
+ * Resolve a weekday given as 0-6 or a name ("tuesday") → 0-6, or null
+ */
+export const parseWeekday = (value) => {
+  if (typeof value === "number" || /^\d$/.test(String(value))) {
+    const n = Number(value);
+    return n >= 0 && n <= 6 ? n : null;
+  }
+  const index = WEEKDAYS.indexOf(String(value).trim().toLowerCase());
+  return index === -1 ? null : index;
+};
+
+/**
+ * Whether [aStart, aEnd) and [bStart, bEnd) overlap (minutes)
+ */
+export const intervalsOverlap = (aStart, aEnd, bStart, bEnd) => {
+  return aStart < bEnd && bStart < aEnd;
+};
+
+// ============================================
+// 📅 SLOT HELPERS
+// ============================================
+
+/**
+ * All slot start times between open and close ("09:00", "09:30", ...)
+ */
+export const generateSlotTimes = (
+  openTime = OPENING_TIME,
+  closeTime = CLOSING_TIME,
+  interval = SLOT_INTERVAL_MINUTES
+) => {
+  const times = [];
+  for (let m = timeToMinutes(openTime); m < timeToMinutes(closeTime); m += interval) {
+    times.push(minutesToTime(m));
+  }
+  return times;
+};
+
+/**
+ * Capacity cells occupied by an appointment starting at `time`.
+ * A 60-minute booking at 10:00 with 15-minute cells → ["10:00", "10:15", "10:30", "10:45"].
+ */
+export const getCoveredSlots = (time, durationMinutes, interval = CAPACITY_CELL_MINUTES) => {
+  const start = timeToMinutes(time);
+  const end = start + Math.max(1, durationMinutes);
+
+  // Align to the cell grid so an off-grid start still claims the right cells
+  const covered = [];
+  for (let m = Math.floor(start / interval) * interval; m < end; m += interval) {
+    covered.push(minutesToTime(m));
+  }
+  return covered;
+};
+
+/**
+ * Why an appointment cannot take place within a resolved day
+ * (see Availability.resolveDay), or null when the interval is free.
+ * Each unavailable slot blocks one slot interval from its start time.
+ */
+export const getIntervalConflict = (day, time, durationMinutes) => {
+  if (!day.isOpen) {
+    return day.isFullDayUnavailable
+      ? `${day.date} is not available for booking`
+      : `The salon is closed on ${day.weekday}s`;
+  }
+
+  const start = timeToMinutes(time);
+  const end = start + durationMinutes;
+
+  if (start < timeToMinutes(day.openTime) || end > timeToMinutes(day.closeTime)) {
+    return `Appointments on ${day.date} must be between ${day.openTime} and ${day.closeTime}`;
+  }
+
+  const onBreak = day.breaks.find((b) =>
+    intervalsOverlap(start, end, timeToMinutes(b.start), timeToMinutes(b.end))
+  );
+  if (onBreak) {
+    return `This time overlaps a break (${onBreak.start}-${onBreak.end})`;
+  }
+
+  const blocked = day.unavailableSlots.find((slot) => {
+    const slotStart = timeToMinutes(slot);
+    return intervalsOverlap(start, end, slotStart, slotStart + day.slotInterval);
+  });
+  if (blocked) {
+    return `Time slot ${blocked} is not available on ${day.date}`;
+  }
+
+  return null;
+};
@@ -0,0 +1,327 @@
+// utils/search.js
+//
+// Catalogue search across products and services, backed by the text indexes
+// on both models. MongoDB text search matches whole (stemmed) words only, so
+// each query word is first checked against a vocabulary of the catalogue:
+// unknown words are completed ("sham" → "shampoo") or corrected within one or
+// two typos ("shampo" → "shampoo") before the search runs.
+
+import Product from "../models/Product.js";
+import Service from "../models/Service.js";
+import Category from "../models/Category.js";
+
+// Lower bounds of the price band facet (the last band is open-ended)
+export const PRICE_BANDS = [0, 500, 1000, 2500, 5000];
+
+const MAX_QUERY_WORDS = 8;
+const MAX_PREFIX_EXPANSIONS = 3;
+
+// ============================================
+// 🛠️ QUERY HANDLING
+// ============================================
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Lowercase words of `text` without accents or punctuation
+ */
+const toWords = (text) =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+/**
+ * Words to search for in a raw query (deduplicated, at most MAX_QUERY_WORDS).
+ * Quotes and "-" never reach $text, so a query cannot turn into a phrase or
+ * negation search.
+ */
+export const parseSearchQuery = (query) =>
+  [...new Set(toWords(query).filter((word) => word.length >= 2))].slice(0, MAX_QUERY_WORDS);
+
+/**
+ * Edit distance counting a swap of neighbours as one edit, or
+ * `max + 1` as soon as it is certain to exceed `max`
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+  return prev[b.length];
+};
+
+// ============================================
+// 📚 VOCABULARY
+// ============================================
+
+// { terms: Map(word → number of occurrences), builtAt } — rebuilt when stale
+let vocabulary = null;
+let vocabularyBuild = null;
+
+/**
+ * Minutes the vocabulary is reused before it is rebuilt
+ * (SEARCH_VOCABULARY_TTL_MINUTES, default 10)
+ */
+const getVocabularyTtlMs = () => (Number(process.env.SEARCH_VOCABULARY_TTL_MINUTES) || 10) * 60 * 1000;
+
+/**
+ * Every word of the searchable catalogue text
+ */
+const buildVocabulary = async () => {
+  const [products, services, categories] = await Promise.all([
+    Product.find().select("name description category variants.name").lean(),
+    Service.find().select("name description category").lean(),
+    Category.find({ isActive: true }).select("name slug").lean(),
+  ]);
+
+  const terms = new Map();
+  const add = (text) => {
+    for (const word of toWords(text || "")) {
+      if (word.length >= 3) terms.set(word, (terms.get(word) || 0) + 1);
+    }
+  };
+
+  for (const product of products) {
+    [product.name, product.description, product.category].forEach(add);
+    (product.variants || []).forEach((variant) => add(variant.name));
+  }
+  for (const service of services) {
+    [service.name, service.description, service.category].forEach(add);
+  }
+  for (const category of categories) {
+    [category.name, category.slug].forEach(add);
+  }
+
+  return { terms, builtAt: Date.now() };
+};
+
+/**
+ * The current vocabulary (one build at a time)
+ */
+const getVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabulary.builtAt < getVocabularyTtlMs()) {
+    return vocabulary.terms;
+  }
+  if (!vocabularyBuild) {
+    vocabularyBuild = buildVocabulary()
+      .then((built) => {
+        vocabulary = built;
+        return built;
+      })
+      .finally(() => {
+        vocabularyBuild = null;
+      });
+  }
+  return (await vocabularyBuild).terms;
+};
+
+/**
+ * Catalogue words to search for in place of `word`
+ * → { terms, correction } — correction is the best guess at a misspelt word
+ */
+const expandWord = (word, terms) => {
+  if (terms.has(word) || word.length < 3) return { terms: [word], correction: null };
+
+  const byFrequency = (a, b) => terms.get(b) - terms.get(a);
+  const vocabularyWords = [...terms.keys()];
+
+  // Typed the start of a word
+  const completions = vocabularyWords.filter((term) => term.startsWith(word)).sort(byFrequency);
+  if (completions.length > 0) {
+    return { terms: [word, ...completions.slice(0, MAX_PREFIX_EXPANSIONS)], correction: null };
+  }
+
+  // Typos: one edit for short words, two for longer ones
+  const maxDistance = word.length <= 5 ? 1 : 2;
+  let best = null;
+  for (const term of vocabularyWords) {
+    const distance = editDistance(word, term, maxDistance);
+    if (distance > maxDistance) continue;
+    if (!best || distance < best.distance || (distance === best.distance && terms.get(term) > terms.get(best.term))) {
+      best = { term, distance };
+    }
+  }
+  return best ? { terms: [word, best.term], correction: best.term } : { terms: [word], correction: null };
+};
+
+/**
+ * Search terms for the query words, with a "did you mean" suggestion when a
+ * word was corrected → { terms, suggestion }
+ */
+export const expandSearchWords = async (words) => {
+  const terms = await getVocabulary();
+  const expanded = words.map((word) => expandWord(word, terms));
+
+  const corrected = expanded.some((e) => e.correction);
+  return {
+    terms: [...new Set(expanded.flatMap((e) => e.terms))],
+    suggestion: corrected ? expanded.map((e, i) => e.correction || words[i]).join(" ") : null,
+  };
+};
+
+// ============================================
+// 🔍 SEARCH
+// ============================================
+
+const SEARCH_TARGETS = {
+  product: {
+    Model: Product,
+    fields: "name description price discount image category categoryId stock averageRating reviewCount",
+  },
+  service: {
+    Model: Service,
+    fields: "name description price discount duration image category categoryId averageRating reviewCount",
+  },
+};
+
+/**
+ * Lower and upper bound of the price band starting at `min`
+ */
+const toPriceBand = (min, count) => {
+  const next = PRICE_BANDS[PRICE_BANDS.indexOf(min) + 1];
+  return { min, max: next ?? null, count };
+};
+
+/**
+ * Match counts of one collection: the total under every filter, by category
+ * (ignoring the category filter) and by price band (ignoring the price filter)
+ */
+const countMatches = async (Model, textMatch, categoryMatch, priceMatch) => {
+  const [counts] = await Model.aggregate([
+    { $match: textMatch },
+    {
+      $facet: {
+        total: [{ $match: { ...categoryMatch, ...priceMatch } }, { $count: "count" }],
+        categories: [
+          { $match: { ...priceMatch, category: { $nin: [null, ""] } } },
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+        ],
+        priceBands: [
+          { $match: categoryMatch },
+          {
+            $bucket: {
+              groupBy: "$price",
+              boundaries: [...PRICE_BANDS, Number.MAX_SAFE_INTEGER],
+              default: "other",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+  return {
+    total: counts.total[0]?.count || 0,
+    categories: counts.categories,
+    priceBands: counts.priceBands.filter((band) => band._id !== "other"),
+  };
+};
+
+/**
+ * Search products and services, best match first
+ *   words      — from parseSearchQuery
+ *   types      — ["product", "service"] or one of them
+ *   categories — { product: [slug], service: [slug] } to keep, or null
+ *   minPrice / maxPrice — optional bounds
+ *   skip / limit — page through the merged results
+ * → { results, total, suggestion, facets: { types, categories, priceBands } }
+ */
+export const searchCatalog = async ({ words, types, categories = null, minPrice = null, maxPrice = null, skip = 0, limit = 10 }) => {
+  const { terms, suggestion } = await expandSearchWords(words);
+  const textMatch = { $text: { $search: terms.join(" ") } };
+
+  const priceMatch = {};
+  if (minPrice !== null || maxPrice !== null) {
+    priceMatch.price = {
+      ...(minPrice !== null && { $gte: minPrice }),
+      ...(maxPrice !== null && { $lte: maxPrice }),
+    };
+  }
+
+  // Counts cover both kinds so the type facet shows what the other one holds
+  const kinds = Object.keys(SEARCH_TARGETS);
+  const counted = await Promise.all(
+    kinds.map((kind) => {
+      const categoryMatch = categories ? { category: { $in: categories[kind] || [] } } : {};
+      return countMatches(SEARCH_TARGETS[kind].Model, textMatch, categoryMatch, priceMatch);
+    })
+  );
+  const countsByKind = Object.fromEntries(kinds.map((kind, i) => [kind, counted[i]]));
+
+  // Enough of each kind to fill this page once merged by score
+  const found = await Promise.all(
+    types.map(async (kind) => {
+      const { Model, fields } = SEARCH_TARGETS[kind];
+      const filter = {
+        ...textMatch,
+        ...priceMatch,
+        ...(categories && { category: { $in: categories[kind] || [] } }),
+      };
+      const docs = await Model.find(filter, { score: { $meta: "textScore" } })
+        .select(fields)
+        .sort({ score: { $meta: "textScore" }, averageRating: -1 })
+        .limit(skip + limit)
+        .lean();
+      return docs.map((doc) => ({ type: kind, ...doc }));
+    })
+  );
+
+  const results = found
+    .flat()
+    .sort((a, b) => b.score - a.score || b.averageRating - a.averageRating)
+    .slice(skip, skip + limit);
+
+  // Category names for the facet
+  const facetCategories = kinds.flatMap((kind) =>
+    types.includes(kind) ? countsByKind[kind].categories.map((c) => ({ kind, slug: c._id, count: c.count })) : []
+  );
+  const named = await Category.find({
+    $or: kinds.map((kind) => ({ kind, slug: { $in: facetCategories.filter((c) => c.kind === kind).map((c) => c.slug) } })),
+  })
+    .select("kind slug name")
+    .lean();
+
+  const bandCounts = new Map();
+  for (const kind of types) {
+    for (const band of countsByKind[kind].priceBands) {
+      bandCounts.set(band._id, (bandCounts.get(band._id) || 0) + band.count);
+    }
+  }
+
+  return {
+    results,
+    total: types.reduce((sum, kind) => sum + countsByKind[kind].total, 0),
+    suggestion,
+    facets: {
+      types: Object.fromEntries(kinds.map((kind) => [kind, countsByKind[kind].total])),
+      categories: facetCategories
+        .map((c) => ({
+          ...c,
+          name: named.find((n) => n.kind === c.kind && n.slug === c.slug)?.name || c.slug,
+        }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+      priceBands: PRICE_BANDS.map((min) => toPriceBand(min, bandCounts.get(min) || 0)),
+    },
+  };
+};
@@ -0,0 +1,108 @@
+// utils/sms.js
+//
+// Outgoing SMS behind a small driver interface so the OTP flow does not care
+// how messages leave the server. Pick a driver with SMS_DRIVER:
+//   console  (default) — print to the server log, for local development
+//   file     — append to SMS_OUTBOX_FILE (default logs/sms-outbox.log)
+//   http     — POST to a provider gateway (SMS_GATEWAY_URL / SMS_GATEWAY_API_KEY)
+// A driver is an object with `name` and `async send({ to, message })`.
+
+import fs from "fs/promises";
+import path from "path";
+
+// ============================================
+// 🚚 DRIVERS
+// ============================================
+
+const consoleDriver = () => ({
+  name: "console",
+  async send({ to, message }) {
+    console.log(`📨 SMS to ${to}: ${message}`);
+  },
+});
+
+const fileDriver = () => {
+  const file = process.env.SMS_OUTBOX_FILE || path.join(process.cwd(), "logs", "sms-outbox.log");
+
+  return {
+    name: "file",
+    async send({ to, message }) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, `${new Date().toISOString()}\t${to}\t${message}\n`);
+    },
+  };
+};
+
+// Generic JSON gateway; adapt the payload here when wiring a specific provider
+const httpDriver = () => {
+  const url = process.env.SMS_GATEWAY_URL;
+  if (!url) {
+    throw new Error("SMS_GATEWAY_URL is required for the http SMS driver");
+  }
+
+  return {
+    name: "http",
+    async send({ to, message }) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(process.env.SMS_GATEWAY_API_KEY && {
+            Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}`,
+          }),
+        },
+        body: JSON.stringify({
+          to,
+          message,
+          sender: process.env.SMS_SENDER_ID || undefined,
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+      }
+    },
+  };
+};
+
+const drivers = {
+  console: consoleDriver,
+  file: fileDriver,
+  http: httpDriver,
+};
+
+/**
+ * Add (or replace) a driver factory, e.g. for a provider SDK
+ */
+export const registerSmsDriver = (name, factory) => {
+  drivers[name] = factory;
+  activeDriver = null;
+};
+
+// ============================================
+// 📤 SENDING
+// ============================================
+
+let activeDriver = null;
+
+/**
+ * Driver selected by SMS_DRIVER (created once)
+ */
+export const getSmsDriver = () => {
+  if (!activeDriver) {
+    const name = (process.env.SMS_DRIVER || "console").toLowerCase();
+    const factory = drivers[name];
+    if (!factory) {
+      throw new Error(`Unknown SMS driver "${name}"`);
+    }
+    activeDriver = factory();
+  }
+  return activeDriver;
+};
+
+/**
+ * Send one text message through the configured driver
+ */
+export const sendSms = async (to, message) => {
+  return getSmsDriver().send({ to, message });
+};
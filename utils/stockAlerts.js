@@ -0,0 +1,219 @@
+// utils/stockAlerts.js
+//
+// Reorder thresholds and low-stock alerts. A product (or a variant) is "low"
+// once its stock is at or below its reorderThreshold — a variant falls back
+// to its product's, and both to LOW_STOCK_THRESHOLD. Every stock movement is
+// checked here (see utils/inventory.js); a daily digest summarises what needs
+// reordering for the admins.
+
+import Product from "../models/Product.js";
+import StockAlert from "../models/StockAlert.js";
+import User from "../models/User.js";
+import { sendSms } from "./sms.js";
+
+// ============================================
+// ⚙️ CONFIGURATION
+// ============================================
+
+/**
+ * Threshold for products without their own (LOW_STOCK_THRESHOLD, default 10)
+ */
+export const getDefaultReorderThreshold = () => {
+  const threshold = Number(process.env.LOW_STOCK_THRESHOLD);
+  return Number.isInteger(threshold) && threshold >= 0 ? threshold : 10;
+};
+
+/**
+ * Effective reorder threshold of a product, or of one of its variants
+ */
+export const getReorderThreshold = (product, variant = null) => {
+  return variant?.reorderThreshold ?? product.reorderThreshold ?? getDefaultReorderThreshold();
+};
+
+/**
+ * Product filter matching everything whose total stock is at or below its
+ * threshold (see findLowStockLines for variant by variant)
+ */
+export const lowStockFilter = () => ({
+  $expr: {
+    $lte: ["$stock", { $ifNull: ["$reorderThreshold", getDefaultReorderThreshold()] }],
+  },
+});
+
+// ============================================
+// 🚨 ALERTS
+// ============================================
+
+/**
+ * Raise, escalate or resolve an alert after a stock movement
+ *   product  — the product as updated by the movement
+ *   variant  — the variant that moved (from `product`), or null
+ *   quantity — the signed change just applied
+ *   movement — the StockMovement just recorded
+ * Runs in the movement's transaction.
+ */
+export const checkStockLevel = async (product, variant, quantity, movement, session = null) => {
+  const threshold = getReorderThreshold(product, variant);
+  const stock = variant ? variant.stock : product.stock;
+  const previousStock = stock - quantity;
+  const key = { productId: product._id, variantId: variant?._id || null };
+
+  // Back above the threshold (e.g. a delivery): close the open alert
+  if (stock > threshold) {
+    if (previousStock <= threshold) {
+      await StockAlert.updateOne(
+        { ...key, status: "open" },
+        { $set: { status: "resolved", resolvedAt: new Date() } },
+        { session }
+      );
+    }
+    return null;
+  }
+
+  const type = stock === 0 ? "out_of_stock" : "low_stock";
+  const crossed = previousStock > threshold || (type === "out_of_stock" && previousStock > 0);
+  if (!crossed) return null;
+
+  // Reuses the open alert, so there is never more than one
+  return StockAlert.findOneAndUpdate(
+    { ...key, status: "open" },
+    {
+      $set: { type, stock, threshold, movementId: movement._id },
+      $setOnInsert: { ...key, sku: variant?.sku || "", status: "open" },
+    },
+    { upsert: true, new: true, session }
+  );
+};
+
+// ============================================
+// 📋 LOW STOCK
+// ============================================
+
+/**
+ * Everything at or below its threshold, one line per product without
+ * variants and per active variant, emptiest first
+ * → { lines: [{ productId, variantId, sku, name, variantName, category, image,
+ *     stock, threshold }], total }
+ *   outOfStock — only lines with no stock at all
+ *   categories — only these category slugs
+ *   skip/limit — page through the lines (limit null: all of them)
+ */
+export const findLowStockLines = async ({ outOfStock = false, categories = null, skip = 0, limit = null } = {}) => {
+  const [result] = await Product.aggregate([
+    ...(categories ? [{ $match: { category: { $in: categories } } }] : []),
+    { $unwind: { path: "$variants", preserveNullAndEmptyArrays: true } },
+    { $match: { "variants.isActive": { $ne: false } } },
+    {
+      $project: {
+        _id: 0,
+        productId: "$_id",
+        variantId: { $ifNull: ["$variants._id", null] },
+        sku: { $ifNull: ["$variants.sku", ""] },
+        name: 1,
+        variantName: { $ifNull: ["$variants.name", ""] },
+        category: 1,
+        // A variant without its own image shows the product's
+        image: {
+          $cond: [{ $gt: [{ $strLenCP: { $ifNull: ["$variants.image", ""] } }, 0] }, "$variants.image", "$image"],
+        },
+        stock: { $ifNull: ["$variants.stock", "$stock"] },
+        threshold: {
+          $ifNull: [
+            "$variants.reorderThreshold",
+            { $ifNull: ["$reorderThreshold", getDefaultReorderThreshold()] },
+          ],
+        },
+      },
+    },
+    { $match: { $expr: { $lte: ["$stock", "$threshold"] }, ...(outOfStock && { stock: 0 }) } },
+    { $sort: { stock: 1, name: 1, variantName: 1 } },
+    {
+      $facet: {
+        lines: [{ $skip: skip }, ...(limit ? [{ $limit: limit }] : [])],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return { lines: result.lines, total: result.total[0]?.count || 0 };
+};
+
+// ============================================
+// 📰 DAILY DIGEST
+// ============================================
+
+/**
+ * Products and variants that are out of stock or low → { generatedAt, outOfStock, lowStock, openAlerts }
+ */
+export const buildStockDigest = async () => {
+  const { lines } = await findLowStockLines();
+
+  return {
+    generatedAt: new Date(),
+    outOfStock: lines.filter((line) => line.stock === 0),
+    lowStock: lines.filter((line) => line.stock > 0),
+    openAlerts: await StockAlert.countDocuments({ status: "open" }),
+  };
+};
+
+/**
+ * Build the digest, log it and text a summary to every admin → the digest
+ */
+export const sendStockDigest = async () => {
+  const digest = await buildStockDigest();
+  const { outOfStock, lowStock } = digest;
+
+  if (outOfStock.length === 0 && lowStock.length === 0) {
+    console.log("📦 Stock digest: nothing needs reordering");
+    return digest;
+  }
+
+  const summary =
+    `Stock digest: ${outOfStock.length} out of stock, ${lowStock.length} low. ` +
+    [...outOfStock, ...lowStock]
+      .slice(0, 5)
+      .map((line) => `${line.name}${line.variantName ? ` ${line.variantName}` : ""} (${line.stock})`)
+      .join(", ") +
+    (outOfStock.length + lowStock.length > 5 ? ", ..." : "");
+  console.log(`📦 ${summary}`);
+
+  const admins = await User.find({ role: "admin" }).select("phone").lean();
+  for (const admin of admins) {
+    try {
+      await sendSms(admin.phone, summary);
+    } catch (error) {
+      console.error("❌ Stock Digest SMS Error:", error);
+    }
+  }
+  return digest;
+};
+
+/**
+ * Send the digest every day at STOCK_DIGEST_HOUR (server time, default 8)
+ * → stop(), cancelling the next run (timers are unref'd, so they never keep
+ *   the process alive)
+ */
+export const startStockDigestJob = () => {
+  const hour = Number(process.env.STOCK_DIGEST_HOUR);
+  const runAt = Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : 8;
+
+  let timer = null;
+  const schedule = () => {
+    const next = new Date();
+    next.setHours(runAt, 0, 0, 0);
+    if (next <= new Date()) next.setDate(next.getDate() + 1);
+
+    timer = setTimeout(async () => {
+      try {
+        await sendStockDigest();
+      } catch (error) {
+        console.error("❌ Stock Digest Error:", error);
+      }
+      schedule();
+    }, next.getTime() - Date.now());
+    timer.unref();
+  };
+
+  schedule();
+  return () => clearTimeout(timer);
+};
@@ -0,0 +1,21 @@
+// utils/transaction.js
+import mongoose from "mongoose";
+
+/**
+ * Run `work(session)` inside a MongoDB transaction.
+ * Everything written with the session commits together or not at all;
+ * transient transaction errors are retried by the driver.
+ * Requires a replica set (MongoDB Atlas or a local `--replSet` instance).
+ */
+export const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};